@@ -0,0 +1,104 @@
+// Audit log
+//
+// Admin and scoring actions are appended to the audit_log table: who did it,
+// what it touched, the values before and after, and when. Rows are never
+// changed or removed; triggers in the database refuse both. Jobs run by the
+// scheduler are recorded with the actor 'schedule'.
+
+const AUDIT_ACTIONS = {
+  'settings.update': 'Settings changed',
+  'event.create': 'Event created',
+  'event.archive': 'Event archived or restored',
+  'event.activate': 'Active event changed',
+  'user.create': 'Account added',
+  'user.password': 'Password changed',
+  'user.delete': 'Account removed',
+  'teams.upload': 'Teams uploaded',
+  'teams.strengths': 'Team strengths changed',
+  'bracket.generate': 'Round of 64 regenerated',
+  'game.create': 'Matchup added',
+  'game.update': 'Matchup changed',
+  'game.delete': 'Matchup removed',
+  'game.score': 'Result entered',
+  'game.unscore': 'Result undone',
+  'results.import': 'Results imported',
+  'bonus.draw': 'Bonus Teams drawn',
+  'email.weekly_winners': 'Weekly winners email sent',
+  'email.test': 'Test email sent',
+  'email.resend': 'Emails resent',
+  'webhook.create': 'Webhook added',
+  'webhook.update': 'Webhook changed',
+  'webhook.delete': 'Webhook removed',
+  'prize.paid': 'Prize marked paid',
+  'prize.unpaid': 'Prize payment removed',
+  'participant.update': 'Participant details changed',
+  'participant.reassign_team': 'Participant team reassigned',
+  'participant.merge': 'Duplicate participant merged',
+  'participant.delete': 'Participant removed',
+  'email.welcome': 'Welcome email resent'
+};
+
+const SYSTEM_ACTOR = 'schedule';
+
+// Values never written to the log
+const SECRET_SETTINGS = ['smtp_pass', 'link_secret'];
+const HIDDEN = '(hidden)';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// JSON settings are logged as objects so the before and after read clearly
+function readable(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed !== null && typeof parsed === 'object' ? parsed : value;
+  } catch (error) {
+    return value;
+  }
+}
+
+// The settings a save actually changed, as { keys, before, after }, or null
+// when nothing changed. Secret values are replaced with a marker.
+function settingsChange(previous, next) {
+  const keys = Object.keys(next).filter(key => String(previous[key] ?? '') !== String(next[key] ?? ''));
+  if (keys.length === 0) return null;
+
+  const before = {};
+  const after = {};
+  keys.forEach(key => {
+    const secret = SECRET_SETTINGS.includes(key);
+    before[key] = secret ? HIDDEN : readable(previous[key]);
+    after[key] = secret ? HIDDEN : readable(next[key]);
+  });
+  return { keys, before, after };
+}
+
+// Filters for the audit view from a query string:
+// { filters: { action, actor, target, from, to, limit }, errors }
+function parseFilters(query) {
+  const errors = [];
+  const filters = {
+    action: query.action || null,
+    actor: query.actor || null,
+    target: query.target || null,
+    from: query.from || null,
+    to: query.to || null,
+    limit: Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT)
+  };
+
+  if (filters.action && !AUDIT_ACTIONS[filters.action]) errors.push(`Unknown action: ${filters.action}`);
+  ['from', 'to'].forEach(key => {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) errors.push(`${key} must be a date (YYYY-MM-DD)`);
+  });
+  return { filters, errors };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  SYSTEM_ACTOR,
+  settingsChange,
+  parseFilters
+};
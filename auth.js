@@ -0,0 +1,115 @@
+// Admin authentication helpers
+//
+// Passwords are stored as scrypt hashes with a per-user salt. Sessions are
+// random tokens held in an HttpOnly cookie so page scripts never see them
+// (API clients may send the same token as a bearer header instead); only
+// their SHA-256 digest is kept in the database.
+
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'scorekeeper'];
+
+// Admin requests a scorekeeper may make, with paths relative to /api/admin:
+// listing games and entering a game's score, but not adding, deleting or
+// undoing games
+const SCOREKEEPER_ROUTES = [
+  { methods: ['GET'], path: /^\/games\/?$/ },
+  { methods: ['POST', 'PUT'], path: /^\/game\/\d+\/score\/?$/ }
+];
+
+const SESSION_HOURS = 12;
+const SESSION_COOKIE = 'admin_session';
+const MIN_PASSWORD_LENGTH = 8;
+
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function createToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Read the bearer token from an Authorization header
+function tokenFromHeader(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+// Read the session token from a Cookie header
+function tokenFromCookie(header) {
+  for (const part of (header || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE && value.length > 0) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Set-Cookie value for a session; pass null to clear it
+function sessionCookie(token, secure = false) {
+  const attributes = [
+    `${SESSION_COOKIE}=${token === null ? '' : encodeURIComponent(token)}`,
+    'Path=/api',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token === null ? 0 : SESSION_HOURS * 60 * 60}`
+  ];
+  if (secure) attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+// Whether a role may make a request to an admin path
+function canAccess(role, method, adminPath) {
+  if (role === 'admin') return true;
+  if (role === 'scorekeeper') {
+    return SCOREKEEPER_ROUTES.some(route => route.methods.includes(method) && route.path.test(adminPath));
+  }
+  return false;
+}
+
+// Returns a list of problems with a new account; empty means it is usable
+function validateAccount({ username, password, role }) {
+  const errors = [];
+  if (!username || !/^[A-Za-z0-9_.@-]{3,}$/.test(username)) {
+    errors.push('Username must be at least 3 letters, numbers or . _ @ -');
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  return errors;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_HOURS,
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  hashToken,
+  tokenFromHeader,
+  tokenFromCookie,
+  sessionCookie,
+  canAccess,
+  validateAccount
+};
@@ -0,0 +1,54 @@
+// Week 2 Bonus Team draw
+//
+// Participants are dealt surviving teams in a seeded random order. Each pick
+// comes from the least-used teams the participant doesn't already own, so the
+// field is spread as evenly as possible.
+
+const { createRandom, shuffle } = require('./random');
+
+// Participants who lost at least one original team and have no bonus team yet
+function eligibleParticipants(participants, assignments, teams) {
+  const eliminated = new Set(teams.filter(t => t.eliminated).map(t => t.id));
+
+  return participants.filter(participant => {
+    const owned = assignments.filter(a => a.participant_id === participant.id);
+    const hasBonus = owned.some(a => a.is_bonus);
+    const lostTeam = owned.some(a => !a.is_bonus && eliminated.has(a.team_id));
+    return lostTeam && !hasBonus;
+  });
+}
+
+// Pick one surviving team for each participant; returns { participantId, teamId } pairs
+function drawBonusTeams(participants, assignments, teams, seed) {
+  const random = createRandom(seed);
+  const surviving = teams.filter(t => !t.eliminated).sort((a, b) => a.id - b.id);
+  const order = shuffle(participants.slice().sort((a, b) => a.id - b.id), random);
+
+  const usage = {};
+  surviving.forEach(team => {
+    usage[team.id] = 0;
+  });
+
+  const draws = [];
+  order.forEach(participant => {
+    const owned = new Set(assignments
+      .filter(a => a.participant_id === participant.id)
+      .map(a => a.team_id));
+    const candidates = surviving.filter(team => !owned.has(team.id));
+    if (candidates.length === 0) return;
+
+    const fewest = Math.min(...candidates.map(team => usage[team.id]));
+    const pool = candidates.filter(team => usage[team.id] === fewest);
+    const team = pool[Math.floor(random() * pool.length)];
+
+    usage[team.id]++;
+    draws.push({ participantId: participant.id, teamId: team.id });
+  });
+
+  return draws;
+}
+
+module.exports = {
+  eligibleParticipants,
+  drawBonusTeams
+};
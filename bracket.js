@@ -0,0 +1,196 @@
+// Bracket layout helpers
+//
+// Region games are addressed by (round, region, position). Round of 64 games
+// are numbered 0-7 top to bottom in each region and every later round halves
+// the positions. The Final Four and Championship live in the 'Final Four'
+// region; Final Four positions follow the configured region pairings.
+//
+// First Four play-in games are numbered by the Round of 64 line they feed
+// (position * 2 + side), so their winner's slot follows the same halving rule.
+
+// Tournament rounds in bracket order
+const ROUNDS = ['Round of 64', 'Round of 32', 'Sweet 16', 'Elite 8', 'Final Four', 'Championship'];
+
+const NATIONAL_REGION = 'Final Four';
+
+// Play-in round between two teams sharing a seed line; it earns no points
+const FIRST_FOUR = 'First Four';
+
+// Seeds in bracket order; consecutive pairs meet in the Round of 64
+const SEED_ORDER = [1, 16, 8, 9, 5, 12, 4, 13, 6, 11, 3, 14, 7, 10, 2, 15];
+
+const DEFAULT_FINAL_FOUR_PAIRINGS = [['East', 'West'], ['South', 'Midwest']];
+
+// Build the First Four and Round of 64 games for every region in the field.
+// A Round of 64 game fed by a play-in is created once the play-in is decided.
+function buildFirstRound(teams) {
+  const errors = [];
+  const games = [];
+  const regions = [...new Set(teams.map(t => t.region))];
+
+  regions.forEach(region => {
+    const bySeed = {};
+    teams.filter(t => t.region === region).forEach(team => {
+      bySeed[team.seed] = bySeed[team.seed] || [];
+      bySeed[team.seed].push(team);
+    });
+
+    const missing = SEED_ORDER.filter(seed => !bySeed[seed]);
+    if (missing.length > 0) {
+      errors.push(`${region} is missing seeds: ${missing.sort((a, b) => a - b).join(', ')}`);
+      return;
+    }
+    const crowded = SEED_ORDER.filter(seed => bySeed[seed].length > 2);
+    if (crowded.length > 0) {
+      errors.push(`${region} has more than two teams seeded ${crowded.join(', ')}`);
+      return;
+    }
+
+    for (let position = 0; position < SEED_ORDER.length / 2; position++) {
+      const sides = [bySeed[SEED_ORDER[position * 2]], bySeed[SEED_ORDER[position * 2 + 1]]];
+      if (sides.every(side => side.length === 2)) {
+        errors.push(`${region} has play-in games on both sides of the ${SEED_ORDER[position * 2]} vs ${SEED_ORDER[position * 2 + 1]} game`);
+        continue;
+      }
+
+      sides.forEach((side, index) => {
+        if (side.length === 2) {
+          games.push({
+            round: FIRST_FOUR,
+            region,
+            position: position * 2 + index,
+            team1_id: side[0].id,
+            team2_id: side[1].id
+          });
+        }
+      });
+      if (sides.every(side => side.length === 1)) {
+        games.push({ round: ROUNDS[0], region, position, team1_id: sides[0][0].id, team2_id: sides[1][0].id });
+      }
+    }
+  });
+
+  return { games, errors };
+}
+
+// Team ids for a Round of 64 slot fed by a play-in, or null while it is undecided
+function firstRoundTeams(slot, teams, playInGames) {
+  const teamIds = [0, 1].map(side => {
+    const line = slot.position * 2 + side;
+    const playIn = playInGames.find(game => game.region === slot.region && game.position === line);
+    if (playIn) return playIn.completed ? playIn.winner_id : null;
+
+    const team = teams.find(t => t.region === slot.region && t.seed === SEED_ORDER[line]);
+    return team ? team.id : null;
+  });
+  return teamIds.includes(null) ? null : teamIds;
+}
+
+// Work out the Round of 64 slot for a hand-entered matchup, if it is a standard one
+function firstRoundSlot(team1, team2) {
+  if (team1.region !== team2.region) return null;
+
+  for (let position = 0; position < SEED_ORDER.length / 2; position++) {
+    const seeds = [SEED_ORDER[position * 2], SEED_ORDER[position * 2 + 1]];
+    if (seeds.includes(team1.seed) && seeds.includes(team2.seed) && team1.seed !== team2.seed) {
+      return { region: team1.region, position };
+    }
+  }
+  return null;
+}
+
+// Parse the stored Final Four pairings setting
+function parsePairings(value) {
+  if (!value) return DEFAULT_FINAL_FOUR_PAIRINGS;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return DEFAULT_FINAL_FOUR_PAIRINGS;
+  }
+}
+
+// Check that the pairings match each region against exactly one other
+function validatePairings(pairings, regions) {
+  if (!Array.isArray(pairings) || pairings.length !== 2 ||
+      pairings.some(pair => !Array.isArray(pair) || pair.length !== 2)) {
+    return 'Final Four pairings must be two pairs of regions';
+  }
+
+  const paired = pairings.flat();
+  if (new Set(paired).size !== 4) {
+    return 'Each region can only appear in one Final Four pairing';
+  }
+  const missing = regions.filter(region => !paired.includes(region));
+  if (missing.length > 0) {
+    return `Final Four pairings are missing: ${missing.join(', ')}`;
+  }
+  const unknown = paired.filter(region => !regions.includes(region));
+  if (regions.length > 0 && unknown.length > 0) {
+    return `Unknown regions in Final Four pairings: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+// The slot the winner of a game moves into, and which side of it
+function nextSlot(game, pairings) {
+  if (game.region == null || game.position == null) return null;
+
+  if (game.round === FIRST_FOUR) {
+    return {
+      round: ROUNDS[0],
+      region: game.region,
+      position: Math.floor(game.position / 2),
+      side: game.position % 2
+    };
+  }
+
+  const roundIndex = ROUNDS.indexOf(game.round);
+  if (roundIndex === -1 || game.round === 'Championship') return null;
+
+  if (game.round === 'Elite 8') {
+    const pairIndex = pairings.findIndex(pair => pair.includes(game.region));
+    if (pairIndex === -1) return null;
+    return {
+      round: 'Final Four',
+      region: NATIONAL_REGION,
+      position: pairIndex,
+      side: pairings[pairIndex].indexOf(game.region)
+    };
+  }
+
+  return {
+    round: ROUNDS[roundIndex + 1],
+    region: game.round === 'Final Four' ? NATIONAL_REGION : game.region,
+    position: Math.floor(game.position / 2),
+    side: game.position % 2
+  };
+}
+
+// The two games whose winners meet in a slot, in side order
+function feederSlots(slot, pairings) {
+  if (slot.round === 'Final Four') {
+    return pairings[slot.position].map(region => ({ round: 'Elite 8', region, position: 0 }));
+  }
+
+  const previousRound = ROUNDS[ROUNDS.indexOf(slot.round) - 1];
+  return [0, 1].map(side => ({
+    round: previousRound,
+    region: slot.region,
+    position: slot.position * 2 + side
+  }));
+}
+
+module.exports = {
+  ROUNDS,
+  NATIONAL_REGION,
+  FIRST_FOUR,
+  SEED_ORDER,
+  DEFAULT_FINAL_FOUR_PAIRINGS,
+  buildFirstRound,
+  firstRoundTeams,
+  firstRoundSlot,
+  parsePairings,
+  validatePairings,
+  nextSlot,
+  feederSlots
+};
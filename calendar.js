@@ -0,0 +1,175 @@
+// Tournament calendar
+//
+// Stored as JSON in the 'tournament_calendar' setting. Dates are calendar
+// days ('YYYY-MM-DD') and times are 'HH:MM', both in the server's local time.
+// Week boundaries are inclusive; a week's winners go out at the daily email
+// time on the day after it ends.
+
+const { ROUNDS } = require('./bracket');
+
+const DEFAULT_CALENDAR = {
+  roundDates: {},
+  weeks: {},
+  registrationCloses: '',
+  dailyEmailTime: ''
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+function parseCalendar(value) {
+  let stored = {};
+  if (value) {
+    try {
+      stored = JSON.parse(value);
+    } catch (error) {
+      stored = {};
+    }
+  }
+  return { ...DEFAULT_CALENDAR, ...stored };
+}
+
+function isDate(value) {
+  return DATE_PATTERN.test(value) && !isNaN(new Date(`${value}T00:00`));
+}
+
+// Returns a list of problems; an empty list means the calendar is usable.
+// weekRounds (from the scoring rules) lets round dates be checked against
+// the week that plays them.
+function validateCalendar(calendar, weekNumbers, weekRounds = {}) {
+  const errors = [];
+
+  Object.entries(calendar.roundDates || {}).forEach(([round, date]) => {
+    if (round !== 'First Four' && !ROUNDS.includes(round)) {
+      errors.push(`Unknown round: ${round}`);
+    } else if (date && !isDate(date)) {
+      errors.push(`${round} date must be YYYY-MM-DD`);
+    }
+  });
+
+  const weeks = calendar.weeks || {};
+  Object.keys(weeks).forEach(week => {
+    if (!weekNumbers.includes(parseInt(week))) {
+      errors.push(`Week ${week} is not in the scoring rules`);
+    }
+  });
+
+  const configured = weekNumbers.filter(week => weeks[week]);
+  if (configured.length > 0 && configured.length !== weekNumbers.length) {
+    errors.push('Give dates for every week or for none');
+  }
+
+  let previousEnd = null;
+  configured.forEach(week => {
+    const { start, end } = weeks[week];
+    if (!isDate(start) || !isDate(end)) {
+      errors.push(`Week ${week} needs a start and end date (YYYY-MM-DD)`);
+      return;
+    }
+    if (end < start) {
+      errors.push(`Week ${week} ends before it starts`);
+    }
+    if (previousEnd && start <= previousEnd) {
+      errors.push(`Week ${week} must start after the previous week ends`);
+    }
+    previousEnd = end;
+  });
+
+  Object.entries(calendar.roundDates || {}).forEach(([round, date]) => {
+    const week = Object.keys(weekRounds).find(key => weekRounds[key].includes(round));
+    const dates = week && weeks[week];
+    if (!date || !isDate(date) || !dates || !isDate(dates.start) || !isDate(dates.end)) return;
+    if (date < dates.start || date > dates.end) {
+      errors.push(`${round} is in Week ${week}, so its date must be between ${dates.start} and ${dates.end}`);
+    }
+  });
+
+  if (calendar.registrationCloses && !DATE_TIME_PATTERN.test(calendar.registrationCloses)) {
+    errors.push('Registration cutoff must be a date and time (YYYY-MM-DDTHH:MM)');
+  }
+  if (calendar.dailyEmailTime && !TIME_PATTERN.test(calendar.dailyEmailTime)) {
+    errors.push('Daily email time must be HH:MM');
+  }
+
+  return errors;
+}
+
+// Local calendar day for a moment, as 'YYYY-MM-DD'
+function dayOf(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00`);
+  date.setDate(date.getDate() + count);
+  return dayOf(date);
+}
+
+// Weeks with dates, in order
+function datedWeeks(calendar) {
+  return Object.entries(calendar.weeks || {})
+    .filter(([, dates]) => dates && dates.start && dates.end)
+    .map(([week, dates]) => ({ week: parseInt(week), start: dates.start, end: dates.end }))
+    .sort((a, b) => a.week - b.week);
+}
+
+// The week in play at a moment: the latest week that has started, or the
+// first week before the tournament begins. Null when no weeks have dates.
+function weekAt(calendar, now) {
+  const weeks = datedWeeks(calendar);
+  if (weeks.length === 0) return null;
+
+  const today = dayOf(now);
+  const started = weeks.filter(week => week.start <= today);
+  return started.length > 0 ? started[started.length - 1].week : weeks[0].week;
+}
+
+function registrationOpen(calendar, now) {
+  if (!calendar.registrationCloses) return true;
+  return now < new Date(calendar.registrationCloses);
+}
+
+// Every job the calendar calls for, in time order
+function plannedRuns(calendar) {
+  const weeks = datedWeeks(calendar);
+  const time = calendar.dailyEmailTime;
+  if (weeks.length === 0 || !time) return [];
+
+  const runs = [];
+  const first = weeks[0].start;
+  const last = weeks[weeks.length - 1].end;
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    runs.push({ job: 'daily_standings', at: new Date(`${day}T${time}`) });
+  }
+  weeks.forEach(week => {
+    runs.push({ job: 'weekly_winners', week: week.week, at: new Date(`${addDays(week.end, 1)}T${time}`) });
+  });
+
+  return runs.sort((a, b) => a.at - b.at);
+}
+
+// Runs that came due while the server was down. `done` lists the job_runs
+// already recorded. Every missed weekly announcement is due, but only the
+// latest daily standings email is worth sending late.
+function missedRuns(calendar, now, done) {
+  const key = run => `${run.job}:${run.week || ''}:${run.at.toISOString()}`;
+  const recorded = new Set(done.map(run => `${run.job}:${run.week || ''}:${new Date(run.scheduled_for).toISOString()}`));
+
+  const due = plannedRuns(calendar).filter(run => run.at <= now);
+  const daily = due.filter(run => run.job === 'daily_standings');
+  return due
+    .filter(run => run.job !== 'daily_standings' || run === daily[daily.length - 1])
+    .filter(run => !recorded.has(key(run)));
+}
+
+module.exports = {
+  DEFAULT_CALENDAR,
+  parseCalendar,
+  validateCalendar,
+  weekAt,
+  registrationOpen,
+  plannedRuns,
+  missedRuns
+};
@@ -0,0 +1,29 @@
+// CSV export
+//
+// RFC 4180 quoting with CRLF line ends. Exports get opened in spreadsheets,
+// so a cell that would run as a formula (=, +, -, @) is prefixed with an
+// apostrophe. Numbers and phone numbers like +1 555 0100 can't call anything
+// and are written as they are.
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s().-]+$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]; each row is an object read by column key
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => csvCell(column.label))];
+  rows.forEach(row => {
+    lines.push(columns.map(column => csvCell(row[column.key])));
+  });
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  csvCell,
+  toCsv
+};
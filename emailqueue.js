@@ -0,0 +1,57 @@
+// Outbound email queue policy
+//
+// Every email is written to the email_queue table and sent later by a single
+// worker, so one SMTP failure no longer stops the rest of a mailing. These
+// helpers decide how fast the worker sends, what happens after a failure and
+// which emails participants can turn off.
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Emails a participant can turn off, each with a participants column.
+// Welcome and team link emails answer something the participant did, so
+// they always go out.
+const EMAIL_PREFERENCES = {
+  daily_standings: { label: 'Daily standings', column: 'notify_daily_standings' },
+  weekly_winners: { label: 'Weekly results', column: 'notify_weekly_winners' },
+  bonus_team: { label: 'Bonus team notice', column: 'notify_bonus_team' }
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 60 * 60;
+const DEFAULT_RATE_PER_MINUTE = 30;
+
+// Seconds to wait after a message's nth failed attempt: 1, 2, 4, 8... minutes
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+}
+
+// Milliseconds between messages for the 'email_rate_per_minute' setting
+function sendInterval(ratePerMinute) {
+  const rate = parseFloat(ratePerMinute);
+  return Math.ceil(60000 / (rate > 0 ? rate : DEFAULT_RATE_PER_MINUTE));
+}
+
+// The server refused the recipient; sending again won't help
+function isPermanentFailure(error) {
+  return error.command === 'RCPT TO' && error.responseCode >= 500;
+}
+
+// What to do with a message after a failed attempt:
+// { status: 'failed' } or { status: 'pending', delay } with delay in seconds
+function afterFailure(attempts, error) {
+  if (attempts >= MAX_ATTEMPTS || isPermanentFailure(error)) {
+    return { status: 'failed' };
+  }
+  return { status: 'pending', delay: retryDelay(attempts) };
+}
+
+module.exports = {
+  EMAIL_STATUSES,
+  EMAIL_PREFERENCES,
+  MAX_ATTEMPTS,
+  DEFAULT_RATE_PER_MINUTE,
+  retryDelay,
+  sendInterval,
+  afterFailure
+};
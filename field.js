@@ -0,0 +1,135 @@
+// Team import validation
+//
+// Checks an uploaded field before anything is written: four regions of
+// sixteen seed lines each, unique team names, and at most four First Four
+// play-in pairs (two teams sharing one seed line in a region). An optional
+// strength column rates teams for win-probability simulations.
+
+const { SEED_ORDER } = require('./bracket');
+
+const REGION_COUNT = 4;
+const SEEDS_PER_REGION = SEED_ORDER.length;
+const MAX_PLAY_IN_PAIRS = 4;
+
+// Turn CSV rows into teams, collecting a problem per bad row.
+// Row numbers count the header as line 1, matching what a spreadsheet shows.
+function parseRows(rows) {
+  const teams = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const name = String(row.name || row.team || '').trim();
+    const seedText = String(row.seed || '').trim();
+    const region = String(row.region || '').trim();
+    const strengthText = String(row.strength || '').trim();
+
+    const problems = [];
+    if (!name) problems.push('name is missing');
+    if (!/^\d+$/.test(seedText) || parseInt(seedText) < 1 || parseInt(seedText) > SEEDS_PER_REGION) {
+      problems.push(`seed "${seedText}" must be a whole number from 1 to ${SEEDS_PER_REGION}`);
+    }
+    if (!region) problems.push('region is missing');
+    if (strengthText && !(parseFloat(strengthText) > 0 && isFinite(strengthText))) {
+      problems.push(`strength "${strengthText}" must be a number above 0`);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ row: line, message: problems.join('; ') });
+      return;
+    }
+    teams.push({
+      row: line,
+      name,
+      seed: parseInt(seedText),
+      region,
+      strength: strengthText ? parseFloat(strengthText) : null
+    });
+  });
+
+  return { teams, errors };
+}
+
+// Check the field as a whole; returns a list of { row?, message } problems
+function validateField(teams) {
+  const errors = [];
+
+  const seenNames = {};
+  teams.forEach(team => {
+    const key = team.name.toLowerCase();
+    if (seenNames[key]) {
+      errors.push({ row: team.row, message: `${team.name} is already listed on row ${seenNames[key]}` });
+    } else {
+      seenNames[key] = team.row;
+    }
+  });
+
+  const regions = [...new Set(teams.map(team => team.region))];
+  if (regions.length !== REGION_COUNT) {
+    errors.push({ message: `Expected ${REGION_COUNT} regions but found ${regions.length}: ${regions.join(', ') || 'none'}` });
+  }
+
+  let playInPairs = 0;
+  regions.forEach(region => {
+    const bySeed = {};
+    teams.filter(team => team.region === region).forEach(team => {
+      bySeed[team.seed] = bySeed[team.seed] || [];
+      bySeed[team.seed].push(team);
+    });
+
+    const missing = SEED_ORDER.filter(seed => !bySeed[seed]).sort((a, b) => a - b);
+    if (missing.length > 0) {
+      errors.push({ message: `${region} is missing seeds: ${missing.join(', ')}` });
+    }
+
+    Object.entries(bySeed).forEach(([seed, seeded]) => {
+      if (seeded.length > 2) {
+        seeded.slice(2).forEach(team => {
+          errors.push({ row: team.row, message: `${region} already has two teams seeded ${seed}` });
+        });
+      }
+      if (seeded.length >= 2) playInPairs++;
+    });
+
+    for (let i = 0; i < SEED_ORDER.length; i += 2) {
+      const [top, bottom] = [bySeed[SEED_ORDER[i]], bySeed[SEED_ORDER[i + 1]]];
+      if (top && bottom && top.length > 1 && bottom.length > 1) {
+        errors.push({
+          message: `${region} has First Four pairs on both sides of the ${SEED_ORDER[i]} vs ${SEED_ORDER[i + 1]} game`
+        });
+      }
+    }
+  });
+
+  if (playInPairs > MAX_PLAY_IN_PAIRS) {
+    errors.push({ message: `Found ${playInPairs} First Four pairs; at most ${MAX_PLAY_IN_PAIRS} are allowed` });
+  }
+
+  return errors;
+}
+
+// Summary of a valid field for the import preview
+function summarizeField(teams) {
+  const regions = {};
+  const firstFour = [];
+  teams.forEach(team => {
+    regions[team.region] = (regions[team.region] || 0) + 1;
+  });
+  Object.keys(regions).forEach(region => {
+    const bySeed = {};
+    teams.filter(team => team.region === region).forEach(team => {
+      bySeed[team.seed] = bySeed[team.seed] || [];
+      bySeed[team.seed].push(team.name);
+    });
+    Object.entries(bySeed).filter(([, names]) => names.length === 2).forEach(([seed, names]) => {
+      firstFour.push({ region, seed: parseInt(seed), teams: names });
+    });
+  });
+  return { count: teams.length, regions, firstFour };
+}
+
+module.exports = {
+  parseRows,
+  validateField,
+  summarizeField
+};
@@ -4,12 +4,39 @@ const path = require('path');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
+const { Readable } = require('stream');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const schedule = require('node-schedule');
+const bracket = require('./bracket');
+const scoring = require('./scoring');
+const bonus = require('./bonus');
+const rules = require('./rules');
+const auth = require('./auth');
+const links = require('./links');
+const packs = require('./packs');
+const field = require('./field');
+const calendar = require('./calendar');
+const payouts = require('./payouts');
+const emailQueue = require('./emailqueue');
+const templates = require('./templates');
+const standings = require('./standings');
+const live = require('./live');
+const projections = require('./projections');
+const simulation = require('./simulation');
+const ledger = require('./ledger');
+const registration = require('./registration');
+const webhooks = require('./webhooks');
+const results = require('./results');
+const audit = require('./audit');
+const { toCsv } = require('./csv');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const { ROUNDS } = bracket;
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -24,83 +51,451 @@ const db = new sqlite3.Database('./tournament.db', (err) => {
     console.error('Error opening database', err);
   } else {
     console.log('Database connected');
-    initializeDatabase();
+    initializeDatabase()
+      .then(() => {
+        // Take requests only once the tables and defaults are in place
+        startServer();
+        return scheduleAllEvents();
+      })
+      .then(() => {
+        wakeEmailWorker();
+        wakeWebhookWorker();
+      })
+      .catch(error => console.error('Error initializing database', error));
   }
 });
 
 // Initialize database tables
-function initializeDatabase() {
-  db.serialize(() => {
-    // Teams table
-    db.run(`CREATE TABLE IF NOT EXISTS teams (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      seed INTEGER NOT NULL,
-      region TEXT NOT NULL,
-      eliminated BOOLEAN DEFAULT 0
-    )`);
-
-    // Participants table
-    db.run(`CREATE TABLE IF NOT EXISTS participants (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT UNIQUE NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // Team assignments table
-    db.run(`CREATE TABLE IF NOT EXISTS team_assignments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      participant_id INTEGER NOT NULL,
-      team_id INTEGER NOT NULL,
-      is_bonus BOOLEAN DEFAULT 0,
-      FOREIGN KEY (participant_id) REFERENCES participants(id),
-      FOREIGN KEY (team_id) REFERENCES teams(id)
-    )`);
-
-    // Games table
-    db.run(`CREATE TABLE IF NOT EXISTS games (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      round TEXT NOT NULL,
-      team1_id INTEGER NOT NULL,
-      team2_id INTEGER NOT NULL,
-      winner_id INTEGER,
-      score1 INTEGER,
-      score2 INTEGER,
-      completed BOOLEAN DEFAULT 0,
-      FOREIGN KEY (team1_id) REFERENCES teams(id),
-      FOREIGN KEY (team2_id) REFERENCES teams(id),
-      FOREIGN KEY (winner_id) REFERENCES teams(id)
-    )`);
-
-    // Scores table
-    db.run(`CREATE TABLE IF NOT EXISTS scores (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      participant_id INTEGER NOT NULL,
-      week INTEGER NOT NULL,
-      points REAL DEFAULT 0,
-      overall_points REAL DEFAULT 0,
-      FOREIGN KEY (participant_id) REFERENCES participants(id)
-    )`);
-
-    // Settings table
-    db.run(`CREATE TABLE IF NOT EXISTS settings (
-      key TEXT PRIMARY KEY,
-      value TEXT
-    )`);
-
-    // Initialize default settings
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('logo_url', '')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('company_name', 'March Madness')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('email_logo_url', '')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_host', '')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_port', '587')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_user', '')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_pass', '')`);
-    db.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('from_email', '')`);
+async function initializeDatabase() {
+  // Events table
+  await dbRun(`CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    archived BOOLEAN DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Teams table
+  await dbRun(`CREATE TABLE IF NOT EXISTS teams (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    seed INTEGER NOT NULL,
+    region TEXT NOT NULL,
+    eliminated BOOLEAN DEFAULT 0,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  // Participants table
+  await dbRun(participantsTableSql('participants'));
+
+  // Team assignments table
+  await dbRun(`CREATE TABLE IF NOT EXISTS team_assignments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    participant_id INTEGER NOT NULL,
+    team_id INTEGER NOT NULL,
+    is_bonus BOOLEAN DEFAULT 0,
+    FOREIGN KEY (participant_id) REFERENCES participants(id),
+    FOREIGN KEY (team_id) REFERENCES teams(id)
+  )`);
+
+  // Games table
+  await dbRun(`CREATE TABLE IF NOT EXISTS games (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    round TEXT NOT NULL,
+    team1_id INTEGER NOT NULL,
+    team2_id INTEGER NOT NULL,
+    winner_id INTEGER,
+    score1 INTEGER,
+    score2 INTEGER,
+    completed BOOLEAN DEFAULT 0,
+    region TEXT,
+    position INTEGER,
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (team1_id) REFERENCES teams(id),
+    FOREIGN KEY (team2_id) REFERENCES teams(id),
+    FOREIGN KEY (winner_id) REFERENCES teams(id)
+  )`);
+
+  // Scores table
+  await dbRun(`CREATE TABLE IF NOT EXISTS scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    participant_id INTEGER NOT NULL,
+    week INTEGER NOT NULL,
+    points REAL DEFAULT 0,
+    overall_points REAL DEFAULT 0,
+    FOREIGN KEY (participant_id) REFERENCES participants(id)
+  )`);
+
+  // Settings table
+  await dbRun(`CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  )`);
+
+  // Per-event settings, overriding the shared settings table
+  await dbRun(`CREATE TABLE IF NOT EXISTS event_settings (
+    event_id INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    PRIMARY KEY (event_id, key),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  // Admin accounts and their sign-in sessions
+  await dbRun(`CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await dbRun(`CREATE TABLE IF NOT EXISTS admin_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES admin_users(id)
+  )`);
+
+  // Scheduled email jobs that have run
+  await dbRun(`CREATE TABLE IF NOT EXISTS job_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    job TEXT NOT NULL,
+    week INTEGER,
+    scheduled_for DATETIME NOT NULL,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    status TEXT NOT NULL DEFAULT 'running',
+    detail TEXT,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  // One weekly winners announcement per event and week
+  await dbRun(`CREATE TABLE IF NOT EXISTS weekly_announcements (
+    event_id INTEGER NOT NULL,
+    week INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    sent_by TEXT,
+    recipients INTEGER,
+    winners TEXT,
+    detail TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    PRIMARY KEY (event_id, week),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  // Prizes paid out, one per board and participant
+  await dbRun(`CREATE TABLE IF NOT EXISTS prize_payments (
+    event_id INTEGER NOT NULL,
+    board TEXT NOT NULL,
+    participant_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    method TEXT,
+    note TEXT,
+    paid_by TEXT,
+    paid_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, board, participant_id),
+    FOREIGN KEY (event_id) REFERENCES events(id),
+    FOREIGN KEY (participant_id) REFERENCES participants(id)
+  )`);
+
+  // Outbound email, sent in order by the email worker
+  await dbRun(`CREATE TABLE IF NOT EXISTS email_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT,
+    headers TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue (status, next_attempt_at)`);
+
+  // Outbound webhooks and every delivery made to them
+  await dbRun(`CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  await dbRun(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    event_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    last_error TEXT,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at DATETIME,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`);
+
+  // Weeks whose last game has been played, so week.closed goes out once
+  await dbRun(`CREATE TABLE IF NOT EXISTS week_closures (
+    event_id INTEGER NOT NULL,
+    week INTEGER NOT NULL,
+    closed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, week),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  // Who changed what, append-only
+  await dbRun(`CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    before_value TEXT,
+    after_value TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+  await dbRun(`CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log (event_id, created_at)`);
+  for (const change of ['UPDATE', 'DELETE']) {
+    await dbRun(`
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_${change.toLowerCase()} BEFORE ${change} ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END
+    `);
+  }
+
+  // Leaderboard standings after each scoring pass that changed them
+  await dbRun(`CREATE TABLE IF NOT EXISTS standings_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`);
+
+  await dbRun(`CREATE TABLE IF NOT EXISTS standings_snapshot_rows (
+    snapshot_id INTEGER NOT NULL,
+    board TEXT NOT NULL,
+    participant_id INTEGER NOT NULL,
+    rank INTEGER NOT NULL,
+    points REAL NOT NULL,
+    PRIMARY KEY (snapshot_id, board, participant_id),
+    FOREIGN KEY (snapshot_id) REFERENCES standings_snapshots(id),
+    FOREIGN KEY (participant_id) REFERENCES participants(id)
+  )`);
+
+  // Data from before events existed belongs to the first event
+  await dbRun(`INSERT OR IGNORE INTO events (id, slug, name) VALUES (1, 'main', 'March Madness')`);
+
+  // Schema upgrades for databases created by earlier versions
+  await addColumn('games', 'region TEXT');
+  await addColumn('games', 'position INTEGER');
+  await addColumn('games', 'event_id INTEGER NOT NULL DEFAULT 1');
+  await addColumn('teams', 'event_id INTEGER NOT NULL DEFAULT 1');
+  await addColumn('teams', 'strength REAL');
+  await migrateParticipantsToEvents();
+  await addColumn('participants', 'last_emailed_rank INTEGER');
+  await addColumn('email_queue', 'text TEXT');
+  await addColumn('email_queue', 'headers TEXT');
+  await addColumn('participants', 'company TEXT');
+  await addColumn('participants', 'phone TEXT');
+  await addColumn('participants', 'sales_rep TEXT');
+  await addColumn('participants', 'marketing_consent BOOLEAN');
+  for (const { column } of Object.values(emailQueue.EMAIL_PREFERENCES)) {
+    await addColumn('participants', `${column} BOOLEAN NOT NULL DEFAULT 1`);
+  }
+
+  // Each bracket slot holds at most one game
+  await dbRun(`DROP INDEX IF EXISTS idx_games_slot`);
+  await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_games_event_slot ON games (event_id, round, region, position)`);
+
+  // An event's data version goes up whenever anything a simulation reads
+  // changes, so cached simulations can be looked up without loading the input
+  await addColumn('events', 'data_version INTEGER NOT NULL DEFAULT 0');
+  const versionedTables = {
+    games: row => `${row}.event_id`,
+    teams: row => `${row}.event_id`,
+    participants: row => `${row}.event_id`,
+    team_assignments: row => `(SELECT event_id FROM participants WHERE id = ${row}.participant_id)`,
+    event_settings: row => `${row}.event_id`
+  };
+  for (const [table, eventOf] of Object.entries(versionedTables)) {
+    for (const [change, row] of [['INSERT', 'NEW'], ['UPDATE', 'NEW'], ['DELETE', 'OLD']]) {
+      await dbRun(`
+        CREATE TRIGGER IF NOT EXISTS ${table}_version_${change.toLowerCase()} AFTER ${change} ON ${table}
+        BEGIN UPDATE events SET data_version = data_version + 1 WHERE id = ${eventOf(row)}; END
+      `);
+    }
+  }
+
+  // Initialize default settings
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('logo_url', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('company_name', 'March Madness')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('email_logo_url', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_host', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_port', '587')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_user', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('smtp_pass', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('from_email', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('email_rate_per_minute', ?)`,
+    [String(emailQueue.DEFAULT_RATE_PER_MINUTE)]);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('final_four_pairings', ?)`,
+    [JSON.stringify(bracket.DEFAULT_FINAL_FOUR_PAIRINGS)]);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('active_event_id', '1')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('site_url', '')`);
+  await dbRun(`INSERT OR IGNORE INTO settings (key, value) VALUES ('link_secret', ?)`,
+    [crypto.randomBytes(32).toString('hex')]);
+
+  // A message being sent when the server stopped is tried again
+  await dbRun(`UPDATE email_queue SET status = 'pending' WHERE status = 'sending'`);
+  await dbRun(`UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'`);
+  // A weekly announcement still claimed never queued its emails; let an admin retry it
+  await dbRun(`
+    UPDATE weekly_announcements SET status = 'failed', detail = 'Stopped by a server restart before sending',
+      finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'sending'
+  `);
+  await dbRun(`
+    UPDATE job_runs SET status = 'failed', detail = 'Stopped by a server restart', finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+  `);
+
+  await migrateRegistrationWebhooks();
+
+  await createInitialAdmin();
+}
+
+// The CRM webhook URL from the Registration Form settings becomes a signed
+// webhook subscribed to participant.registered
+async function migrateRegistrationWebhooks() {
+  const rows = await dbAll(`SELECT event_id, value FROM event_settings WHERE key = 'registration_webhook_url'`);
+  for (const row of rows) {
+    await withTransaction(async () => {
+      if (row.value) {
+        await dbRun(
+          'INSERT INTO webhooks (event_id, url, secret, events) VALUES (?, ?, ?, ?)',
+          [row.event_id, row.value, webhooks.createSecret(), JSON.stringify(['participant.registered'])]
+        );
+      }
+      await dbRun(`DELETE FROM event_settings WHERE event_id = ? AND key = 'registration_webhook_url'`, [row.event_id]);
+    });
+  }
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there is none yet
+async function createInitialAdmin() {
+  const { count } = await dbGet('SELECT COUNT(*) as count FROM admin_users');
+  if (count > 0) return;
+
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.log('No admin account yet: create one from the Admin Panel or set ADMIN_USERNAME and ADMIN_PASSWORD');
+    return;
+  }
+
+  const errors = auth.validateAccount({ username, password, role: 'admin' });
+  if (errors.length > 0) {
+    console.error('Initial admin account not created:', errors.join('; '));
+    return;
+  }
+  await dbRun(
+    'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, auth.hashPassword(password), 'admin']
+  );
+  console.log(`Created admin account "${username}"`);
+}
+
+function participantsTableSql(table) {
+  return `CREATE TABLE IF NOT EXISTS ${table} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, email),
+    FOREIGN KEY (event_id) REFERENCES events(id)
+  )`;
+}
+
+// Add a column to an existing table, ignoring databases that already have it
+async function addColumn(table, definition) {
+  try {
+    await dbRun(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  } catch (error) {
+    if (!/duplicate column name/.test(error.message)) throw error;
+  }
+}
+
+// Participant emails used to be unique across the whole database. SQLite
+// can't drop that constraint in place, so copy into a table scoped by event.
+async function migrateParticipantsToEvents() {
+  const columns = await dbAll('PRAGMA table_info(participants)');
+  if (columns.some(column => column.name === 'event_id')) return;
+
+  await withTransaction(async () => {
+    await dbRun(participantsTableSql('participants_upgrade'));
+    await dbRun(`
+      INSERT INTO participants_upgrade (id, event_id, name, email, created_at)
+      SELECT id, 1, name, email, created_at FROM participants
+    `);
+    await dbRun('DROP TABLE participants');
+    await dbRun('ALTER TABLE participants_upgrade RENAME TO participants');
+  });
+}
+
+// Promise wrappers around the callback-style sqlite3 API
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function runStatement(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
   });
 }
 
+// Writes made outside a transaction wait for the one in progress, so they
+// can never land inside it and be rolled back with it
+function dbRun(sql, params = []) {
+  return currentTransaction() ? runStatement(sql, params) : enqueueWrite(() => runStatement(sql, params));
+}
+
 // Email configuration
 async function getEmailTransporter() {
   return new Promise((resolve, reject) => {
@@ -115,19 +510,20 @@ async function getEmailTransporter() {
         settings[row.key] = row.value;
       });
 
-      if (!settings.smtp_host || !settings.smtp_user || !settings.smtp_pass) {
+      if (!settings.smtp_host || !(settings.from_email || settings.smtp_user)) {
         resolve(null);
         return;
       }
 
+      // A local SMTP stand-in for testing needs no username or password
       const transporter = nodemailer.createTransport({
         host: settings.smtp_host,
         port: parseInt(settings.smtp_port) || 587,
         secure: false,
-        auth: {
+        auth: settings.smtp_user ? {
           user: settings.smtp_user,
           pass: settings.smtp_pass
-        }
+        } : undefined
       });
 
       resolve({ transporter, fromEmail: settings.from_email || settings.smtp_user });
@@ -135,641 +531,3889 @@ async function getEmailTransporter() {
   });
 }
 
-// Get settings
-async function getSettings() {
-  return new Promise((resolve, reject) => {
-    db.all(`SELECT key, value FROM settings`, (err, rows) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      const settings = {};
-      rows.forEach(row => {
-        settings[row.key] = row.value;
-      });
-      resolve(settings);
-    });
+// Add messages to the email queue and wake the worker.
+// Each message is { eventId, kind, to, subject, html, text, headers }.
+async function queueEmails(messages) {
+  if (messages.length === 0) return 0;
+  await withTransaction(async () => {
+    for (const message of messages) {
+      await dbRun(
+        'INSERT INTO email_queue (event_id, kind, recipient, subject, html, text, headers) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [
+          message.eventId, message.kind, message.to, message.subject, message.html, message.text,
+          message.headers ? JSON.stringify(message.headers) : null
+        ]
+      );
+    }
   });
+  wakeEmailWorker();
+  return messages.length;
 }
 
-// Send welcome email
-async function sendWelcomeEmail(participant, teams) {
+let emailWorkerTimer = null;
+let emailWorkerRunning = false;
+
+// Run the email worker after a delay (ms), replacing any earlier wake-up
+function wakeEmailWorker(delay = 0) {
+  afterTransaction(() => {
+    clearTimeout(emailWorkerTimer);
+    emailWorkerTimer = setTimeout(() => {
+      runEmailWorker().catch(error => console.error('Email worker error:', error));
+    }, delay);
+  });
+}
+
+// Send every due message one at a time, paced by 'email_rate_per_minute'.
+// Failures are retried with exponential backoff; when nothing is due the
+// worker sleeps until the next retry. Mail waits in the queue while email
+// isn't configured, and saving the email settings wakes the worker again.
+async function runEmailWorker() {
+  if (emailWorkerRunning) return;
+  emailWorkerRunning = true;
+
   try {
     const emailConfig = await getEmailTransporter();
     if (!emailConfig) return;
-
-    const settings = await getSettings();
     const { transporter, fromEmail } = emailConfig;
+    const interval = emailQueue.sendInterval(await getSetting(null, 'email_rate_per_minute'));
 
-    const teamsList = teams.map(t => `${t.name} (${t.seed} seed - ${t.region})`).join('<br>');
+    for (;;) {
+      const message = await dbGet(`
+        SELECT * FROM email_queue
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY id LIMIT 1
+      `);
+      if (!message) break;
 
-    const mailOptions = {
-      from: fromEmail,
-      to: participant.email,
-      subject: `Your Team Pack - ${settings.company_name || 'March Madness'} Challenge`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          ${settings.email_logo_url ? `<img src="${settings.email_logo_url}" alt="Logo" style="max-width: 200px; margin: 20px 0;">` : ''}
-          <h2>Welcome to the Team Pack Challenge!</h2>
-          <p>Hi ${participant.name},</p>
-          <p>You're all set! Here are your 4 teams:</p>
-          <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            ${teamsList}
-          </div>
-          <p>Good luck!</p>
-          <p style="margin-top: 30px; color: #666; font-size: 12px;">
-            Track your progress and check the leaderboard anytime at the challenge site.
-          </p>
-        </div>
-      `
+      await dbRun(`UPDATE email_queue SET status = 'sending', attempts = attempts + 1 WHERE id = ?`, [message.id]);
+      const attempts = message.attempts + 1;
+      try {
+        await transporter.sendMail({
+          from: fromEmail,
+          to: message.recipient,
+          subject: message.subject,
+          html: message.html,
+          text: message.text || undefined,
+          headers: message.headers ? JSON.parse(message.headers) : undefined
+        });
+        await dbRun(
+          `UPDATE email_queue SET status = 'sent', last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [message.id]
+        );
+      } catch (error) {
+        const next = emailQueue.afterFailure(attempts, error);
+        await dbRun(
+          `UPDATE email_queue SET status = ?, last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?`,
+          [next.status, error.message, `+${next.delay || 0} seconds`, message.id]
+        );
+        console.error(`Error sending email ${message.id} to ${message.recipient} (attempt ${attempts}):`, error.message);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+
+    const nextRetry = await dbGet(`
+      SELECT (julianday(MIN(next_attempt_at)) - julianday('now')) * 86400000 as wait
+      FROM email_queue WHERE status = 'pending'
+    `);
+    if (nextRetry.wait !== null) {
+      wakeEmailWorker(Math.max(nextRetry.wait, 0) + 1000);
+    }
+  } finally {
+    emailWorkerRunning = false;
+  }
+}
+
+// Webhooks
+
+// Write a delivery of an event to every active webhook subscribed to it. Runs
+// inside the caller's transaction; wake the worker once it has committed.
+async function insertWebhookDeliveries(eventId, type, data) {
+  const subscribed = (await dbAll('SELECT id, events FROM webhooks WHERE event_id = ? AND active = 1', [eventId]))
+    .filter(webhook => JSON.parse(webhook.events).includes(type));
+  if (subscribed.length === 0) return 0;
+
+  const event = await dbGet('SELECT slug, name FROM events WHERE id = ?', [eventId]);
+  const payload = JSON.stringify(webhooks.buildPayload(type, event, data));
+  for (const webhook of subscribed) {
+    await dbRun(
+      'INSERT INTO webhook_deliveries (webhook_id, event_id, type, payload) VALUES (?, ?, ?, ?)',
+      [webhook.id, eventId, type, payload]
+    );
+  }
+  return subscribed.length;
+}
+
+// Queue an event for its subscribers and wake the worker
+async function queueWebhooks(eventId, type, data) {
+  const queued = await withTransaction(() => insertWebhookDeliveries(eventId, type, data));
+  if (queued > 0) wakeWebhookWorker();
+  return queued;
+}
+
+let webhookWorkerTimer = null;
+let webhookWorkerRunning = false;
+
+// Run the webhook worker after a delay (ms), replacing any earlier wake-up
+function wakeWebhookWorker(delay = 0) {
+  afterTransaction(() => {
+    clearTimeout(webhookWorkerTimer);
+    webhookWorkerTimer = setTimeout(() => {
+      runWebhookWorker().catch(error => console.error('Webhook worker error:', error));
+    }, delay);
+  });
+}
+
+// POST a delivery, signed with its webhook's secret. Throws on anything but
+// a 2xx answer; the error carries the status when there was one.
+async function postWebhook(webhook, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: webhooks.deliveryHeaders(delivery, webhook.secret, timestamp),
+    body: delivery.payload,
+    signal: AbortSignal.timeout(webhooks.TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const error = new Error(`${webhook.url} answered ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status;
+}
+
+// Post every due delivery one at a time. Failures are retried with
+// exponential backoff; when nothing is due the worker sleeps until the next
+// retry. Deliveries for a webhook switched off in the meantime are dropped.
+async function runWebhookWorker() {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+
+  try {
+    for (;;) {
+      const delivery = await dbGet(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY id LIMIT 1
+      `);
+      if (!delivery) break;
+
+      const webhook = await dbGet('SELECT * FROM webhooks WHERE id = ?', [delivery.webhook_id]);
+      if (!webhook || !webhook.active) {
+        await dbRun(
+          `UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook is switched off' WHERE id = ?`,
+          [delivery.id]
+        );
+        continue;
+      }
+
+      await dbRun(`UPDATE webhook_deliveries SET status = 'sending', attempts = attempts + 1 WHERE id = ?`, [delivery.id]);
+      const attempts = delivery.attempts + 1;
+      try {
+        const status = await postWebhook(webhook, delivery);
+        await dbRun(`
+          UPDATE webhook_deliveries
+          SET status = 'delivered', response_status = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [status, delivery.id]);
+      } catch (error) {
+        const status = error.status || null;
+        // fetch reports refused connections and DNS failures in the cause
+        const message = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+        const next = webhooks.afterFailure(attempts, status);
+        await dbRun(`
+          UPDATE webhook_deliveries
+          SET status = ?, response_status = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+          WHERE id = ?
+        `, [next.status, status, message, `+${next.delay || 0} seconds`, delivery.id]);
+        console.error(`Error delivering webhook ${delivery.id} to ${webhook.url} (attempt ${attempts}):`, message);
+      }
+    }
+
+    const nextRetry = await dbGet(`
+      SELECT (julianday(MIN(next_attempt_at)) - julianday('now')) * 86400000 as wait
+      FROM webhook_deliveries WHERE status = 'pending'
+    `);
+    if (nextRetry.wait !== null) {
+      wakeWebhookWorker(Math.max(nextRetry.wait, 0) + 1000);
+    }
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+// Audit log
+
+// Append an entry to the audit log. eventId is null for changes outside any
+// one event (accounts, events); before and after are stored as JSON.
+function recordAudit(actor, eventId, action, { target = null, before = null, after = null } = {}) {
+  return dbRun(
+    'INSERT INTO audit_log (event_id, actor, action, target, before_value, after_value) VALUES (?, ?, ?, ?, ?, ?)',
+    [
+      eventId, actor, action, target === null ? null : String(target),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after)
+    ]
+  );
+}
+
+// Record an action taken by the signed-in admin, in the request's event
+function auditRequest(req, action, details) {
+  return recordAudit(req.user.username, req.event ? req.event.id : null, action, details);
+}
+
+// Settings shared by every event; everything else can be set per event
+const GLOBAL_SETTINGS = [
+  'smtp_host', 'smtp_port', 'smtp_user', 'smtp_pass', 'from_email', 'email_rate_per_minute',
+  'active_event_id', 'site_url', 'link_secret'
+];
+
+// Get settings, with an event's own values layered over the shared ones
+async function getSettings(eventId) {
+  const rows = await dbAll(`SELECT key, value FROM settings`);
+  const eventRows = eventId
+    ? await dbAll(`SELECT key, value FROM event_settings WHERE event_id = ?`, [eventId])
+    : [];
+
+  const settings = {};
+  rows.concat(eventRows).forEach(row => {
+    settings[row.key] = row.value;
+  });
+  return settings;
+}
+
+async function getSetting(eventId, key) {
+  const row = await dbGet(`SELECT value FROM event_settings WHERE event_id = ? AND key = ?`, [eventId, key]) ||
+    await dbGet(`SELECT value FROM settings WHERE key = ?`, [key]);
+  return row ? row.value : undefined;
+}
+
+function saveSetting(eventId, key, value) {
+  if (GLOBAL_SETTINGS.includes(key)) {
+    return dbRun(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`, [key, value]);
+  }
+  return dbRun(`INSERT OR REPLACE INTO event_settings (event_id, key, value) VALUES (?, ?, ?)`, [eventId, key, value]);
+}
+
+// Save settings for an admin request's event and log the ones that changed
+async function saveAuditedSettings(req, values) {
+  const eventId = req.event ? req.event.id : null;
+  const previous = {};
+  for (const key of Object.keys(values)) {
+    previous[key] = await getSetting(eventId, key);
+  }
+  for (const [key, value] of Object.entries(values)) {
+    await saveSetting(eventId, key, value);
+  }
+
+  const change = audit.settingsChange(previous, values);
+  if (change) {
+    await auditRequest(req, 'settings.update', { target: change.keys.join(', '), before: change.before, after: change.after });
+  }
+}
+
+async function getScoringRules(eventId) {
+  return rules.parseRules(await getSetting(eventId, 'scoring_rules'));
+}
+
+// Public address of the site, for links in emails
+async function getSiteUrl(req) {
+  const siteUrl = await getSetting(null, 'site_url');
+  if (siteUrl) return siteUrl.replace(/\/+$/, '');
+  return req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${PORT}`;
+}
+
+// Magic link that opens a participant's My Team page
+async function getTeamLink(participant, req) {
+  const [siteUrl, secret, event] = await Promise.all([
+    getSiteUrl(req),
+    getSetting(null, 'link_secret'),
+    dbGet('SELECT slug FROM events WHERE id = ?', [participant.event_id])
+  ]);
+  return `${siteUrl}/e/${event.slug}?token=${links.participantToken(participant, secret)}`;
+}
+
+// Links to a participant's email preferences page and the one-click
+// unsubscribe address for the List-Unsubscribe header
+async function getPreferenceLinks(participant, req) {
+  const [siteUrl, secret, event] = await Promise.all([
+    getSiteUrl(req),
+    getSetting(null, 'link_secret'),
+    dbGet('SELECT slug FROM events WHERE id = ?', [participant.event_id])
+  ]);
+  const token = links.preferencesToken(participant, secret);
+  return {
+    preferencesLink: `${siteUrl}/e/${event.slug}?preferences=${token}`,
+    unsubscribeUrl: `${siteUrl}/api/events/${event.slug}/unsubscribe?token=${token}`
+  };
+}
+
+// Find the participant a My Team (or other purpose) token belongs to; null
+// once the token has expired or the participant's email has changed
+async function getParticipantFromToken(token, eventId, purpose = 'team') {
+  const secret = await getSetting(null, 'link_secret');
+  const payload = links.verifyToken(token, secret, purpose);
+  if (!payload || payload.eventId !== eventId) return null;
+  const participant = await dbGet('SELECT * FROM participants WHERE id = ? AND event_id = ?', [payload.participantId, eventId]);
+  return links.tokenMatches(payload, participant) ? participant : null;
+}
+
+async function getEmailTemplates(eventId) {
+  return templates.parseTemplates(await getSetting(eventId, 'email_templates'));
+}
+
+// How a rank moved since the last daily standings email
+function describeRankChange(previous, current) {
+  if (!previous) return 'new';
+  if (previous === current) return 'no change';
+  return previous > current ? `up ${previous - current}` : `down ${current - previous}`;
+}
+
+// Template variables for each of the given participants, keyed by id: their
+// overall rank and points, this week's points, surviving teams and My Team link
+async function getEmailVariables(eventId, participants, req) {
+  const [settings, week] = await Promise.all([getSettings(eventId), getCurrentWeek(eventId)]);
+  const [scoreRows, alive] = await Promise.all([
+    dbAll(`
+      SELECT p.id, p.last_emailed_rank, s.points, s.overall_points
+      FROM participants p
+      JOIN scores s ON p.id = s.participant_id
+      WHERE p.event_id = ? AND s.week = ?
+    `, [eventId, week]),
+    getTeamsAlive(eventId)
+  ]);
+
+  const ranked = {};
+  payouts.rankRows(scoreRows, ['overall_points']).forEach(row => {
+    ranked[row.id] = row;
+  });
+
+  const variables = {};
+  for (const participant of participants) {
+    const standing = ranked[participant.id] || { rank: null, points: 0, overall_points: 0 };
+    variables[participant.id] = {
+      name: participant.name,
+      company_name: settings.company_name || 'March Madness',
+      team_link: await getTeamLink(participant, req),
+      week,
+      rank: standing.rank,
+      points: standing.overall_points.toFixed(1),
+      week_points: standing.points.toFixed(1),
+      teams_alive: alive[participant.id] || 0,
+      rank_change: describeRankChange(standing.last_emailed_rank, standing.rank)
     };
+  }
+  return variables;
+}
+
+// Render one templated email per participant and add them all to the queue.
+// `extra` adds the variables specific to this email type. Participants who
+// turned this type of email off are left out.
+async function queueTemplatedEmails(eventId, type, participants, extra = {}, req = null) {
+  const preference = emailQueue.EMAIL_PREFERENCES[type];
+  const recipients = preference ? participants.filter(participant => participant[preference.column]) : participants;
+
+  const [settings, emailTemplates, variables] = await Promise.all([
+    getSettings(eventId),
+    getEmailTemplates(eventId),
+    getEmailVariables(eventId, recipients, req)
+  ]);
+
+  const messages = [];
+  for (const participant of recipients) {
+    const { preferencesLink, unsubscribeUrl } = await getPreferenceLinks(participant, req);
+    messages.push({
+      eventId,
+      kind: type,
+      to: participant.email,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      },
+      ...templates.renderEmail(
+        emailTemplates[type],
+        {
+          ...variables[participant.id],
+          preferences_link: preferencesLink,
+          ...(typeof extra === 'function' ? extra(participant) : extra)
+        },
+        settings.email_logo_url
+      )
+    });
+  }
+  return queueEmails(messages);
+}
 
-    await transporter.sendMail(mailOptions);
+function describeTeam(team) {
+  return `${team.name} (${team.seed} seed - ${team.region})`;
+}
+
+function queueWelcomeEmail(participant, teams, req) {
+  const teamsList = teams.map(team => templates.escapeHtml(describeTeam(team))).join('<br>');
+  return queueTemplatedEmails(participant.event_id, 'welcome', [participant], { teams: teamsList }, req);
+}
+
+// Send welcome email
+async function sendWelcomeEmail(participant, teams, req) {
+  try {
+    if (!await getEmailTransporter()) return;
+
+    await queueWelcomeEmail(participant, teams, req);
   } catch (error) {
     console.error('Error sending welcome email:', error);
   }
 }
 
+// Send a registered participant the link to their team pack again
+async function sendTeamLinkEmail(participant, req) {
+  try {
+    if (!await getEmailTransporter()) return;
+
+    await queueTemplatedEmails(participant.event_id, 'team_link', [participant], {}, req);
+  } catch (error) {
+    console.error('Error sending team link email:', error);
+  }
+}
+
+// Standings table for the daily email
+function standingsTableHtml(rows) {
+  const standingsHtml = rows.map(row =>
+    `<tr>
+      <td style="padding: 10px;">${row.rank}</td>
+      <td style="padding: 10px;">${templates.escapeHtml(row.name)}</td>
+      <td style="padding: 10px;">${row.overall_points.toFixed(1)}</td>
+      <td style="padding: 10px;">${row.points.toFixed(1)}</td>
+    </tr>`
+  ).join('');
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      <thead>
+        <tr style="background: #1e3a5f; color: white;">
+          <th style="padding: 10px; text-align: left;">Rank</th>
+          <th style="padding: 10px; text-align: left;">Name</th>
+          <th style="padding: 10px; text-align: left;">Overall</th>
+          <th style="padding: 10px; text-align: left;">This Week</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${standingsHtml}
+      </tbody>
+    </table>
+  `;
+}
+
 // Send daily standings email
-async function sendDailyStandings() {
+async function sendDailyStandings(eventId) {
   try {
-    const emailConfig = await getEmailTransporter();
-    if (!emailConfig) return;
+    if (!await getEmailTransporter()) return { skipped: 'Email is not configured' };
 
-    const settings = await getSettings();
-    const { transporter, fromEmail } = emailConfig;
+    const currentWeek = await getCurrentWeek(eventId);
+    const rows = await dbAll(`
+      SELECT p.id, p.name, s.overall_points, s.points
+      FROM participants p
+      JOIN scores s ON p.id = s.participant_id
+      WHERE p.event_id = ? AND s.week = ?
+    `, [eventId, currentWeek]);
+    if (rows.length === 0) return { skipped: 'No participants yet' };
+
+    const ranked = payouts.rankRows(rows, ['overall_points']);
+    const allParticipants = await dbAll(`SELECT * FROM participants WHERE event_id = ?`, [eventId]);
+    const sent = await queueTemplatedEmails(eventId, 'daily_standings', allParticipants, {
+      standings: standingsTableHtml(ranked.slice(0, 10))
+    });
+
+    // Remember today's ranks so tomorrow's email can show the movement
+    await withTransaction(async () => {
+      for (const row of ranked) {
+        await dbRun('UPDATE participants SET last_emailed_rank = ? WHERE id = ?', [row.rank, row.id]);
+      }
+    });
+    return { sent };
+  } catch (error) {
+    console.error('Error sending daily standings:', error);
+    throw error;
+  }
+}
+
+// Everyone's points for a week with the prize they win, best first
+async function getWeeklyStandings(eventId, week) {
+  const [rows, scoringRules] = await Promise.all([
+    dbAll(`
+      SELECT p.id as participant_id, p.name, s.points, s.overall_points
+      FROM participants p
+      JOIN scores s ON p.id = s.participant_id
+      WHERE p.event_id = ? AND s.week = ?
+    `, [eventId, week]),
+    getScoringRules(eventId)
+  ]);
+  return payouts.awardPayouts(rows, scoringRules.weeklyPayouts, scoringRules.tiePolicy);
+}
+
+// Winners table for the weekly email
+function winnersTableHtml(winners) {
+  const winnersHtml = winners.map(w =>
+    `<tr>
+      <td style="padding: 10px;">${w.tied ? 'T-' : ''}${w.place}</td>
+      <td style="padding: 10px;">${templates.escapeHtml(w.name)}</td>
+      <td style="padding: 10px;">${w.points.toFixed(1)}</td>
+      <td style="padding: 10px;">$${w.amount.toFixed(2)}</td>
+    </tr>`
+  ).join('');
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; margin: 20px 0; border: 1px solid #ddd;">
+      <thead>
+        <tr style="background: #1e3a5f; color: white;">
+          <th style="padding: 10px;">Place</th>
+          <th style="padding: 10px;">Name</th>
+          <th style="padding: 10px;">Points</th>
+          <th style="padding: 10px;">Payout</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${winnersHtml}
+      </tbody>
+    </table>
+  `;
+}
+
+// Send weekly winners email
+async function sendWeeklyWinners(eventId, week) {
+  try {
+    if (!await getEmailTransporter()) return { skipped: 'Email is not configured' };
+
+    const winners = (await getWeeklyStandings(eventId, week)).filter(row => row.amount > 0);
+    if (winners.length === 0) return { skipped: 'No participants yet' };
+
+    const allParticipants = await dbAll(`SELECT * FROM participants WHERE event_id = ?`, [eventId]);
+    const sent = await queueTemplatedEmails(eventId, 'weekly_winners', allParticipants, {
+      week,
+      winners: winnersTableHtml(winners)
+    });
+    return { sent, winners };
+  } catch (error) {
+    console.error('Error sending weekly winners email:', error);
+    throw error;
+  }
+}
+
+// Send a week's winners at most once. The announcement row is claimed before
+// any mail goes out, so a second click or a scheduled run finds it and stops.
+// Only a failed send can be retried, and only with force.
+async function announceWeeklyWinners(eventId, week, { sentBy, force = false }) {
+  const existing = await dbGet('SELECT * FROM weekly_announcements WHERE event_id = ? AND week = ?', [eventId, week]);
+  if (existing && !(force && existing.status === 'failed')) {
+    return { alreadySent: existing };
+  }
+
+  const claimed = existing
+    ? (await dbRun(
+      `UPDATE weekly_announcements SET status = 'sending', sent_by = ?, detail = NULL
+       WHERE event_id = ? AND week = ? AND status = 'failed'`,
+      [sentBy, eventId, week]
+    )).changes > 0
+    : await dbRun(
+      `INSERT INTO weekly_announcements (event_id, week, status, sent_by) VALUES (?, ?, 'sending', ?)`,
+      [eventId, week, sentBy]
+    ).then(() => true, error => {
+      if (error.code === 'SQLITE_CONSTRAINT') return false;
+      throw error;
+    });
+  if (!claimed) {
+    // Someone else claimed the week between our read and write
+    return {
+      alreadySent: await dbGet('SELECT * FROM weekly_announcements WHERE event_id = ? AND week = ?', [eventId, week])
+    };
+  }
+
+  try {
+    // Queue the emails and mark the week sent together, so a row left at
+    // 'sending' by a restart means nothing went out and a retry is safe
+    const result = await withTransaction(async () => {
+      const result = await sendWeeklyWinners(eventId, week);
+      if (result.skipped) return result;
+
+      await dbRun(
+        `UPDATE weekly_announcements SET status = 'sent', recipients = ?, winners = ?, finished_at = CURRENT_TIMESTAMP
+         WHERE event_id = ? AND week = ?`,
+        [result.sent, JSON.stringify(result.winners), eventId, week]
+      );
+      await recordAudit(sentBy, eventId, 'email.weekly_winners', {
+        target: `Week ${week}`,
+        after: { recipients: result.sent, winners: result.winners, force }
+      });
+      return result;
+    });
+    if (result.skipped) {
+      await dbRun('DELETE FROM weekly_announcements WHERE event_id = ? AND week = ?', [eventId, week]);
+    }
+    return result;
+  } catch (error) {
+    await dbRun(
+      `UPDATE weekly_announcements SET status = 'failed', detail = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE event_id = ? AND week = ?`,
+      [error.message, eventId, week]
+    );
+    throw error;
+  }
+}
+
+// Send Week 2 Bonus Team email
+async function sendBonusTeamEmail(participant, team) {
+  try {
+    if (!await getEmailTransporter()) return;
+
+    await queueTemplatedEmails(participant.event_id, 'bonus_team', [participant], { bonus_team: describeTeam(team) });
+  } catch (error) {
+    console.error('Error sending bonus team email:', error);
+  }
+}
+
+async function getRegistrationFields(eventId) {
+  return registration.parseFieldConfig(await getSetting(eventId, 'registration_fields'));
+}
+
+// Tell subscribed webhooks (a CRM, say) about a new registration. Failures
+// are logged and never affect the participant.
+async function sendRegistrationWebhook(participant, teams) {
+  try {
+    await queueWebhooks(participant.event_id, 'participant.registered', {
+      participant: {
+        ...participant,
+        marketing_consent: participant.marketing_consent === null ? null : !!participant.marketing_consent
+      },
+      teams: teams.map(team => ({ name: team.name, seed: team.seed, region: team.region }))
+    });
+  } catch (error) {
+    console.error('Error queueing registration webhook:', error);
+  }
+}
+
+async function getCalendar(eventId) {
+  return calendar.parseCalendar(await getSetting(eventId, 'tournament_calendar'));
+}
+
+// The week in play: from the calendar when it has dates, otherwise the week
+// of the latest round with a result
+async function getCurrentWeek(eventId) {
+  const [eventCalendar, scoringRules] = await Promise.all([getCalendar(eventId), getScoringRules(eventId)]);
+  const week = calendar.weekAt(eventCalendar, new Date());
+  if (week) return week;
+
+  const played = await dbAll('SELECT DISTINCT round FROM games WHERE event_id = ? AND completed = 1', [eventId]);
+  const weeks = played.map(row => scoring.weekForRound(row.round, scoringRules)).filter(Boolean);
+  return weeks.length > 0 ? Math.max(...weeks) : rules.weekNumbers(scoringRules)[0];
+}
+
+// Scheduled jobs
+
+const JOBS = {
+  daily_standings: run => sendDailyStandings(run.eventId),
+  weekly_winners: async run => {
+    const result = await announceWeeklyWinners(run.eventId, run.week, { sentBy: audit.SYSTEM_ACTOR });
+    return result.alreadySent ? { skipped: `Already sent by ${result.alreadySent.sent_by}` } : result;
+  }
+};
+
+// node-schedule jobs for each event, so a calendar change can replace them
+const scheduledJobs = {};
+
+// Run a scheduled job and record how it went
+async function runJob(eventId, run) {
+  const { lastID } = await dbRun(
+    'INSERT INTO job_runs (event_id, job, week, scheduled_for) VALUES (?, ?, ?, ?)',
+    [eventId, run.job, run.week || null, run.at.toISOString()]
+  );
+
+  let status = 'success';
+  let detail = null;
+  try {
+    const result = await JOBS[run.job]({ ...run, eventId });
+    if (result && result.skipped) {
+      status = 'skipped';
+      detail = result.skipped;
+    } else if (result) {
+      detail = `Sent to ${result.sent} participant(s)`;
+    }
+  } catch (error) {
+    status = 'failed';
+    detail = error.message;
+  }
+
+  await dbRun(
+    `UPDATE job_runs SET status = ?, detail = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, detail, lastID]
+  );
+}
+
+// Replace an event's scheduled jobs with the ones its calendar calls for
+async function scheduleEventJobs(eventId) {
+  (scheduledJobs[eventId] || []).forEach(job => job.cancel());
+  scheduledJobs[eventId] = [];
+
+  const event = await dbGet('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event || event.archived) return;
+
+  const now = new Date();
+  calendar.plannedRuns(await getCalendar(eventId))
+    .filter(run => run.at > now)
+    .forEach(run => {
+      const job = schedule.scheduleJob(run.at, () => {
+        runJob(eventId, run).catch(error => console.error(`Error running ${run.job}:`, error));
+      });
+      if (job) scheduledJobs[eventId].push(job);
+    });
+}
+
+// Run the jobs that came due while the server was down
+async function runMissedJobs(eventId) {
+  const done = await dbAll('SELECT job, week, scheduled_for FROM job_runs WHERE event_id = ?', [eventId]);
+  for (const run of calendar.missedRuns(await getCalendar(eventId), new Date(), done)) {
+    await runJob(eventId, run);
+  }
+}
+
+async function scheduleAllEvents() {
+  const events = await dbAll('SELECT id FROM events WHERE archived = 0');
+  for (const event of events) {
+    await scheduleEventJobs(event.id);
+    await runMissedJobs(event.id);
+  }
+}
+
+// Admin authentication
+
+// Start a session and hand its token to the browser as an HttpOnly cookie
+async function startSession(user, req, res) {
+  const token = auth.createToken();
+  await dbRun(`DELETE FROM admin_sessions WHERE expires_at <= datetime('now')`);
+  await dbRun(
+    `INSERT INTO admin_sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))`,
+    [auth.hashToken(token), user.id, `+${auth.SESSION_HOURS} hours`]
+  );
+  res.setHeader('Set-Cookie', auth.sessionCookie(token, req.secure));
+  return { user: { id: user.id, username: user.username, role: user.role } };
+}
+
+// The session token from the cookie, or from a bearer header for API clients
+function sessionToken(req) {
+  return auth.tokenFromCookie(req.headers.cookie) || auth.tokenFromHeader(req.headers.authorization);
+}
+
+// Find the signed-in admin for a request, if any
+function getSessionUser(req) {
+  const token = sessionToken(req);
+  if (!token) return Promise.resolve(null);
+  return dbGet(`
+    SELECT u.id, u.username, u.role
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > datetime('now')
+  `, [auth.hashToken(token)]);
+}
+
+// Every admin route needs a session, and scorekeepers may only enter games
+async function requireAdmin(req, res, next) {
+  try {
+    const user = await getSessionUser(req);
+    if (!user) {
+      res.status(401).json({ error: 'Please sign in' });
+      return;
+    }
+    if (!auth.canAccess(user.role, req.method, req.path)) {
+      res.status(403).json({ error: 'Your account can only enter game results' });
+      return;
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.use(['/api/admin', '/api/events/:eventSlug/admin'], requireAdmin);
+
+// Whether the first admin account still needs to be created
+app.get('/api/auth/status', async (req, res) => {
+  try {
+    const { count } = await dbGet('SELECT COUNT(*) as count FROM admin_users');
+    res.json({ setupRequired: count === 0, user: await getSessionUser(req) || null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create the first admin account; only allowed while there are none
+app.post('/api/auth/setup', async (req, res) => {
+  const account = { username: req.body.username, password: req.body.password, role: 'admin' };
+  const errors = auth.validateAccount(account);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; '), details: errors });
+    return;
+  }
+
+  try {
+    const user = await withTransaction(async () => {
+      const { count } = await dbGet('SELECT COUNT(*) as count FROM admin_users');
+      if (count > 0) return null;
+      const result = await dbRun(
+        'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)',
+        [account.username, auth.hashPassword(account.password), account.role]
+      );
+      return { id: result.lastID, username: account.username, role: account.role };
+    });
+    if (!user) {
+      res.status(409).json({ error: 'An admin account already exists' });
+      return;
+    }
+    res.json(await startSession(user, req, res));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign in
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const user = await dbGet('SELECT * FROM admin_users WHERE username = ?', [username || '']);
+    if (!user || !auth.verifyPassword(password || '', user.password_hash)) {
+      res.status(401).json({ error: 'Incorrect username or password' });
+      return;
+    }
+    res.json(await startSession(user, req, res));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out
+app.post('/api/auth/logout', async (req, res) => {
+  const token = sessionToken(req);
+
+  try {
+    if (token) {
+      await dbRun('DELETE FROM admin_sessions WHERE token_hash = ?', [auth.hashToken(token)]);
+    }
+    res.setHeader('Set-Cookie', auth.sessionCookie(null, req.secure));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List admin accounts
+app.get('/api/admin/users', async (req, res) => {
+  try {
+    res.json(await dbAll('SELECT id, username, role, created_at FROM admin_users ORDER BY username'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an admin or scorekeeper account
+app.post('/api/admin/users', async (req, res) => {
+  const account = { username: req.body.username, password: req.body.password, role: req.body.role };
+  const errors = auth.validateAccount(account);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; '), details: errors });
+    return;
+  }
+
+  try {
+    const existing = await dbGet('SELECT id FROM admin_users WHERE username = ?', [account.username]);
+    if (existing) {
+      res.status(409).json({ error: `The username "${account.username}" is taken` });
+      return;
+    }
+
+    const result = await dbRun(
+      'INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)',
+      [account.username, auth.hashPassword(account.password), account.role]
+    );
+    await auditRequest(req, 'user.create', { target: account.username, after: { role: account.role } });
+    res.json({ id: result.lastID, username: account.username, role: account.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change an account's password
+app.put('/api/admin/users/:id/password', async (req, res) => {
+  const password = req.body.password;
+  if (!password || password.length < auth.MIN_PASSWORD_LENGTH) {
+    res.status(400).json({ error: `Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+    return;
+  }
+
+  try {
+    const account = await dbGet('SELECT username FROM admin_users WHERE id = ?', [req.params.id]);
+    if (!account) {
+      res.status(404).json({ error: 'Account not found' });
+      return;
+    }
+    await dbRun(
+      'UPDATE admin_users SET password_hash = ? WHERE id = ?',
+      [auth.hashPassword(password), req.params.id]
+    );
+    await auditRequest(req, 'user.password', { target: account.username });
+    // Sign the account out everywhere except the session making the change
+    await dbRun(
+      'DELETE FROM admin_sessions WHERE user_id = ? AND token_hash != ?',
+      [req.params.id, auth.hashToken(sessionToken(req))]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove an account and its sessions
+app.delete('/api/admin/users/:id', async (req, res) => {
+  const userId = parseInt(req.params.id);
+  if (userId === req.user.id) {
+    res.status(400).json({ error: 'You cannot remove your own account' });
+    return;
+  }
+
+  try {
+    const account = await dbGet('SELECT username, role FROM admin_users WHERE id = ?', [userId]);
+    if (!account) {
+      res.status(404).json({ error: 'Account not found' });
+      return;
+    }
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM admin_sessions WHERE user_id = ?', [userId]);
+      await dbRun('DELETE FROM admin_users WHERE id = ?', [userId]);
+    });
+    await auditRequest(req, 'user.delete', { target: account.username, before: { role: account.role } });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Events
+
+async function getActiveEvent() {
+  const row = await dbGet(`SELECT value FROM settings WHERE key = 'active_event_id'`);
+  return dbGet('SELECT * FROM events WHERE id = ?', [row ? row.value : 1]);
+}
+
+// Attach the event a request is for: the one named in the URL, or the active event
+async function resolveEvent(req, res, next) {
+  try {
+    const event = req.params.eventSlug
+      ? await dbGet('SELECT * FROM events WHERE slug = ?', [req.params.eventSlug])
+      : await getActiveEvent();
+    if (!event) {
+      res.status(404).json({ error: 'Event not found' });
+      return;
+    }
+    req.event = event;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// List events for the public event picker
+app.get('/api/events', async (req, res) => {
+  try {
+    const active = await getActiveEvent();
+    const events = await dbAll('SELECT id, slug, name, archived, created_at FROM events ORDER BY created_at DESC, id DESC');
+    res.json(events.map(event => ({ ...event, active: !!active && event.id === active.id })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List events with their size (admin)
+app.get('/api/admin/events', async (req, res) => {
+  try {
+    const active = await getActiveEvent();
+    const events = await dbAll(`
+      SELECT e.*,
+             (SELECT COUNT(*) FROM participants p WHERE p.event_id = e.id) as participant_count,
+             (SELECT COUNT(*) FROM teams t WHERE t.event_id = e.id) as team_count
+      FROM events e
+      ORDER BY e.created_at DESC, e.id DESC
+    `);
+    res.json(events.map(event => ({ ...event, active: !!active && event.id === active.id })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an event
+app.post('/api/admin/events', async (req, res) => {
+  const name = (req.body.name || '').trim();
+  const slug = (req.body.slug || '').trim().toLowerCase();
+
+  if (!name) {
+    res.status(400).json({ error: 'Event name is required' });
+    return;
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug)) {
+    res.status(400).json({ error: 'Event URL name may only use lowercase letters, numbers and dashes' });
+    return;
+  }
+
+  try {
+    const existing = await dbGet('SELECT id FROM events WHERE slug = ?', [slug]);
+    if (existing) {
+      res.status(409).json({ error: `An event called "${slug}" already exists` });
+      return;
+    }
+
+    const result = await dbRun('INSERT INTO events (slug, name) VALUES (?, ?)', [slug, name]);
+    await recordAudit(req.user.username, result.lastID, 'event.create', { target: slug, after: { slug, name } });
+    res.json(await dbGet('SELECT * FROM events WHERE id = ?', [result.lastID]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archive or restore an event; archived events are read-only
+app.post('/api/admin/events/:id/archive', async (req, res) => {
+  const archived = req.body.archived === undefined ? true : !!req.body.archived;
+
+  try {
+    const event = await dbGet('SELECT * FROM events WHERE id = ?', [req.params.id]);
+    if (!event) {
+      res.status(404).json({ error: 'Event not found' });
+      return;
+    }
+    await dbRun('UPDATE events SET archived = ? WHERE id = ?', [archived ? 1 : 0, event.id]);
+    await recordAudit(req.user.username, event.id, 'event.archive', {
+      target: event.slug,
+      before: { archived: !!event.archived },
+      after: { archived }
+    });
+    await scheduleEventJobs(parseInt(req.params.id));
+    res.json({ success: true, archived });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make an event the one served at the site root
+app.post('/api/admin/events/:id/activate', async (req, res) => {
+  try {
+    const event = await dbGet('SELECT * FROM events WHERE id = ?', [req.params.id]);
+    if (!event) {
+      res.status(404).json({ error: 'Event not found' });
+      return;
+    }
+
+    const previous = await getActiveEvent();
+    await saveSetting(null, 'active_event_id', String(event.id));
+    await recordAudit(req.user.username, event.id, 'event.activate', {
+      target: event.slug,
+      before: previous ? { slug: previous.slug } : null,
+      after: { slug: event.slug }
+    });
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API Routes
+//
+// Everything below is scoped to one event. The router is mounted at
+// /api/events/:eventSlug and, for the active event, at /api.
+const api = express.Router({ mergeParams: true });
+
+// Archived events keep their results but take no more changes
+api.use('/admin', (req, res, next) => {
+  if (req.event.archived && req.method !== 'GET') {
+    res.status(409).json({ error: 'This event is archived' });
+    return;
+  }
+  next();
+});
+
+// Get the current event, with the week in play and whether registration is open
+api.get('/event', async (req, res) => {
+  try {
+    const [eventCalendar, fields] = await Promise.all([
+      getCalendar(req.event.id),
+      getRegistrationFields(req.event.id)
+    ]);
+    res.json({
+      ...req.event,
+      currentWeek: await getCurrentWeek(req.event.id),
+      registrationOpen: !req.event.archived && calendar.registrationOpen(eventCalendar, new Date()),
+      registrationCloses: eventCalendar.registrationCloses || null,
+      roundDates: eventCalendar.roundDates,
+      registrationFields: registration.formFields(fields)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get settings
+api.get('/settings', async (req, res) => {
+  try {
+    const settings = await getSettings(req.event.id);
+    // Don't send sensitive email settings to frontend
+    delete settings.smtp_host;
+    delete settings.smtp_port;
+    delete settings.smtp_user;
+    delete settings.smtp_pass;
+    delete settings.from_email;
+    delete settings.link_secret;
+    delete settings.results_feed;
+    res.json(settings);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settings with their own validated admin endpoints
+const MANAGED_SETTINGS = [
+  'scoring_rules', 'final_four_pairings', 'active_event_id', 'link_secret', 'tournament_calendar', 'email_templates',
+  'registration_fields', 'results_feed', 'team_aliases'
+];
+
+// Update settings (admin only)
+api.post('/admin/settings', (req, res) => {
+  const updates = req.body;
+  const managed = Object.keys(updates).filter(key => MANAGED_SETTINGS.includes(key));
+  if (managed.length > 0) {
+    res.status(400).json({ error: `Use the dedicated admin endpoint to change: ${managed.join(', ')}` });
+    return;
+  }
+  saveAuditedSettings(req, updates)
+    .then(() => {
+      // New email settings may let queued mail go out
+      wakeEmailWorker();
+      res.json({ success: true });
+    })
+    .catch(err => res.status(500).json({ error: err.message }));
+});
+
+// Get scoring rules
+api.get('/scoring-rules', async (req, res) => {
+  try {
+    res.json(await getScoringRules(req.event.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update scoring rules (admin only)
+api.put('/admin/scoring-rules', async (req, res) => {
+  const scoringRules = { ...rules.DEFAULT_RULES, ...req.body };
+  const errors = rules.validateRules(scoringRules);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid scoring rules', details: errors });
+    return;
+  }
+
+  try {
+    await saveAuditedSettings(req, { scoring_rules: JSON.stringify(scoringRules) });
+    await recalculateScores(req.event.id);
+    res.json({ success: true, rules: scoringRules });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the tournament calendar with upcoming and recent job runs
+api.get('/admin/calendar', async (req, res) => {
+  try {
+    const eventCalendar = await getCalendar(req.event.id);
+    const now = new Date();
+    const [currentWeek, runs] = await Promise.all([
+      getCurrentWeek(req.event.id),
+      dbAll('SELECT * FROM job_runs WHERE event_id = ? ORDER BY id DESC LIMIT 50', [req.event.id])
+    ]);
+
+    res.json({
+      calendar: eventCalendar,
+      currentWeek,
+      registrationOpen: calendar.registrationOpen(eventCalendar, now),
+      upcoming: req.event.archived ? [] : calendar.plannedRuns(eventCalendar).filter(run => run.at > now).slice(0, 10),
+      runs
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the tournament calendar and reschedule its jobs
+api.put('/admin/calendar', async (req, res) => {
+  const eventCalendar = { ...calendar.DEFAULT_CALENDAR, ...req.body };
+
+  try {
+    const scoringRules = await getScoringRules(req.event.id);
+    const errors = calendar.validateCalendar(eventCalendar, rules.weekNumbers(scoringRules), scoringRules.weekRounds);
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid calendar', details: errors });
+      return;
+    }
+
+    await saveAuditedSettings(req, { tournament_calendar: JSON.stringify(eventCalendar) });
+    await scheduleEventJobs(req.event.id);
+    res.json({ success: true, calendar: eventCalendar });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Registration form fields
+api.get('/admin/registration', async (req, res) => {
+  try {
+    const fields = await getRegistrationFields(req.event.id);
+    const fieldNames = {};
+    Object.entries(registration.LEAD_FIELDS).forEach(([key, field]) => {
+      fieldNames[key] = field.label;
+    });
+    res.json({ fields, fieldNames });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body is { fields: { <field>: { enabled, required, label } } }
+api.put('/admin/registration', async (req, res) => {
+  const fields = req.body.fields || {};
+
+  const errors = registration.validateFieldConfig(fields);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid registration settings', details: errors });
+    return;
+  }
+
+  try {
+    const config = registration.parseFieldConfig(JSON.stringify(fields));
+    await saveAuditedSettings(req, { registration_fields: JSON.stringify(config) });
+    res.json({ success: true, fields: config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every participant with their lead fields, pack and standings, one row each
+async function getParticipantExport(eventId) {
+  const [participants, teams, scores, scoringRules] = await Promise.all([
+    dbAll(`
+      SELECT id, name, email, company, phone, sales_rep, marketing_consent, created_at
+      FROM participants WHERE event_id = ? ORDER BY id
+    `, [eventId]),
+    dbAll(`
+      SELECT ta.participant_id, ta.is_bonus, t.name, t.seed, t.region, t.eliminated
+      FROM team_assignments ta
+      JOIN teams t ON t.id = ta.team_id
+      WHERE t.event_id = ?
+      ORDER BY t.seed, t.name
+    `, [eventId]),
+    dbAll(`
+      SELECT s.participant_id, s.week, s.points, s.overall_points
+      FROM scores s
+      JOIN participants p ON p.id = s.participant_id
+      WHERE p.event_id = ?
+    `, [eventId]),
+    getScoringRules(eventId)
+  ]);
+  const weeks = rules.weekNumbers(scoringRules);
+
+  const results = {};
+  participants.forEach(participant => {
+    results[participant.id] = { overall: 0, weeks: {} };
+  });
+  scores.forEach(score => {
+    results[score.participant_id].overall = score.overall_points;
+    results[score.participant_id].weeks[score.week] = score.points;
+  });
+  const ranks = {};
+  standings.buildStandings(results, weeks, scoringRules.tiePolicy).forEach(row => {
+    ranks[`${row.board}:${row.participant_id}`] = row.rank;
+  });
+
+  const rows = participants.map(participant => {
+    const pack = teams.filter(team => team.participant_id === participant.id);
+    const row = {
+      ...participant,
+      marketing_consent: participant.marketing_consent === null ? null : !!participant.marketing_consent,
+      teams: pack.filter(team => !team.is_bonus).map(team => ({ name: team.name, seed: team.seed, region: team.region, eliminated: !!team.eliminated })),
+      bonus_team: pack.filter(team => team.is_bonus).map(team => ({ name: team.name, seed: team.seed, region: team.region, eliminated: !!team.eliminated }))[0] || null,
+      overall_points: results[participant.id].overall,
+      overall_rank: ranks[`overall:${participant.id}`]
+    };
+    weeks.forEach(week => {
+      row[`week${week}_points`] = results[participant.id].weeks[week] || 0;
+      row[`week${week}_rank`] = ranks[`week${week}:${participant.id}`];
+    });
+    return row;
+  });
+  return { rows, weeks };
+}
+
+// Participants for the CRM: ?format=csv (default) or ?format=json
+api.get('/admin/participants/export', async (req, res) => {
+  try {
+    const { rows, weeks } = await getParticipantExport(req.event.id);
+    const filename = `participants-${req.event.slug}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'json') {
+      res.attachment(`${filename}.json`);
+      res.json(rows);
+      return;
+    }
+
+    const describe = team => `${team.name} (${team.seed} ${team.region})${team.eliminated ? ' - out' : ''}`;
+    const columns = [
+      { key: 'id', label: 'ID' },
+      { key: 'name', label: 'Name' },
+      { key: 'email', label: 'Email' },
+      ...Object.entries(registration.LEAD_FIELDS).map(([key, field]) => ({ key, label: field.label })),
+      { key: 'created_at', label: 'Registered At' },
+      { key: 'teams', label: 'Teams' },
+      { key: 'bonus_team', label: 'Bonus Team' },
+      { key: 'overall_points', label: 'Overall Points' },
+      { key: 'overall_rank', label: 'Overall Rank' },
+      ...weeks.flatMap(week => [
+        { key: `week${week}_points`, label: `Week ${week} Points` },
+        { key: `week${week}_rank`, label: `Week ${week} Rank` }
+      ])
+    ];
+    res.attachment(`${filename}.csv`);
+    res.type('csv').send(toCsv(columns, rows.map(row => ({
+      ...row,
+      marketing_consent: row.marketing_consent === null ? '' : row.marketing_consent ? 'yes' : 'no',
+      teams: row.teams.map(describe).join('; '),
+      bonus_team: row.bonus_team ? describe(row.bonus_team) : ''
+    }))));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Participant management
+
+// How the audit log names a participant and shows their details
+function participantTarget(participant) {
+  return `${participant.name} <${participant.email}>`;
+}
+
+function auditParticipant(participant, teams) {
+  const values = { name: participant.name, email: participant.email };
+  Object.keys(registration.LEAD_FIELDS).forEach(key => {
+    values[key] = participant[key];
+  });
+  if (teams) values.teams = teams.map(team => (team.is_bonus ? `${team.name} (bonus)` : team.name));
+  return values;
+}
+
+function findParticipant(req, id = req.params.id) {
+  return dbGet('SELECT * FROM participants WHERE id = ? AND event_id = ?', [id, req.event.id]);
+}
+
+function getParticipantTeams(participantId) {
+  return dbAll(`
+    SELECT t.*, ta.is_bonus FROM teams t
+    JOIN team_assignments ta ON t.id = ta.team_id
+    WHERE ta.participant_id = ?
+    ORDER BY ta.is_bonus, t.seed, t.name
+  `, [participantId]);
+}
+
+// Prize payments stay on the books, so someone who has been paid can't be
+// removed until the payment is undone
+async function paidPrizeProblem(participant) {
+  const { count } = await dbGet('SELECT COUNT(*) as count FROM prize_payments WHERE participant_id = ?', [participant.id]);
+  return count > 0
+    ? `${participant.name} has prize payments recorded; remove them in the Prize Ledger first`
+    : null;
+}
+
+// Remove a participant with their pack, scores and standings history; call
+// inside a transaction
+async function deleteParticipantRows(participantId) {
+  await dbRun('DELETE FROM team_assignments WHERE participant_id = ?', [participantId]);
+  await dbRun('DELETE FROM scores WHERE participant_id = ?', [participantId]);
+  await dbRun('DELETE FROM standings_snapshot_rows WHERE participant_id = ?', [participantId]);
+  await dbRun('DELETE FROM participants WHERE id = ?', [participantId]);
+}
+
+// Participants with their teams and overall points; ?search matches any part
+// of the name, email or company
+api.get('/admin/participants', async (req, res) => {
+  const search = String(req.query.search || '').trim();
+  const params = [req.event.id];
+  if (search) params.push(...Array(3).fill(`%${search}%`));
+
+  try {
+    const [participants, teams] = await Promise.all([
+      dbAll(`
+        SELECT p.id, p.name, p.email, p.company, p.phone, p.sales_rep, p.marketing_consent, p.created_at,
+               COALESCE(MAX(s.overall_points), 0) as overall_points
+        FROM participants p
+        LEFT JOIN scores s ON s.participant_id = p.id
+        WHERE p.event_id = ? ${search ? 'AND (p.name LIKE ? OR p.email LIKE ? OR p.company LIKE ?)' : ''}
+        GROUP BY p.id
+        ORDER BY p.name COLLATE NOCASE, p.id
+      `, params),
+      dbAll(`
+        SELECT ta.participant_id, ta.is_bonus, t.id, t.name, t.seed, t.region, t.eliminated
+        FROM team_assignments ta
+        JOIN teams t ON t.id = ta.team_id
+        WHERE t.event_id = ?
+        ORDER BY ta.is_bonus, t.seed, t.name
+      `, [req.event.id])
+    ]);
+
+    res.json(participants.map(participant => ({
+      ...participant,
+      marketing_consent: participant.marketing_consent === null ? null : !!participant.marketing_consent,
+      teams: teams.filter(team => team.participant_id === participant.id).map(team => ({
+        id: team.id,
+        name: team.name,
+        seed: team.seed,
+        region: team.region,
+        eliminated: !!team.eliminated,
+        is_bonus: !!team.is_bonus
+      }))
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a participant's name, email or lead fields; only the fields in the
+// body are touched. Teams are changed through /reassign.
+api.put('/admin/participants/:id', async (req, res) => {
+  const { values, errors } = registration.validateParticipantChanges(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid participant', details: errors });
+    return;
+  }
+
+  try {
+    const participant = await findParticipant(req);
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+
+    if (values.email && values.email !== participant.email) {
+      const taken = await dbGet(
+        'SELECT name FROM participants WHERE event_id = ? AND LOWER(email) = ? AND id != ?',
+        [req.event.id, values.email, participant.id]
+      );
+      if (taken) {
+        res.status(409).json({ error: `${taken.name} is already registered as ${values.email}; merge the two instead` });
+        return;
+      }
+    }
+
+    const changed = Object.keys(values).filter(key => values[key] !== participant[key]);
+    if (changed.length > 0) {
+      const before = {};
+      const after = {};
+      changed.forEach(key => {
+        before[key] = participant[key];
+        after[key] = values[key];
+      });
+      await dbRun(
+        `UPDATE participants SET ${changed.map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+        [...changed.map(key => values[key]), participant.id]
+      );
+      await auditRequest(req, 'participant.update', { target: participantTarget(participant), before, after });
+    }
+    res.json({ success: true, changed, participant: await findParticipant(req) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Swap one of a participant's teams for another: body is { fromTeamId,
+// toTeamId }. A swapped original team must leave a pack that follows the
+// rules and that nobody else holds.
+api.post('/admin/participants/:id/reassign', async (req, res) => {
+  try {
+    const participant = await findParticipant(req);
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+
+    const own = await getParticipantTeams(participant.id);
+    const from = own.find(team => team.id === parseInt(req.body.fromTeamId));
+    const to = await dbGet('SELECT * FROM teams WHERE id = ? AND event_id = ?', [req.body.toTeamId, req.event.id]);
+    if (!from || !to) {
+      res.status(400).json({ error: 'Pick one of their teams and the team to give them instead' });
+      return;
+    }
+    if (own.some(team => team.id === to.id)) {
+      res.status(400).json({ error: `${participant.name} already has ${to.name}` });
+      return;
+    }
+
+    await withTransaction(async () => {
+      if (!from.is_bonus) {
+        const pack = own.filter(team => !team.is_bonus && team.id !== from.id).concat(to);
+        const problem = packs.reassignProblem(pack, participant.id, await getEventAssignments(req.event.id));
+        if (problem) throw new packs.PackError(problem);
+      }
+      await dbRun(
+        'UPDATE team_assignments SET team_id = ? WHERE participant_id = ? AND team_id = ?',
+        [to.id, participant.id, from.id]
+      );
+      await auditRequest(req, 'participant.reassign_team', {
+        target: participantTarget(participant),
+        before: { team: describeTeam(from), bonus: !!from.is_bonus },
+        after: { team: describeTeam(to), bonus: !!from.is_bonus }
+      });
+    });
+    await recalculateScores(req.event.id);
+    res.json({ success: true, teams: await getParticipantTeams(participant.id) });
+  } catch (error) {
+    res.status(error instanceof packs.PackError ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// Fold a duplicate registration into this participant: body is
+// { duplicateId }. This participant keeps their email, pack and scores, picks
+// up any lead fields they left blank, and the duplicate is removed.
+api.post('/admin/participants/:id/merge', async (req, res) => {
+  try {
+    const [participant, duplicate] = await Promise.all([
+      findParticipant(req),
+      findParticipant(req, req.body.duplicateId)
+    ]);
+    if (!participant || !duplicate) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+    if (participant.id === duplicate.id) {
+      res.status(400).json({ error: 'Pick a different participant to merge' });
+      return;
+    }
+    const problem = await paidPrizeProblem(duplicate);
+    if (problem) {
+      res.status(409).json({ error: problem });
+      return;
+    }
+
+    const [teams, duplicateTeams] = await Promise.all([
+      getParticipantTeams(participant.id),
+      getParticipantTeams(duplicate.id)
+    ]);
+    const filled = Object.keys(registration.LEAD_FIELDS)
+      .filter(key => participant[key] === null && duplicate[key] !== null);
+
+    await withTransaction(async () => {
+      if (filled.length > 0) {
+        await dbRun(
+          `UPDATE participants SET ${filled.map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+          [...filled.map(key => duplicate[key]), participant.id]
+        );
+      }
+      await deleteParticipantRows(duplicate.id);
+      await auditRequest(req, 'participant.merge', {
+        target: participantTarget(participant),
+        before: { kept: auditParticipant(participant, teams), duplicate: auditParticipant(duplicate, duplicateTeams) },
+        after: auditParticipant(await findParticipant(req), teams)
+      });
+    });
+    await recalculateScores(req.event.id);
+    res.json({ success: true, participant: await findParticipant(req), filled });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a participant with their pack, scores and standings history
+api.delete('/admin/participants/:id', async (req, res) => {
+  try {
+    const participant = await findParticipant(req);
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+    const problem = await paidPrizeProblem(participant);
+    if (problem) {
+      res.status(409).json({ error: problem });
+      return;
+    }
+
+    const teams = await getParticipantTeams(participant.id);
+    await withTransaction(async () => {
+      await deleteParticipantRows(participant.id);
+      await auditRequest(req, 'participant.delete', {
+        target: participantTarget(participant),
+        before: auditParticipant(participant, teams)
+      });
+    });
+    await recalculateScores(req.event.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue the welcome email with a participant's pack again, to their current address
+api.post('/admin/participants/:id/welcome', async (req, res) => {
+  try {
+    const participant = await findParticipant(req);
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+    if (!await getEmailTransporter()) {
+      res.status(400).json({ error: 'Email is not configured' });
+      return;
+    }
+
+    const teams = (await getParticipantTeams(participant.id)).filter(team => !team.is_bonus);
+    await queueWelcomeEmail(participant, teams, req);
+    await auditRequest(req, 'email.welcome', { target: participantTarget(participant), after: { to: participant.email } });
+    res.json({ success: true, to: participant.email });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check a :week parameter against the scoring rules
+async function parseWeekParam(req, res) {
+  const week = parseInt(req.params.week);
+  const weeks = rules.weekNumbers(await getScoringRules(req.event.id));
+  if (!weeks.includes(week)) {
+    res.status(404).json({ error: `There is no week ${req.params.week}` });
+    return null;
+  }
+  return week;
+}
+
+// Preview a week's winners and the email that announces them
+api.get('/admin/weekly-winners/:week', async (req, res) => {
+  try {
+    const week = await parseWeekParam(req, res);
+    if (!week) return;
+
+    const scoringRules = await getScoringRules(req.event.id);
+    const weekRounds = scoringRules.weekRounds[week];
+    const [standings, settings, emailTemplates, announcement, unplayed, recipients] = await Promise.all([
+      getWeeklyStandings(req.event.id, week),
+      getSettings(req.event.id),
+      getEmailTemplates(req.event.id),
+      dbGet('SELECT * FROM weekly_announcements WHERE event_id = ? AND week = ?', [req.event.id, week]),
+      dbGet(
+        `SELECT COUNT(*) as count FROM games WHERE event_id = ? AND completed = 0 AND round IN (${weekRounds.map(() => '?').join(', ')})`,
+        [req.event.id, ...weekRounds]
+      ),
+      dbGet('SELECT COUNT(*) as count FROM participants WHERE event_id = ? AND notify_weekly_winners = 1', [req.event.id])
+    ]);
+    const winners = standings.filter(row => row.amount > 0);
+
+    res.json({
+      week,
+      tiePolicy: scoringRules.tiePolicy,
+      winners,
+      unplayedGames: unplayed.count,
+      recipients: recipients.count,
+      email: templates.renderEmail(emailTemplates.weekly_winners, {
+        ...templates.SAMPLE_VARIABLES,
+        name: '[participant name]',
+        company_name: settings.company_name || 'March Madness',
+        week,
+        winners: winnersTableHtml(winners)
+      }, settings.email_logo_url),
+      announcement: announcement ? { ...announcement, winners: JSON.parse(announcement.winners || 'null') } : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a week's winners email; refuses if the week has already gone out
+api.post('/admin/weekly-winners/:week/send', async (req, res) => {
+  try {
+    const week = await parseWeekParam(req, res);
+    if (!week) return;
+
+    const result = await announceWeeklyWinners(req.event.id, week, {
+      sentBy: req.user.username,
+      force: !!req.body.force
+    });
+    if (result.alreadySent) {
+      const { status, sent_by: sentBy, created_at: createdAt } = result.alreadySent;
+      res.status(409).json({
+        error: status === 'failed'
+          ? `Week ${week} failed to send; retry with force to send it again`
+          : `Week ${week} winners were already ${status === 'sent' ? 'sent' : 'being sent'} by ${sentBy} at ${createdAt}`,
+        announcement: result.alreadySent
+      });
+      return;
+    }
+    if (result.skipped) {
+      res.status(400).json({ error: result.skipped });
+      return;
+    }
+    res.json({ success: true, sent: result.sent, winners: result.winners });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Email templates, with the defaults and the variables each type can use
+api.get('/admin/email-templates', async (req, res) => {
+  try {
+    const types = {};
+    Object.entries(templates.EMAIL_TYPES).forEach(([type, { label, subject, body }]) => {
+      const variables = templates.variablesFor(type);
+      types[type] = {
+        label,
+        variables,
+        rawVariables: variables.filter(name => templates.RAW_VARIABLES.includes(name)),
+        defaults: { subject, body }
+      };
+    });
+    res.json({ templates: await getEmailTemplates(req.event.id), types });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update some or all of the email templates
+api.put('/admin/email-templates', async (req, res) => {
+  const errors = templates.validateTemplates(req.body || {});
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid email templates', details: errors });
+    return;
+  }
+
+  try {
+    const emailTemplates = { ...await getEmailTemplates(req.event.id), ...req.body };
+    await saveAuditedSettings(req, { email_templates: JSON.stringify(emailTemplates) });
+    res.json({ success: true, templates: emailTemplates });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Render a template with sample values. The body may carry an unsaved
+// { subject, body } to try out; otherwise the saved template is used.
+async function renderSampleEmail(req, res) {
+  const { type } = req.params;
+  if (!templates.EMAIL_TYPES[type]) {
+    res.status(404).json({ error: `Unknown email type: ${type}` });
+    return null;
+  }
+
+  const [settings, emailTemplates] = await Promise.all([getSettings(req.event.id), getEmailTemplates(req.event.id)]);
+  const template = {
+    subject: req.body.subject || emailTemplates[type].subject,
+    body: req.body.body || emailTemplates[type].body
+  };
+  const errors = templates.validateTemplates({ [type]: template });
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid email template', details: errors });
+    return null;
+  }
+
+  return templates.renderEmail(template, {
+    ...templates.SAMPLE_VARIABLES,
+    company_name: settings.company_name || 'March Madness'
+  }, settings.email_logo_url);
+}
+
+api.post('/admin/email-templates/:type/preview', async (req, res) => {
+  try {
+    const email = await renderSampleEmail(req, res);
+    if (email) res.json(email);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a sample of a template straight to the given address, skipping the
+// queue so SMTP problems show up right away
+api.post('/admin/email-templates/:type/test', async (req, res) => {
+  const { to } = req.body;
+  if (!to || !/^[^\s@]+@[^\s@]+$/.test(to)) {
+    res.status(400).json({ error: 'Enter the address to send the test email to' });
+    return;
+  }
+
+  try {
+    const emailConfig = await getEmailTransporter();
+    if (!emailConfig) {
+      res.status(400).json({ error: 'Email is not configured' });
+      return;
+    }
+
+    const email = await renderSampleEmail(req, res);
+    if (!email) return;
+
+    await emailConfig.transporter.sendMail({
+      from: emailConfig.fromEmail,
+      to,
+      subject: `[Test] ${email.subject}`,
+      html: email.html,
+      text: email.text
+    });
+    await auditRequest(req, 'email.test', { target: req.params.type, after: { to } });
+    res.json({ success: true, to });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queued email for the event, newest first, with a count per status
+api.get('/admin/emails', async (req, res) => {
+  const { status } = req.query;
+  if (status && !emailQueue.EMAIL_STATUSES.includes(status)) {
+    res.status(400).json({ error: `Status must be one of: ${emailQueue.EMAIL_STATUSES.join(', ')}` });
+    return;
+  }
+
+  try {
+    const [emails, counts] = await Promise.all([
+      dbAll(`
+        SELECT id, kind, recipient, subject, status, attempts, last_error, next_attempt_at, created_at, sent_at
+        FROM email_queue
+        WHERE event_id = ? ${status ? 'AND status = ?' : ''}
+        ORDER BY id DESC
+        LIMIT 200
+      `, status ? [req.event.id, status] : [req.event.id]),
+      dbAll('SELECT status, COUNT(*) as count FROM email_queue WHERE event_id = ? GROUP BY status', [req.event.id])
+    ]);
+
+    const totals = {};
+    emailQueue.EMAIL_STATUSES.forEach(name => { totals[name] = 0; });
+    counts.forEach(row => { totals[row.status] = row.count; });
+    res.json({ counts: totals, emails });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put messages back in the queue to send now: one by id, or every failed one
+async function resendEmails(eventId, where, params) {
+  const result = await dbRun(`
+    UPDATE email_queue
+    SET status = 'pending', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP, sent_at = NULL
+    WHERE event_id = ? AND status != 'sending' AND ${where}
+  `, [eventId, ...params]);
+  if (result.changes > 0) wakeEmailWorker();
+  return result.changes;
+}
+
+api.post('/admin/emails/:id/resend', async (req, res) => {
+  try {
+    const queued = await resendEmails(req.event.id, 'id = ?', [req.params.id]);
+    if (queued === 0) {
+      res.status(404).json({ error: 'Email not found or still sending' });
+      return;
+    }
+    await auditRequest(req, 'email.resend', { target: `Email ${req.params.id}`, after: { queued } });
+    res.json({ success: true, queued });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+api.post('/admin/emails/resend-failed', async (req, res) => {
+  try {
+    const queued = await resendEmails(req.event.id, `status = 'failed'`, []);
+    await auditRequest(req, 'email.resend', { target: 'All failed emails', after: { queued } });
+    res.json({ success: true, queued });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Webhooks
+
+function webhookRow(webhook) {
+  return { ...webhook, events: JSON.parse(webhook.events), active: !!webhook.active };
+}
+
+// A webhook as the audit log shows it; the signing secret is never logged
+function auditWebhook(webhook) {
+  return { url: webhook.url, events: JSON.parse(webhook.events), active: !!webhook.active };
+}
+
+function findWebhook(req) {
+  return dbGet('SELECT * FROM webhooks WHERE id = ? AND event_id = ?', [req.params.id, req.event.id]);
+}
+
+// The event's webhooks with their signing secrets, and the events on offer
+api.get('/admin/webhooks', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM webhooks WHERE event_id = ? ORDER BY id', [req.event.id]);
+    res.json({ events: webhooks.WEBHOOK_EVENTS, webhooks: rows.map(webhookRow) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body is { url, events: [...] }; the signing secret is generated here
+api.post('/admin/webhooks', async (req, res) => {
+  const url = String(req.body.url || '').trim();
+  const { events } = req.body;
+  const errors = webhooks.validateWebhook({ url, events });
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid webhook', details: errors });
+    return;
+  }
+
+  try {
+    const result = await dbRun(
+      'INSERT INTO webhooks (event_id, url, secret, events) VALUES (?, ?, ?, ?)',
+      [req.event.id, url, webhooks.createSecret(), JSON.stringify([...new Set(events)])]
+    );
+    const webhook = await dbGet('SELECT * FROM webhooks WHERE id = ?', [result.lastID]);
+    await auditRequest(req, 'webhook.create', { target: `Webhook ${webhook.id}`, after: auditWebhook(webhook) });
+    res.json(webhookRow(webhook));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body may hold url, events and active; rotateSecret: true issues a new secret
+api.put('/admin/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+
+    const url = req.body.url === undefined ? webhook.url : String(req.body.url).trim();
+    const events = req.body.events === undefined ? JSON.parse(webhook.events) : req.body.events;
+    const errors = webhooks.validateWebhook({ url, events });
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid webhook', details: errors });
+      return;
+    }
+
+    const active = req.body.active === undefined ? !!webhook.active : !!req.body.active;
+    const secret = req.body.rotateSecret ? webhooks.createSecret() : webhook.secret;
+    await dbRun(
+      'UPDATE webhooks SET url = ?, events = ?, active = ?, secret = ? WHERE id = ?',
+      [url, JSON.stringify([...new Set(events)]), active ? 1 : 0, secret, webhook.id]
+    );
+    const updated = await dbGet('SELECT * FROM webhooks WHERE id = ?', [webhook.id]);
+    await auditRequest(req, 'webhook.update', {
+      target: `Webhook ${webhook.id}`,
+      before: auditWebhook(webhook),
+      after: { ...auditWebhook(updated), secretRotated: !!req.body.rotateSecret }
+    });
+    res.json(webhookRow(updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a webhook and its delivery log
+api.delete('/admin/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.id]);
+      await dbRun('DELETE FROM webhooks WHERE id = ?', [webhook.id]);
+    });
+    await auditRequest(req, 'webhook.delete', { target: `Webhook ${webhook.id}`, before: auditWebhook(webhook) });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue a signed webhook.test delivery so the receiver can check its setup
+api.post('/admin/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+    const payload = webhooks.buildPayload(webhooks.TEST_EVENT, req.event, { sent_by: req.user.username });
+    const result = await dbRun(
+      'INSERT INTO webhook_deliveries (webhook_id, event_id, type, payload) VALUES (?, ?, ?, ?)',
+      [webhook.id, req.event.id, webhooks.TEST_EVENT, JSON.stringify(payload)]
+    );
+    wakeWebhookWorker();
+    res.json({ success: true, deliveryId: result.lastID });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery log for the event, newest first, with a count per status.
+// Filter with ?status= and ?webhook=<id>.
+api.get('/admin/webhooks/deliveries', async (req, res) => {
+  const { status, webhook } = req.query;
+  if (status && !webhooks.DELIVERY_STATUSES.includes(status)) {
+    res.status(400).json({ error: `Status must be one of: ${webhooks.DELIVERY_STATUSES.join(', ')}` });
+    return;
+  }
+
+  const filters = ['d.event_id = ?'];
+  const params = [req.event.id];
+  if (status) {
+    filters.push('d.status = ?');
+    params.push(status);
+  }
+  if (webhook) {
+    filters.push('d.webhook_id = ?');
+    params.push(webhook);
+  }
+
+  try {
+    const [deliveries, counts] = await Promise.all([
+      dbAll(`
+        SELECT d.*, w.url
+        FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE ${filters.join(' AND ')}
+        ORDER BY d.id DESC
+        LIMIT 200
+      `, params),
+      dbAll('SELECT status, COUNT(*) as count FROM webhook_deliveries WHERE event_id = ? GROUP BY status', [req.event.id])
+    ]);
+
+    const totals = {};
+    webhooks.DELIVERY_STATUSES.forEach(name => { totals[name] = 0; });
+    counts.forEach(row => { totals[row.status] = row.count; });
+    res.json({ counts: totals, deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a delivery again now, with a fresh set of retries
+api.post('/admin/webhooks/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const result = await dbRun(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, last_error = NULL, response_status = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP, delivered_at = NULL
+      WHERE id = ? AND event_id = ? AND status != 'sending'
+    `, [req.params.id, req.event.id]);
+    if (result.changes === 0) {
+      res.status(404).json({ error: 'Delivery not found or still sending' });
+      return;
+    }
+    wakeWebhookWorker();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Read an uploaded CSV into plain row objects
+function readCsv(filePath) {
+  return parseCsv(fs.createReadStream(filePath));
+}
+
+// Parse a CSV stream into row objects keyed by lower-case header
+function parseCsv(stream) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    stream
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// Upload teams CSV. Send dryRun=true to validate and preview without saving,
+// and force=true to replace a field that already has packs or results.
+api.post('/admin/upload-teams', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'Attach a CSV file with columns: name, seed, region (and optionally strength)' });
+    return;
+  }
+
+  const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+  const force = String(req.body.force || req.query.force) === 'true';
+  const eventId = req.event.id;
+
+  let rows;
+  try {
+    rows = await readCsv(req.file.path);
+  } catch (error) {
+    res.status(400).json({ error: `Could not read the CSV file: ${error.message}` });
+    return;
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+
+  const parsed = field.parseRows(rows);
+  const errors = parsed.errors.concat(parsed.errors.length === 0 ? field.validateField(parsed.teams) : []);
+  if (errors.length > 0) {
+    res.status(400).json({ error: `The file has ${errors.length} problem(s)`, details: errors });
+    return;
+  }
+
+  const preview = field.summarizeField(parsed.teams);
+  if (dryRun) {
+    res.json({ dryRun: true, preview, teams: parsed.teams });
+    return;
+  }
+
+  try {
+    const result = await withTransaction(async () => {
+      // Paid prizes and closed weeks are the record of money already handed
+      // out, so a new field can't replace them even when forced
+      const [{ payments }, { closures }] = await Promise.all([
+        dbGet('SELECT COUNT(*) as payments FROM prize_payments WHERE event_id = ?', [eventId]),
+        dbGet('SELECT COUNT(*) as closures FROM week_closures WHERE event_id = ?', [eventId])
+      ]);
+      if (payments > 0 || closures > 0) {
+        return { paid: { payments, closures } };
+      }
+      const [{ assigned }, { played }] = await Promise.all([
+        dbGet(`
+          SELECT COUNT(*) as assigned FROM team_assignments
+          WHERE team_id IN (SELECT id FROM teams WHERE event_id = ?)
+        `, [eventId]),
+        dbGet('SELECT COUNT(*) as played FROM games WHERE event_id = ? AND completed = 1', [eventId])
+      ]);
+      if ((assigned > 0 || played > 0) && !force) {
+        return { conflict: { assigned, played } };
+      }
+      const { previous } = await dbGet('SELECT COUNT(*) as previous FROM teams WHERE event_id = ?', [eventId]);
+
+      await dbRun('DELETE FROM team_assignments WHERE team_id IN (SELECT id FROM teams WHERE event_id = ?)', [eventId]);
+      await dbRun(`
+        DELETE FROM standings_snapshot_rows
+        WHERE snapshot_id IN (SELECT id FROM standings_snapshots WHERE event_id = ?)
+      `, [eventId]);
+      await dbRun('DELETE FROM standings_snapshots WHERE event_id = ?', [eventId]);
+      // Announcements belong to the old field's results
+      await dbRun('DELETE FROM weekly_announcements WHERE event_id = ?', [eventId]);
+      await dbRun('DELETE FROM games WHERE event_id = ?', [eventId]);
+      await dbRun('DELETE FROM teams WHERE event_id = ?', [eventId]);
+      for (const team of parsed.teams) {
+        await dbRun('INSERT INTO teams (event_id, name, seed, region, strength) VALUES (?, ?, ?, ?, ?)',
+          [eventId, team.name, team.seed, team.region, team.strength]);
+      }
+      await auditRequest(req, 'teams.upload', {
+        target: req.file.originalname,
+        before: { teams: previous, assignments: assigned, results: played },
+        after: { teams: parsed.teams.length, regions: preview.regions }
+      });
+      const bracket = await generateBracket(eventId);
+      if (force) await applyScores(eventId);
+      return { bracket };
+    });
+
+    if (result.paid) {
+      const { payments, closures } = result.paid;
+      res.status(409).json({
+        error: `The current teams have ${payments} prize payment(s) and ${closures} closed week(s). ` +
+          'Remove the payments in the Prize Ledger and undo the results that closed those weeks first.',
+        ...result.paid
+      });
+      return;
+    }
+    if (result.conflict) {
+      const { assigned, played } = result.conflict;
+      res.status(409).json({
+        error: `The current teams have ${assigned} pack assignment(s) and ${played} completed game(s). ` +
+          'Importing will remove them; send force=true to continue.',
+        ...result.conflict
+      });
+      return;
+    }
+
+    res.json({ success: true, count: parsed.teams.length, preview, bracket: result.bracket });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace all games with a fresh First Four and Round of 64 built from the seeded field
+async function generateBracket(eventId) {
+  const teams = await dbAll('SELECT * FROM teams WHERE event_id = ?', [eventId]);
+  const { games, errors } = bracket.buildFirstRound(teams);
+  if (errors.length > 0) {
+    return { created: 0, errors };
+  }
+
+  await dbRun('DELETE FROM games WHERE event_id = ?', [eventId]);
+  for (const game of games) {
+    await dbRun(
+      'INSERT INTO games (event_id, round, region, position, team1_id, team2_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [eventId, game.round, game.region, game.position, game.team1_id, game.team2_id]
+    );
+  }
+  return { created: games.length, errors };
+}
+
+async function getFinalFourPairings(eventId) {
+  return bracket.parsePairings(await getSetting(eventId, 'final_four_pairings'));
+}
+
+function getGameInSlot(eventId, slot) {
+  return dbGet(
+    'SELECT * FROM games WHERE event_id = ? AND round = ? AND region = ? AND position = ?',
+    [eventId, slot.round, slot.region, slot.position]
+  );
+}
+
+// The game a result feeds into, if it has been created
+async function getNextGame(game) {
+  const slot = bracket.nextSlot(game, await getFinalFourPairings(game.event_id));
+  return slot ? getGameInSlot(game.event_id, slot) : null;
+}
+
+// Create or refresh the next-round game once both feeder games are decided
+async function advanceWinner(game) {
+  const pairings = await getFinalFourPairings(game.event_id);
+  const slot = bracket.nextSlot(game, pairings);
+  if (!slot) return;
+
+  let teamIds;
+  if (game.round === bracket.FIRST_FOUR) {
+    const [teams, playIns] = await Promise.all([
+      dbAll('SELECT * FROM teams WHERE event_id = ? AND region = ?', [game.event_id, slot.region]),
+      dbAll('SELECT * FROM games WHERE event_id = ? AND round = ? AND region = ?', [game.event_id, bracket.FIRST_FOUR, slot.region])
+    ]);
+    teamIds = bracket.firstRoundTeams(slot, teams, playIns);
+  } else {
+    const feeders = await Promise.all(
+      bracket.feederSlots(slot, pairings).map(feeder => getGameInSlot(game.event_id, feeder))
+    );
+    if (feeders.every(feeder => feeder && feeder.completed)) {
+      teamIds = feeders.map(feeder => feeder.winner_id);
+    }
+  }
+  if (!teamIds) return;
+
+  const [team1Id, team2Id] = teamIds;
+  const existing = await getGameInSlot(game.event_id, slot);
+  if (existing) {
+    await dbRun('UPDATE games SET team1_id = ?, team2_id = ? WHERE id = ?', [team1Id, team2Id, existing.id]);
+  } else {
+    await dbRun(
+      'INSERT INTO games (event_id, round, region, position, team1_id, team2_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [game.event_id, slot.round, slot.region, slot.position, team1Id, team2Id]
+    );
+  }
+}
+
+// Get the bracket games with team details
+api.get('/bracket', async (req, res) => {
+  try {
+    const games = await dbAll(`
+      SELECT g.*,
+             t1.name as team1_name, t1.seed as team1_seed,
+             t2.name as team2_name, t2.seed as team2_seed
+      FROM games g
+      JOIN teams t1 ON g.team1_id = t1.id
+      JOIN teams t2 ON g.team2_id = t2.id
+      WHERE g.event_id = ?
+      ORDER BY g.region, g.position
+    `, [req.event.id]);
+    games.sort((a, b) => ROUNDS.indexOf(a.round) - ROUNDS.indexOf(b.round));
+    res.json({ games, pairings: await getFinalFourPairings(req.event.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rebuild the Round of 64 from the uploaded seeds
+api.post('/admin/bracket/generate', async (req, res) => {
+  try {
+    const played = await dbGet('SELECT COUNT(*) as count FROM games WHERE event_id = ? AND completed = 1', [req.event.id]);
+    if (played.count > 0) {
+      res.status(409).json({ error: 'Results have already been entered; undo them before regenerating' });
+      return;
+    }
+
+    const generated = await generateBracket(req.event.id);
+    if (generated.errors.length > 0) {
+      res.status(400).json({ error: 'The field is incomplete', details: generated.errors });
+      return;
+    }
+    await auditRequest(req, 'bracket.generate', { after: { games: generated.created } });
+    res.json({ success: true, created: generated.created });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or clear team strength ratings for simulations: body is
+// { strengths: { <teamId>: number or null } }; null goes back to the seed rating
+api.put('/admin/team-strengths', async (req, res) => {
+  const strengths = req.body.strengths;
+  if (!strengths || typeof strengths !== 'object' || Array.isArray(strengths)) {
+    res.status(400).json({ error: 'Strengths must map team ids to ratings' });
+    return;
+  }
+
+  const errors = Object.entries(strengths)
+    .filter(([, strength]) => strength !== null && !(typeof strength === 'number' && Number.isFinite(strength) && strength > 0))
+    .map(([teamId]) => `Team ${teamId}: strength must be a number above 0 or null`);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid team strengths', details: errors });
+    return;
+  }
+
+  try {
+    const updated = await withTransaction(async () => {
+      const teams = await dbAll('SELECT id, name, strength FROM teams WHERE event_id = ?', [req.event.id]);
+      const before = {};
+      const after = {};
+      for (const team of teams) {
+        const strength = strengths[team.id];
+        if (strength === undefined || strength === team.strength) continue;
+        await dbRun('UPDATE teams SET strength = ? WHERE id = ?', [strength, team.id]);
+        before[team.name] = team.strength;
+        after[team.name] = strength;
+      }
+
+      const changed = Object.keys(after);
+      if (changed.length > 0) {
+        await auditRequest(req, 'teams.strengths', { target: changed.join(', '), before, after });
+      }
+      return changed.length;
+    });
+    res.json({ success: true, updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update which regions meet in the Final Four
+api.put('/admin/bracket/pairings', async (req, res) => {
+  const pairings = req.body.pairings;
+
+  try {
+    const regions = (await dbAll('SELECT DISTINCT region FROM teams WHERE event_id = ?', [req.event.id]))
+      .map(row => row.region);
+    const error = bracket.validatePairings(pairings, regions);
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+
+    const decided = await dbGet(`SELECT COUNT(*) as count FROM games WHERE event_id = ? AND round = 'Final Four'`, [req.event.id]);
+    if (decided.count > 0) {
+      res.status(409).json({ error: 'Final Four games already exist' });
+      return;
+    }
+
+    await saveAuditedSettings(req, { final_four_pairings: JSON.stringify(pairings) });
+    res.json({ success: true, pairings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all teams
+api.get('/teams', (req, res) => {
+  db.all('SELECT * FROM teams WHERE event_id = ? ORDER BY region, seed', [req.event.id], (err, rows) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    res.json(rows);
+  });
+});
+
+// Register participant
+api.post('/register', async (req, res) => {
+  const eventId = req.event.id;
+
+  try {
+    const { values, errors } = registration.validateRegistration(req.body, await getRegistrationFields(eventId));
+    if (errors.length > 0) {
+      res.status(400).json({ error: errors[0], details: errors });
+      return;
+    }
+    const { name, email } = values;
+
+    // Check if email already exists
+    const existingParticipant = await dbGet(
+      'SELECT * FROM participants WHERE event_id = ? AND LOWER(email) = ?',
+      [eventId, email]
+    );
+    if (existingParticipant) {
+      // Only the owner of the address gets to see the pack
+      sendTeamLinkEmail(existingParticipant, req);
+
+      res.json({
+        message: 'You have already registered. We sent a link to your team pack to your email.'
+      });
+      return;
+    }
+
+    const eventCalendar = await getCalendar(eventId);
+    if (req.event.archived || !calendar.registrationOpen(eventCalendar, new Date())) {
+      res.status(409).json({ error: 'Registration for this event is closed' });
+      return;
+    }
+
+    // Create the participant, their pack and their score rows together, so a
+    // registration that can't get a pack leaves nothing behind
+    const { participant, teams } = await withTransaction(async () => {
+      const result = await dbRun(`
+        INSERT INTO participants (event_id, name, email, company, phone, sales_rep, marketing_consent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [eventId, name, email, values.company, values.phone, values.sales_rep, values.marketing_consent]);
+      const created = { id: result.lastID, event_id: eventId, ...values };
+      const pack = await assignTeams(created.id, eventId);
+
+      const scoringRules = await getScoringRules(eventId);
+      for (const week of rules.weekNumbers(scoringRules)) {
+        await dbRun('INSERT INTO scores (participant_id, week) VALUES (?, ?)', [created.id, week]);
+      }
+      return { participant: created, teams: pack };
+    });
+
+    // Send welcome email
+    sendWelcomeEmail(participant, teams, req);
+    sendRegistrationWebhook(participant, teams);
+
+    const secret = await getSetting(null, 'link_secret');
+    res.json({
+      participant: { id: participant.id, name },
+      teams,
+      token: links.participantToken(participant, secret),
+      message: 'Registration successful! Check your email for your team pack.'
+    });
+  } catch (error) {
+    res.status(error instanceof packs.PackError ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// Give a participant a free pack; call inside a transaction so two
+// registrations can never draw the same combination
+async function assignTeams(participantId, eventId) {
+  const [teams, assignments] = await Promise.all([
+    dbAll('SELECT * FROM teams WHERE event_id = ?', [eventId]),
+    getEventAssignments(eventId)
+  ]);
+
+  const { pack, remaining, low } = packs.allocatePack(teams, assignments);
+  for (const team of pack) {
+    await dbRun('INSERT INTO team_assignments (participant_id, team_id) VALUES (?, ?)', [participantId, team.id]);
+  }
+
+  if (low) {
+    console.warn(`Event ${eventId}: only ${remaining} unique team packs left`);
+  }
+  return pack;
+}
+
+// How many unique team packs are left in an event
+async function getPackCapacity(eventId) {
+  const [teams, assignments] = await Promise.all([
+    dbAll('SELECT * FROM teams WHERE event_id = ?', [eventId]),
+    getEventAssignments(eventId)
+  ]);
+  return packs.packCapacity(teams, assignments);
+}
+
+api.get('/admin/packs', async (req, res) => {
+  try {
+    res.json(await getPackCapacity(req.event.id));
+  } catch (error) {
+    res.status(error instanceof packs.PackError ? 409 : 500).json({ error: error.message });
+  }
+});
+
+// Get the signed-in participant's own teams and scores, from their magic link token
+api.get('/my-team', async (req, res) => {
+  try {
+    const participant = await getParticipantFromToken(req.get('X-Participant-Token'), req.event.id);
+    if (!participant) {
+      res.status(401).json({ error: 'This link has expired or is no longer valid. Use the link in your latest email from us.' });
+      return;
+    }
+
+    const [teams, scores] = await Promise.all([
+      dbAll(`
+        SELECT t.*, ta.is_bonus FROM teams t
+        JOIN team_assignments ta ON t.id = ta.team_id
+        WHERE ta.participant_id = ?
+      `, [participant.id]),
+      dbAll('SELECT * FROM scores WHERE participant_id = ? ORDER BY week', [participant.id])
+    ]);
+
+    res.json({
+      participant: { id: participant.id, name: participant.name, email: participant.email },
+      teams,
+      scores
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The participant whose email preferences a request is for: a preferences
+// token from an email link, or the My Team token the page already holds
+function getPreferencesParticipant(req) {
+  const token = req.query.token || req.body.token;
+  return token
+    ? getParticipantFromToken(token, req.event.id, 'preferences')
+    : getParticipantFromToken(req.get('X-Participant-Token'), req.event.id);
+}
+
+function describePreferences(participant) {
+  const preferences = {};
+  Object.entries(emailQueue.EMAIL_PREFERENCES).forEach(([type, { label, column }]) => {
+    preferences[type] = { label, enabled: !!participant[column] };
+  });
+  return { name: participant.name, email: participant.email, preferences };
+}
+
+api.get('/email-preferences', async (req, res) => {
+  try {
+    const participant = await getPreferencesParticipant(req);
+    if (!participant) {
+      res.status(401).json({ error: 'This link is not valid' });
+      return;
+    }
+    res.json(describePreferences(participant));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn emails on or off: { daily_standings: false, ... }
+api.put('/email-preferences', async (req, res) => {
+  const updates = Object.entries(req.body).filter(([type]) => emailQueue.EMAIL_PREFERENCES[type]);
+  if (updates.some(([, enabled]) => typeof enabled !== 'boolean')) {
+    res.status(400).json({ error: 'Preferences must be true or false' });
+    return;
+  }
+
+  try {
+    const participant = await getPreferencesParticipant(req);
+    if (!participant) {
+      res.status(401).json({ error: 'This link is not valid' });
+      return;
+    }
+
+    for (const [type, enabled] of updates) {
+      await dbRun(
+        `UPDATE participants SET ${emailQueue.EMAIL_PREFERENCES[type].column} = ? WHERE id = ?`,
+        [enabled ? 1 : 0, participant.id]
+      );
+    }
+    res.json(describePreferences(await dbGet('SELECT * FROM participants WHERE id = ?', [participant.id])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One-click unsubscribe (RFC 8058): mail clients POST to the address in the
+// List-Unsubscribe header, which turns off every optional email
+api.post('/unsubscribe', async (req, res) => {
+  try {
+    const participant = await getParticipantFromToken(req.query.token, req.event.id, 'preferences');
+    if (!participant) {
+      res.status(401).json({ error: 'This link is not valid' });
+      return;
+    }
+
+    const columns = Object.values(emailQueue.EMAIL_PREFERENCES).map(({ column }) => `${column} = 0`);
+    await dbRun(`UPDATE participants SET ${columns.join(', ')} WHERE id = ?`, [participant.id]);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Someone opening the unsubscribe address in a browser gets the preferences
+// page instead, so a link scanner can't unsubscribe anyone
+api.get('/unsubscribe', (req, res) => {
+  res.redirect(`/e/${req.event.slug}?preferences=${encodeURIComponent(req.query.token || '')}`);
+});
+
+// Live updates for the event's pages: 'game' and 'upset' when a result is
+// entered or undone, 'standings' when anyone's points or rank change
+api.get('/stream', (req, res) => {
+  live.subscribe(req.event.id, req, res);
+});
+
+// Get a participant's public details: name, teams and scores
+api.get('/participant/:id', (req, res) => {
+  const participantId = req.params.id;
+
+  db.get('SELECT id, name FROM participants WHERE id = ? AND event_id = ?', [participantId, req.event.id], (err, participant) => {
+    if (err) {
+      res.status(500).json({ error: err.message });
+      return;
+    }
+    if (!participant) {
+      res.status(404).json({ error: 'Participant not found' });
+      return;
+    }
+
+    db.all(`
+      SELECT t.*, ta.is_bonus FROM teams t
+      JOIN team_assignments ta ON t.id = ta.team_id
+      WHERE ta.participant_id = ?
+    `, [participantId], (err, teams) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+        return;
+      }
+
+      db.all('SELECT * FROM scores WHERE participant_id = ?', [participantId], (err, scores) => {
+        if (err) {
+          res.status(500).json({ error: err.message });
+          return;
+        }
+
+        // Overall rank after each change in the standings
+        db.all(`
+          SELECT ss.created_at, r.rank, r.points
+          FROM standings_snapshot_rows r
+          JOIN standings_snapshots ss ON ss.id = r.snapshot_id
+          WHERE r.participant_id = ? AND r.board = 'overall'
+          ORDER BY ss.id
+        `, [participantId], (err, rankHistory) => {
+          if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+          }
+
+          res.json({ participant, teams, scores, rankHistory });
+        });
+      });
+    });
+  });
+});
+
+// Get leaderboard: 'overall' or 'week<n>', best first, with tie-aware ranks,
+// movement since the previous standings snapshot and teams still alive
+api.get('/leaderboard/:type', async (req, res) => {
+  try {
+    const scoringRules = await getScoringRules(req.event.id);
+    const board = standings.parseBoard(req.params.type, rules.weekNumbers(scoringRules));
+    if (!board) {
+      res.status(404).json({ error: `Unknown leaderboard: ${req.params.type}` });
+      return;
+    }
+
+    const [rows, alive, previousRanks] = await Promise.all([
+      dbAll(`
+        SELECT p.id, p.name,
+               COALESCE(MAX(s.overall_points), 0) as overall_points,
+               COALESCE(SUM(CASE WHEN s.week = ? THEN s.points END), 0) as week_points
+        FROM participants p
+        LEFT JOIN scores s ON p.id = s.participant_id
+        WHERE p.event_id = ?
+        GROUP BY p.id
+      `, [board.week, req.event.id]),
+      getTeamsAlive(req.event.id),
+      getPreviousRanks(req.event.id, board.key)
+    ]);
+
+    const boardPayouts = board.week ? scoringRules.weeklyPayouts : scoringRules.overallPayouts;
+    const ranked = payouts.awardPayouts(
+      rows.map(row => ({ ...row, points: board.week ? row.week_points : row.overall_points })),
+      boardPayouts,
+      scoringRules.tiePolicy
+    );
+
+    res.json(ranked.map(row => ({
+      ...row,
+      previous_rank: previousRanks[row.id] || null,
+      rank_change: standings.rankChange(previousRanks[row.id], row.rank),
+      teams_alive: alive[row.id] || 0
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everything projections work from, for one event
+async function getProjectionInput(eventId) {
+  const [participants, teams, assignments, games, pairings, scoringRules] = await Promise.all([
+    dbAll('SELECT id, name FROM participants WHERE event_id = ? ORDER BY id', [eventId]),
+    dbAll('SELECT id, name, seed, region, strength FROM teams WHERE event_id = ?', [eventId]),
+    getEventAssignments(eventId),
+    dbAll('SELECT * FROM games WHERE event_id = ?', [eventId]),
+    getFinalFourPairings(eventId),
+    getScoringRules(eventId)
+  ]);
+  return { input: { participants, teams, assignments, games, pairings }, scoringRules };
+}
+
+// Most points each participant can still reach, overall and per week, and
+// whether they are mathematically out of the money on each board
+api.get('/projections', async (req, res) => {
+  try {
+    const { input, scoringRules } = await getProjectionInput(req.event.id);
+    res.json({
+      weeks: rules.weekNumbers(scoringRules),
+      participants: projections.projectParticipants(input, scoringRules)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Projected leaderboards for hypothetical results: body is
+// { picks: { '<round>|<region>|<position>': teamId } }. Returns the bracket
+// slots with known teams (so the next picks can be offered) and the boards.
+api.post('/projections/what-if', async (req, res) => {
+  const picks = req.body.picks || {};
+  if (typeof picks !== 'object' || Array.isArray(picks)) {
+    res.status(400).json({ error: 'Picks must map bracket slots to team ids' });
+    return;
+  }
+
+  try {
+    const { input, scoringRules } = await getProjectionInput(req.event.id);
+    const { slots, boards } = projections.whatIf(input, picks, scoringRules);
+
+    const names = {};
+    input.teams.forEach(team => {
+      names[team.id] = team;
+    });
+    res.json({
+      slots: slots.map(slot => ({
+        ...slot,
+        team1_name: names[slot.team1_id].name,
+        team1_seed: names[slot.team1_id].seed,
+        team2_name: names[slot.team2_id].name,
+        team2_seed: names[slot.team2_id].seed
+      })),
+      boards
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent simulations, keyed on the event's data version so they are reused
+// until results, packs, ratings or rules change. A few are kept so an
+// admin's test run doesn't push out the public one. Runs still in progress
+// are cached too, so simultaneous requests share one run.
+const SIMULATION_CACHE_SIZE = 8;
+const simulationCache = new Map();
+
+function cachedSimulation(key, run) {
+  if (simulationCache.has(key)) {
+    // Move it to the back so the least recently used run goes first
+    const result = simulationCache.get(key);
+    simulationCache.delete(key);
+    simulationCache.set(key, result);
+    return result;
+  }
+
+  const result = run();
+  simulationCache.set(key, result);
+  result.catch(() => simulationCache.delete(key));
+  if (simulationCache.size > SIMULATION_CACHE_SIZE) {
+    simulationCache.delete(simulationCache.keys().next().value);
+  }
+  return result;
+}
+
+// Chance each participant finishes in the money, overall and per week, from
+// simulated tournaments. Admins may pass ?iterations= and ?seed= to change
+// the run; everyone else gets the default one. The same seed and results
+// always give the same numbers.
+api.get('/probabilities', async (req, res) => {
+  try {
+    const [{ data_version: version }, user] = await Promise.all([
+      dbGet('SELECT data_version FROM events WHERE id = ?', [req.event.id]),
+      getSessionUser(req)
+    ]);
+    const options = user && user.role === 'admin'
+      ? { iterations: req.query.iterations, seed: req.query.seed }
+      : {};
+    const key = JSON.stringify([req.event.id, version, options]);
+
+    res.json(await cachedSimulation(key, async () => {
+      const { input, scoringRules } = await getProjectionInput(req.event.id);
+      return simulation.simulateInWorker(input, scoringRules, options);
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prize ledger
+
+// Paid places on every board, whether each board is final, and what has been
+// paid against them
+async function getPrizeLedger(eventId) {
+  const [{ input, scoringRules }, participants, scores, payments] = await Promise.all([
+    getProjectionInput(eventId),
+    dbAll('SELECT id, name, email FROM participants WHERE event_id = ?', [eventId]),
+    dbAll(`
+      SELECT s.participant_id, s.week, s.points, s.overall_points
+      FROM scores s
+      JOIN participants p ON p.id = s.participant_id
+      WHERE p.event_id = ?
+    `, [eventId]),
+    dbAll(`
+      SELECT pp.*, p.name, p.email
+      FROM prize_payments pp
+      LEFT JOIN participants p ON p.id = pp.participant_id
+      WHERE pp.event_id = ?
+    `, [eventId])
+  ]);
+
+  const points = {};
+  scores.forEach(score => {
+    points[score.participant_id] = points[score.participant_id] || { overall: score.overall_points, weeks: {} };
+    points[score.participant_id].weeks[score.week] = score.points;
+  });
+  const totals = participant => points[participant.id] || { overall: 0, weeks: {} };
+
+  const field = projections.createBracket(input.teams, input.games, input.pairings);
+  const weeks = rules.weekNumbers(scoringRules);
+  const boards = [null, ...weeks].map(week => {
+    const rows = participants.map(participant => ({
+      participant_id: participant.id,
+      name: participant.name,
+      email: participant.email,
+      points: week ? totals(participant).weeks[week] || 0 : totals(participant).overall,
+      overall_points: totals(participant).overall
+    }));
+    const rounds = week ? scoringRules.weekRounds[week] : weeks.flatMap(w => scoringRules.weekRounds[w]);
+    return {
+      key: standings.boardKey(week),
+      label: week ? `Week ${week}` : 'Overall',
+      final: projections.roundsComplete(field, rounds),
+      winners: payouts.paidPlaces(
+        rows,
+        week ? scoringRules.weeklyPayouts : scoringRules.overallPayouts,
+        scoringRules.tiePolicy
+      )
+    };
+  });
+
+  return {
+    boards: boards.map(({ key, label, final }) => ({ key, label, final })),
+    ...ledger.buildLedger(boards, payments)
+  };
+}
+
+api.get('/admin/prizes', async (req, res) => {
+  try {
+    res.json(await getPrizeLedger(req.event.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settlement report for finance: ?format=csv (default) or ?format=html, a
+// page ready to print or save as PDF
+api.get('/admin/prizes/settlement', async (req, res) => {
+  try {
+    const prizeLedger = await getPrizeLedger(req.event.id);
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `prize-settlement-${req.event.slug}-${date}`;
+
+    if (req.query.format === 'html') {
+      res.type('html').send(ledger.settlementHtml(prizeLedger, req.event.name, new Date().toISOString()));
+      return;
+    }
+    res.attachment(`${filename}.csv`);
+    res.type('csv').send(ledger.settlementCsv(prizeLedger));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a prize as paid, for the amount currently owed: body is
+// { method?, note? }. Only prizes on final boards can be paid.
+api.put('/admin/prizes/:board/:participantId/payment', async (req, res) => {
+  const method = String(req.body.method || '').trim();
+  const note = String(req.body.note || '').trim();
+  if (method.length > 100 || note.length > 500) {
+    res.status(400).json({ error: 'Method must be at most 100 characters and note at most 500' });
+    return;
+  }
+
+  try {
+    const prizeLedger = await getPrizeLedger(req.event.id);
+    const board = prizeLedger.boards.find(b => b.key === req.params.board);
+    if (!board) {
+      res.status(404).json({ error: `Unknown prize: ${req.params.board}` });
+      return;
+    }
+    const entry = prizeLedger.entries.find(e =>
+      e.board === board.key && e.participant_id === parseInt(req.params.participantId) && e.owed > 0
+    );
+    if (!entry) {
+      res.status(404).json({ error: `That participant has no ${board.label} prize` });
+      return;
+    }
+    if (!board.final) {
+      res.status(409).json({ error: `${board.label} isn't final yet; its games are still being played` });
+      return;
+    }
+
+    await dbRun(`
+      INSERT OR REPLACE INTO prize_payments (event_id, board, participant_id, amount, method, note, paid_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [req.event.id, board.key, entry.participant_id, entry.owed, method || null, note || null, req.user.username]);
+    await auditRequest(req, 'prize.paid', {
+      target: `${board.label}: ${entry.name}`,
+      after: { amount: entry.owed, method: method || null, note: note || null }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo a payment record
+api.delete('/admin/prizes/:board/:participantId/payment', async (req, res) => {
+  try {
+    const payment = await dbGet(`
+      SELECT pp.*, p.name FROM prize_payments pp
+      LEFT JOIN participants p ON p.id = pp.participant_id
+      WHERE pp.event_id = ? AND pp.board = ? AND pp.participant_id = ?
+    `, [req.event.id, req.params.board, req.params.participantId]);
+    if (!payment) {
+      res.status(404).json({ error: 'No payment recorded for that prize' });
+      return;
+    }
+    await dbRun(
+      'DELETE FROM prize_payments WHERE event_id = ? AND board = ? AND participant_id = ?',
+      [req.event.id, req.params.board, req.params.participantId]
+    );
+    const board = (await getPrizeLedger(req.event.id)).boards.find(b => b.key === payment.board);
+    await auditRequest(req, 'prize.unpaid', {
+      target: `${board ? board.label : payment.board}: ${payment.name}`,
+      before: { amount: payment.amount, method: payment.method, note: payment.note, paid_by: payment.paid_by }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audit log for the event, newest first, with account and event changes
+// that belong to no event. Filters: ?action, ?actor, ?target (any part),
+// ?from and ?to (UTC dates) and ?limit.
+api.get('/admin/audit', async (req, res) => {
+  const { filters, errors } = audit.parseFilters(req.query);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid filters', details: errors });
+    return;
+  }
+
+  const conditions = ['(event_id = ? OR event_id IS NULL)'];
+  const params = [req.event.id];
+  if (filters.action) {
+    conditions.push('action = ?');
+    params.push(filters.action);
+  }
+  if (filters.actor) {
+    conditions.push('actor = ?');
+    params.push(filters.actor);
+  }
+  if (filters.target) {
+    conditions.push('target LIKE ?');
+    params.push(`%${filters.target}%`);
+  }
+  if (filters.from) {
+    conditions.push('date(created_at) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push('date(created_at) <= ?');
+    params.push(filters.to);
+  }
+
+  try {
+    const [entries, actors] = await Promise.all([
+      dbAll(`
+        SELECT * FROM audit_log
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ?
+      `, [...params, filters.limit]),
+      dbAll('SELECT DISTINCT actor FROM audit_log WHERE event_id = ? OR event_id IS NULL ORDER BY actor', [req.event.id])
+    ]);
+    res.json({
+      actions: audit.AUDIT_ACTIONS,
+      actors: actors.map(row => row.actor),
+      entries: entries.map(entry => ({
+        ...entry,
+        before_value: entry.before_value === null ? null : JSON.parse(entry.before_value),
+        after_value: entry.after_value === null ? null : JSON.parse(entry.after_value)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin game entry
+
+// Look up a game with its team names and seeds
+function getGameWithTeams(gameId) {
+  return dbGet(`
+    SELECT g.*,
+           t1.name as team1_name, t1.seed as team1_seed, t1.region as team1_region,
+           t2.name as team2_name, t2.seed as team2_seed, t2.region as team2_region
+    FROM games g
+    JOIN teams t1 ON g.team1_id = t1.id
+    JOIN teams t2 ON g.team2_id = t2.id
+    WHERE g.id = ?
+  `, [gameId]);
+}
+
+// How the audit log names a game and shows its state
+function gameTarget(game) {
+  return `Game ${game.id}: ${game.team1_name} vs ${game.team2_name}`;
+}
+
+function auditGame(game) {
+  return {
+    round: game.round,
+    region: game.region,
+    teams: [game.team1_name, game.team2_name],
+    score: game.completed ? [game.score1, game.score2] : null,
+    winner: game.completed ? (game.winner_id === game.team1_id ? game.team1_name : game.team2_name) : null
+  };
+}
+
+// Look up a game in the request's event
+function findGame(req) {
+  return dbGet('SELECT * FROM games WHERE id = ? AND event_id = ?', [req.params.id, req.event.id]);
+}
+
+// List games, optionally filtered by round
+api.get('/admin/games', async (req, res) => {
+  try {
+    const params = [req.event.id];
+    let where = 'WHERE g.event_id = ?';
+    if (req.query.round) {
+      where += ' AND g.round = ?';
+      params.push(req.query.round);
+    }
+
+    const games = await dbAll(`
+      SELECT g.*,
+             t1.name as team1_name, t1.seed as team1_seed, t1.region as team1_region,
+             t2.name as team2_name, t2.seed as team2_seed, t2.region as team2_region
+      FROM games g
+      JOIN teams t1 ON g.team1_id = t1.id
+      JOIN teams t2 ON g.team2_id = t2.id
+      ${where}
+      ORDER BY g.id
+    `, params);
+
+    games.sort((a, b) => ROUNDS.indexOf(a.round) - ROUNDS.indexOf(b.round));
+    res.json(games);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a matchup
+api.post('/admin/games', async (req, res) => {
+  const round = req.body.round || 'Round of 64';
+  const team1Id = parseInt(req.body.team1Id);
+  const team2Id = parseInt(req.body.team2Id);
+
+  if (!ROUNDS.includes(round)) {
+    res.status(400).json({ error: `Unknown round: ${round}` });
+    return;
+  }
+  if (!team1Id || !team2Id || team1Id === team2Id) {
+    res.status(400).json({ error: 'Two different teams are required' });
+    return;
+  }
+
+  try {
+    const teams = await dbAll('SELECT * FROM teams WHERE event_id = ? AND id IN (?, ?)', [req.event.id, team1Id, team2Id]);
+    if (teams.length !== 2) {
+      res.status(400).json({ error: 'Team not found' });
+      return;
+    }
+
+    const scheduled = await dbGet(`
+      SELECT id FROM games
+      WHERE event_id = ? AND round = ? AND (team1_id IN (?, ?) OR team2_id IN (?, ?))
+    `, [req.event.id, round, team1Id, team2Id, team1Id, team2Id]);
+    if (scheduled) {
+      res.status(409).json({ error: `One of these teams already has a ${round} game` });
+      return;
+    }
+
+    // Standard first-round matchups take their place in the bracket
+    const slot = round === ROUNDS[0] ? bracket.firstRoundSlot(teams[0], teams[1]) : null;
+    const result = await dbRun(
+      'INSERT INTO games (event_id, round, region, position, team1_id, team2_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.event.id, round, slot && slot.region, slot && slot.position, team1Id, team2Id]
+    );
+    const created = await getGameWithTeams(result.lastID);
+    await auditRequest(req, 'game.create', { target: gameTarget(created), after: auditGame(created) });
+    res.json(created);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit a matchup that has not been played yet
+api.put('/admin/game/:id', async (req, res) => {
+  try {
+    const game = await findGame(req);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    if (game.completed) {
+      res.status(409).json({ error: 'Undo the result before changing the matchup' });
+      return;
+    }
+
+    const round = req.body.round || game.round;
+    const team1Id = parseInt(req.body.team1Id) || game.team1_id;
+    const team2Id = parseInt(req.body.team2Id) || game.team2_id;
+    if (!ROUNDS.includes(round)) {
+      res.status(400).json({ error: `Unknown round: ${round}` });
+      return;
+    }
+    if (team1Id === team2Id) {
+      res.status(400).json({ error: 'Two different teams are required' });
+      return;
+    }
+    // Games in a bracket slot are filled in by the games that feed them
+    const changed = round !== game.round || team1Id !== game.team1_id || team2Id !== game.team2_id;
+    if (changed && game.position !== null) {
+      res.status(400).json({ error: 'This game has a place in the bracket; undo or regenerate the games that feed it instead' });
+      return;
+    }
+    const teams = await dbAll('SELECT * FROM teams WHERE event_id = ? AND id IN (?, ?)', [req.event.id, team1Id, team2Id]);
+    if (teams.length !== 2) {
+      res.status(400).json({ error: 'Team not found' });
+      return;
+    }
+
+    const scheduled = await dbGet(`
+      SELECT id FROM games
+      WHERE event_id = ? AND round = ? AND id != ? AND (team1_id IN (?, ?) OR team2_id IN (?, ?))
+    `, [req.event.id, round, game.id, team1Id, team2Id, team1Id, team2Id]);
+    if (scheduled) {
+      res.status(400).json({ error: `One of these teams already has a ${round} game` });
+      return;
+    }
+
+    // A standard first-round matchup takes its place in the bracket, as when added
+    const slot = round === ROUNDS[0] ? bracket.firstRoundSlot(teams[0], teams[1]) : null;
+    const before = await getGameWithTeams(game.id);
+    await dbRun(
+      'UPDATE games SET round = ?, region = ?, position = ?, team1_id = ?, team2_id = ? WHERE id = ?',
+      [round, slot && slot.region, slot && slot.position, team1Id, team2Id, game.id]
+    );
+    const updated = await getGameWithTeams(game.id);
+    await auditRequest(req, 'game.update', { target: gameTarget(updated), before: auditGame(before), after: auditGame(updated) });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a matchup that has not been played yet
+api.delete('/admin/game/:id', async (req, res) => {
+  try {
+    const game = await findGame(req);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    if (game.completed) {
+      res.status(409).json({ error: 'Undo the result before deleting the game' });
+      return;
+    }
+
+    const before = await getGameWithTeams(game.id);
+    await dbRun('DELETE FROM games WHERE id = ?', [game.id]);
+    await auditRequest(req, 'game.delete', { target: gameTarget(before), before: auditGame(before) });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enter or correct a game result (admin)
+api.post('/admin/game/:id/score', async (req, res) => {
+  const score1 = parseInt(req.body.score1);
+  const score2 = parseInt(req.body.score2);
+
+  try {
+    const game = await findGame(req);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    if (isNaN(score1) || isNaN(score2)) {
+      res.status(400).json({ error: 'Both scores are required' });
+      return;
+    }
+
+    // Default the winner to the higher score
+    let winnerId = parseInt(req.body.winnerId);
+    if (!winnerId) {
+      if (score1 === score2) {
+        res.status(400).json({ error: 'Scores are tied; pick a winner' });
+        return;
+      }
+      winnerId = score1 > score2 ? game.team1_id : game.team2_id;
+    }
+    if (winnerId !== game.team1_id && winnerId !== game.team2_id) {
+      res.status(400).json({ error: 'Winner must be one of the teams in this game' });
+      return;
+    }
+    const nextGame = await getNextGame(game);
+    if (nextGame && nextGame.completed && game.winner_id !== winnerId) {
+      res.status(409).json({ error: 'The next-round game has been played; undo it first' });
+      return;
+    }
 
-    // Get current week
-    const currentWeek = await getCurrentWeek();
-    
-    // Get top 10 participants
-    const participants = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT p.name, p.email, s.overall_points, s.points as week_points
-        FROM participants p
-        JOIN scores s ON p.id = s.participant_id
-        WHERE s.week = ?
-        ORDER BY s.overall_points DESC
-        LIMIT 10
-      `, [currentWeek], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+    const before = await getGameWithTeams(game.id);
+    // The result and the scores it changes are saved together
+    const result = await withTransaction(async () => {
+      await recordResult(game, score1, score2, winnerId);
+      const saved = await getGameWithTeams(game.id);
+      await auditRequest(req, 'game.score', {
+        target: gameTarget(saved),
+        before: before.completed ? auditGame(before) : null,
+        after: auditGame(saved)
       });
+      await sendGameWebhook(req.event.id, saved, !!game.completed);
+      await applyScores(req.event.id);
+      return saved;
     });
+    publishResult(req.event.id, result, before);
+    res.json({ success: true, game: result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (participants.length === 0) return;
+// Save a game's result, eliminate the losing team and move the winner on.
+// A corrected result brings the previous loser back.
+async function recordResult(game, score1, score2, winnerId) {
+  if (game.completed && game.winner_id) {
+    const previousLoserId = game.winner_id === game.team1_id ? game.team2_id : game.team1_id;
+    await dbRun('UPDATE teams SET eliminated = 0 WHERE id = ?', [previousLoserId]);
+  }
 
-    const standingsHtml = participants.map((p, idx) => 
-      `<tr>
-        <td>${idx + 1}</td>
-        <td>${p.name}</td>
-        <td>${p.overall_points.toFixed(1)}</td>
-        <td>${p.week_points.toFixed(1)}</td>
-      </tr>`
-    ).join('');
+  const loserId = winnerId === game.team1_id ? game.team2_id : game.team1_id;
+  await dbRun(`
+    UPDATE games
+    SET score1 = ?, score2 = ?, winner_id = ?, completed = 1
+    WHERE id = ?
+  `, [score1, score2, winnerId, game.id]);
+  await dbRun('UPDATE teams SET eliminated = 1 WHERE id = ?', [loserId]);
+  await advanceWinner({ ...game, winner_id: winnerId });
+}
 
-    // Send to all participants
-    const allParticipants = await new Promise((resolve, reject) => {
-      db.all(`SELECT name, email FROM participants`, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+// Whether the lower seed won a completed game
+function isUpset(game) {
+  const [winnerSeed, loserSeed] = game.winner_id === game.team1_id
+    ? [game.team1_seed, game.team2_seed]
+    : [game.team2_seed, game.team1_seed];
+  return !!game.completed && winnerSeed > loserSeed;
+}
 
-    for (const participant of allParticipants) {
-      const mailOptions = {
-        from: fromEmail,
-        to: participant.email,
-        subject: `Daily Standings - ${settings.company_name || 'March Madness'} Challenge`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            ${settings.email_logo_url ? `<img src="${settings.email_logo_url}" alt="Logo" style="max-width: 200px; margin: 20px 0;">` : ''}
-            <h2>Today's Standings</h2>
-            <p>Hi ${participant.name},</p>
-            <p>Here's where everyone stands:</p>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-              <thead>
-                <tr style="background: #1e3a5f; color: white;">
-                  <th style="padding: 10px; text-align: left;">Rank</th>
-                  <th style="padding: 10px; text-align: left;">Name</th>
-                  <th style="padding: 10px; text-align: left;">Overall</th>
-                  <th style="padding: 10px; text-align: left;">This Week</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${standingsHtml}
-              </tbody>
-            </table>
-            <p>Keep tracking your teams!</p>
-          </div>
-        `
-      };
+// Tell live pages about a result, and about an upset when the lower seed won
+// or when a corrected or undone result (before) had been an upset
+function publishResult(eventId, game, before = null) {
+  live.publish(eventId, 'game', { game });
+  if (isUpset(game) || (before && isUpset(before))) {
+    live.publish(eventId, 'upset', { game });
+  }
+}
 
-      await transporter.sendMail(mailOptions);
-    }
+// Queue game.completed for a new or corrected result
+async function sendGameWebhook(eventId, game, corrected) {
+  const team = side => ({
+    id: game[`${side}_id`],
+    name: game[`${side}_name`],
+    seed: game[`${side}_seed`],
+    region: game[`${side}_region`],
+    score: game[side === 'team1' ? 'score1' : 'score2']
+  });
+  try {
+    await queueWebhooks(eventId, 'game.completed', {
+      game: {
+        id: game.id,
+        round: game.round,
+        region: game.region,
+        position: game.position,
+        team1: team('team1'),
+        team2: team('team2'),
+        winner_id: game.winner_id,
+        upset: isUpset(game),
+        corrected
+      }
+    });
   } catch (error) {
-    console.error('Error sending daily standings:', error);
+    console.error('Error queueing game webhook:', error);
   }
 }
 
-// Send weekly winners email
-async function sendWeeklyWinners(week) {
+// Undo a game result (admin)
+api.delete('/admin/game/:id/score', async (req, res) => {
   try {
-    const emailConfig = await getEmailTransporter();
-    if (!emailConfig) return;
+    const game = await findGame(req);
+    if (!game) {
+      res.status(404).json({ error: 'Game not found' });
+      return;
+    }
+    if (!game.completed) {
+      res.status(409).json({ error: 'Game has no result to undo' });
+      return;
+    }
 
-    const settings = await getSettings();
-    const { transporter, fromEmail } = emailConfig;
+    const nextGame = await getNextGame(game);
+    if (nextGame && nextGame.completed) {
+      res.status(409).json({ error: 'The next-round game has been played; undo it first' });
+      return;
+    }
+    const before = await getGameWithTeams(game.id);
 
-    const winners = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT p.name, p.email, s.points
-        FROM participants p
-        JOIN scores s ON p.id = s.participant_id
-        WHERE s.week = ?
-        ORDER BY s.points DESC
-        LIMIT 3
-      `, [week], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
+    await withTransaction(async () => {
+      if (nextGame) {
+        await dbRun('DELETE FROM games WHERE id = ?', [nextGame.id]);
+      }
+      const loserId = game.winner_id === game.team1_id ? game.team2_id : game.team1_id;
+      await dbRun('UPDATE teams SET eliminated = 0 WHERE id = ?', [loserId]);
+      await dbRun(`
+        UPDATE games
+        SET score1 = NULL, score2 = NULL, winner_id = NULL, completed = 0
+        WHERE id = ?
+      `, [game.id]);
+      await auditRequest(req, 'game.unscore', { target: gameTarget(before), before: auditGame(before) });
+      await applyScores(req.event.id);
     });
+    const result = await getGameWithTeams(game.id);
+    publishResult(req.event.id, result, before);
+    res.json({ success: true, game: result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (winners.length === 0) return;
-
-    const payouts = [50, 25, 10];
-    const winnersHtml = winners.map((w, idx) => 
-      `<tr>
-        <td style="padding: 10px;">${idx + 1}</td>
-        <td style="padding: 10px;">${w.name}</td>
-        <td style="padding: 10px;">${w.points.toFixed(1)}</td>
-        <td style="padding: 10px;">$${payouts[idx]}</td>
-      </tr>`
-    ).join('');
-
-    // Send to all participants
-    const allParticipants = await new Promise((resolve, reject) => {
-      db.all(`SELECT name, email FROM participants`, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+// Results import
 
-    for (const participant of allParticipants) {
-      const mailOptions = {
-        from: fromEmail,
-        to: participant.email,
-        subject: `Week ${week} Winners - ${settings.company_name || 'March Madness'} Challenge`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            ${settings.email_logo_url ? `<img src="${settings.email_logo_url}" alt="Logo" style="max-width: 200px; margin: 20px 0;">` : ''}
-            <h2>Week ${week} Winners!</h2>
-            <p>Hi ${participant.name},</p>
-            <p>Congratulations to our week ${week} winners:</p>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0; border: 1px solid #ddd;">
-              <thead>
-                <tr style="background: #1e3a5f; color: white;">
-                  <th style="padding: 10px;">Place</th>
-                  <th style="padding: 10px;">Name</th>
-                  <th style="padding: 10px;">Points</th>
-                  <th style="padding: 10px;">Payout</th>
-                </tr>
-              </thead>
-              <tbody>
-                ${winnersHtml}
-              </tbody>
-            </table>
-            <p>Keep playing for the overall championship!</p>
-          </div>
-        `
-      };
+async function getResultsFeed(eventId) {
+  const [feed, aliases] = await Promise.all([
+    getSetting(eventId, 'results_feed'),
+    getSetting(eventId, 'team_aliases')
+  ]);
+  return { feed: results.parseFeedConfig(feed), aliases: results.parseAliases(aliases) };
+}
 
-      await transporter.sendMail(mailOptions);
+// Parsed results data from an uploaded file (.json, otherwise CSV) or the
+// event's feed URL: { source, format, data }
+async function readResultsSource(file, feed) {
+  if (file) {
+    try {
+      const isJson = file.originalname.toLowerCase().endsWith('.json') || file.mimetype === 'application/json';
+      if (!isJson) return { source: file.originalname, format: 'csv', data: await readCsv(file.path) };
+      try {
+        return { source: file.originalname, format: 'json', data: JSON.parse(await fs.promises.readFile(file.path, 'utf8')) };
+      } catch (error) {
+        throw new results.ImportError(`${file.originalname} is not valid JSON: ${error.message}`);
+      }
+    } finally {
+      fs.unlink(file.path, () => {});
     }
+  }
+
+  if (!feed.url) throw new results.ImportError('Attach a results file or set a feed URL');
+  let text;
+  try {
+    const response = await fetch(feed.url, { signal: AbortSignal.timeout(15000) });
+    if (!response.ok) throw new Error(`answered ${response.status}`);
+    text = await response.text();
   } catch (error) {
-    console.error('Error sending weekly winners email:', error);
+    throw new results.ImportError(`Couldn't fetch ${feed.url}: ${error.message}`);
+  }
+  if (feed.format === 'csv') {
+    return { source: feed.url, format: 'csv', data: await parseCsv(Readable.from([text])) };
+  }
+  try {
+    return { source: feed.url, format: 'json', data: JSON.parse(text) };
+  } catch (error) {
+    throw new results.ImportError(`${feed.url} did not return valid JSON: ${error.message}`);
   }
 }
 
-// Helper function to get current week
-async function getCurrentWeek() {
-  const now = new Date();
-  // This is a simplified version - you'd want to set actual tournament dates
-  return 1; // Default to week 1
-}
+// Read the results and work out what they'd change. The fingerprint covers
+// the changes, so an import can check nothing moved since the admin looked.
+async function planResultsImport(eventId, file) {
+  const { feed, aliases } = await getResultsFeed(eventId);
+  const { source, format, data } = await readResultsSource(file, feed);
+  const extracted = results.extractResults(data, feed.mapping, format);
 
-// API Routes
+  const [teams, games, pairings] = await Promise.all([
+    dbAll('SELECT id, name, seed, region FROM teams WHERE event_id = ?', [eventId]),
+    dbAll('SELECT * FROM games WHERE event_id = ?', [eventId]),
+    getFinalFourPairings(eventId)
+  ]);
+  const plan = results.planImport({ teams, games, pairings }, extracted.results, aliases);
 
-// Get settings
-app.get('/api/settings', async (req, res) => {
+  return {
+    source,
+    skipped: extracted.skipped,
+    changes: plan.changes,
+    unchanged: plan.unchanged,
+    errors: extracted.errors.concat(plan.errors).sort((a, b) => (a.row || 0) - (b.row || 0)),
+    fingerprint: crypto.createHash('sha256').update(JSON.stringify(plan.changes)).digest('hex')
+  };
+}
+
+// Feed URL, format and field mapping, plus team aliases
+api.get('/admin/results/feed', async (req, res) => {
   try {
-    const settings = await getSettings();
-    // Don't send sensitive email settings to frontend
-    delete settings.smtp_host;
-    delete settings.smtp_port;
-    delete settings.smtp_user;
-    delete settings.smtp_pass;
-    delete settings.from_email;
-    res.json(settings);
+    res.json({ ...(await getResultsFeed(req.event.id)), formats: results.FEED_FORMATS });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update settings (admin only)
-app.post('/api/admin/settings', (req, res) => {
-  const updates = req.body;
-  const promises = Object.entries(updates).map(([key, value]) => {
-    return new Promise((resolve, reject) => {
-      db.run(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`, [key, value], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-  });
+// Body is { feed: { url, format, mapping }, aliases: { <provider name>: <team name> } }
+api.put('/admin/results/feed', async (req, res) => {
+  const feed = req.body.feed || {};
+  const aliases = req.body.aliases || {};
+  const config = results.parseFeedConfig(JSON.stringify({ ...feed, url: String(feed.url || '').trim() }));
 
-  Promise.all(promises)
-    .then(() => res.json({ success: true }))
-    .catch(err => res.status(500).json({ error: err.message }));
+  try {
+    const teams = await dbAll('SELECT name FROM teams WHERE event_id = ?', [req.event.id]);
+    const errors = results.validateFeedConfig(config).concat(
+      results.validateAliases(aliases, teams.map(team => team.name))
+    );
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid results feed settings', details: errors });
+      return;
+    }
+
+    await saveAuditedSettings(req, { results_feed: JSON.stringify(config), team_aliases: JSON.stringify(aliases) });
+    res.json({ success: true, feed: config, aliases });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Upload teams CSV
-app.post('/api/admin/upload-teams', upload.single('file'), (req, res) => {
-  const filePath = req.file.path;
-  const teams = [];
+// What a results file (or the feed, with no file) would change. Nothing is saved.
+api.post('/admin/results/preview', upload.single('file'), async (req, res) => {
+  try {
+    res.json(await planResultsImport(req.event.id, req.file));
+  } catch (error) {
+    res.status(error instanceof results.ImportError ? 400 : 500).json({ error: error.message });
+  }
+});
 
-  fs.createReadStream(filePath)
-    .pipe(csv())
-    .on('data', (row) => {
-      teams.push({
-        name: row.name || row.team,
-        seed: parseInt(row.seed),
-        region: row.region
-      });
-    })
-    .on('end', () => {
-      // Clear existing teams
-      db.run('DELETE FROM teams', (err) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
+// Apply a previewed import: send the same file (or none, for the feed) with
+// the preview's fingerprint. Games are completed in bracket order, then
+// scores are recalculated once. The results, their webhooks and the new
+// scores are saved together.
+api.post('/admin/results/import', upload.single('file'), async (req, res) => {
+  let plan;
+  try {
+    plan = await planResultsImport(req.event.id, req.file);
+  } catch (error) {
+    res.status(error instanceof results.ImportError ? 400 : 500).json({ error: error.message });
+    return;
+  }
+  if (plan.fingerprint !== req.body.fingerprint) {
+    res.status(409).json({ error: 'The results or the bracket changed since the preview; review them again' });
+    return;
+  }
+  if (plan.changes.length === 0) {
+    res.json({ success: true, imported: 0, games: [] });
+    return;
+  }
 
-        // Insert new teams
-        const stmt = db.prepare('INSERT INTO teams (name, seed, region) VALUES (?, ?, ?)');
-        teams.forEach(team => {
-          stmt.run(team.name, team.seed, team.region);
+  try {
+    const saved = await withTransaction(async () => {
+      const completed = [];
+      for (const change of plan.changes) {
+        const game = await getGameInSlot(req.event.id, change);
+        if (!game || game.team1_id !== change.team1_id || game.team2_id !== change.team2_id) {
+          throw new Error(`The ${change.round} game between ${change.team1_name} and ${change.team2_name} is missing`);
+        }
+        const before = await getGameWithTeams(game.id);
+        await recordResult(game, change.score1, change.score2, change.winner_id);
+        const after = await getGameWithTeams(game.id);
+        await auditRequest(req, 'game.score', {
+          target: gameTarget(after),
+          before: before.completed ? auditGame(before) : null,
+          after: { ...auditGame(after), source: plan.source }
         });
-        stmt.finalize();
-
-        fs.unlinkSync(filePath);
-        res.json({ success: true, count: teams.length });
+        await sendGameWebhook(req.event.id, after, !!game.completed);
+        completed.push({ game: after, before });
+      }
+      await auditRequest(req, 'results.import', {
+        target: plan.source,
+        after: { completed: plan.changes.filter(change => change.action === 'complete').length,
+          corrected: plan.changes.filter(change => change.action === 'update').length }
       });
-    })
-    .on('error', (error) => {
-      res.status(500).json({ error: error.message });
+      await applyScores(req.event.id);
+      return completed;
     });
-});
 
-// Get all teams
-app.get('/api/teams', (req, res) => {
-  db.all('SELECT * FROM teams ORDER BY region, seed', (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows);
-  });
+    saved.forEach(({ game, before }) => publishResult(req.event.id, game, before));
+    res.json({ success: true, imported: saved.length, games: saved.map(({ game }) => game) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Register participant
-app.post('/api/register', async (req, res) => {
-  const { name, email } = req.body;
-
-  // Check if email already exists
-  db.get('SELECT * FROM participants WHERE email = ?', [email], async (err, existingParticipant) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-
-    if (existingParticipant) {
-      // Return existing teams
-      db.all(`
-        SELECT t.* FROM teams t
-        JOIN team_assignments ta ON t.id = ta.team_id
-        WHERE ta.participant_id = ? AND ta.is_bonus = 0
-      `, [existingParticipant.id], (err, teams) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        res.json({ 
-          participant: existingParticipant, 
-          teams,
-          message: 'You have already registered. Here are your teams.' 
-        });
-      });
-      return;
-    }
+// Team assignments for everyone in an event
+function getEventAssignments(eventId) {
+  return dbAll(`
+    SELECT ta.participant_id, ta.team_id, ta.is_bonus
+    FROM team_assignments ta
+    JOIN participants p ON p.id = ta.participant_id
+    WHERE p.event_id = ?
+  `, [eventId]);
+}
 
-    // Create new participant
-    db.run('INSERT INTO participants (name, email) VALUES (?, ?)', [name, email], function(err) {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
+// Run a unit of work inside a single SQLite transaction
+//
+// All requests share one connection, so transactions are queued rather than
+// nested: a second BEGIN would fail while another transaction is open, and a
+// write from another request would become part of the open transaction. The
+// transaction a piece of work belongs to follows it through every await
+// (AsyncLocalStorage), so its own writes go straight through while everyone
+// else's wait in the queue. A transaction started inside another joins it.
+const transactionContext = new AsyncLocalStorage();
+let transactionQueue = Promise.resolve();
 
-      const participantId = this.lastID;
+function enqueueWrite(task) {
+  const run = transactionQueue.then(task);
+  transactionQueue = run.catch(() => {});
+  return run;
+}
 
-      // Assign teams
-      assignTeams(participantId, (err, teams) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
+// The open transaction the caller is part of, if any. Timers started inside
+// a transaction keep its context after it ends; they count as outside.
+function currentTransaction() {
+  const transaction = transactionContext.getStore();
+  return transaction && transaction.open ? transaction : null;
+}
 
-        // Initialize scores
-        for (let week = 1; week <= 3; week++) {
-          db.run('INSERT INTO scores (participant_id, week) VALUES (?, ?)', [participantId, week]);
-        }
+// Run a callback once the caller's transaction commits (straight away outside
+// one), detached from it: background work must not see uncommitted rows or
+// write inside the transaction
+function afterTransaction(callback) {
+  const transaction = currentTransaction();
+  if (transaction) transaction.afterCommit.push(callback);
+  else transactionContext.exit(callback);
+}
 
-        // Send welcome email
-        sendWelcomeEmail({ id: participantId, name, email }, teams);
+function withTransaction(work) {
+  if (currentTransaction()) return work();
 
-        res.json({ 
-          participant: { id: participantId, name, email }, 
-          teams,
-          message: 'Registration successful! Check your email for your team pack.' 
-        });
-      });
+  return enqueueWrite(() => {
+    const transaction = { open: true, afterCommit: [] };
+    return transactionContext.run(transaction, async () => {
+      await runStatement('BEGIN IMMEDIATE');
+      let result;
+      try {
+        result = await work();
+        await runStatement('COMMIT');
+      } catch (error) {
+        await runStatement('ROLLBACK');
+        throw error;
+      } finally {
+        transaction.open = false;
+      }
+      transaction.afterCommit.forEach(callback => transactionContext.exit(callback));
+      return result;
     });
   });
-});
+}
 
-// Assign teams to participant
-function assignTeams(participantId, callback) {
-  // Get all teams
-  db.all('SELECT * FROM teams', (err, allTeams) => {
-    if (err) {
-      callback(err);
-      return;
-    }
+// Recalculations run one at a time so their transactions never overlap
+let recalculationQueue = Promise.resolve();
 
-    // Get all existing assignments to ensure uniqueness
-    db.all('SELECT team_id, participant_id FROM team_assignments WHERE is_bonus = 0', (err, existingAssignments) => {
-      if (err) {
-        callback(err);
-        return;
-      }
+// Recalculate scores for an event
+function recalculateScores(eventId) {
+  const run = recalculationQueue.then(() => applyScores(eventId));
+  recalculationQueue = run.catch(() => {});
+  return run;
+}
 
-      // Group teams by seed ranges
-      const tier1 = allTeams.filter(t => t.seed >= 1 && t.seed <= 3);
-      const tier2 = allTeams.filter(t => t.seed >= 4 && t.seed <= 6);
-      const tier3 = allTeams.filter(t => t.seed >= 7 && t.seed <= 10);
-      const tier4 = allTeams.filter(t => t.seed >= 11 && t.seed <= 16);
-
-      let selectedTeams = [];
-      let attempts = 0;
-      const maxAttempts = 1000;
-
-      while (attempts < maxAttempts) {
-        selectedTeams = [];
-        
-        // Select one from each tier
-        selectedTeams.push(tier1[Math.floor(Math.random() * tier1.length)]);
-        selectedTeams.push(tier2[Math.floor(Math.random() * tier2.length)]);
-        selectedTeams.push(tier3[Math.floor(Math.random() * tier3.length)]);
-        selectedTeams.push(tier4[Math.floor(Math.random() * tier4.length)]);
-
-        // Check constraints
-        const regions = selectedTeams.map(t => t.region);
-        const regionCounts = {};
-        regions.forEach(r => regionCounts[r] = (regionCounts[r] || 0) + 1);
-        
-        // No more than 2 from same region
-        if (Object.values(regionCounts).some(count => count > 2)) {
-          attempts++;
-          continue;
-        }
+async function applyScores(eventId) {
+  const [participants, teams, assignments, games, pairings, scoringRules] = await Promise.all([
+    dbAll('SELECT id, name FROM participants WHERE event_id = ? ORDER BY id', [eventId]),
+    dbAll('SELECT id, seed, region FROM teams WHERE event_id = ?', [eventId]),
+    getEventAssignments(eventId),
+    dbAll('SELECT * FROM games WHERE event_id = ?', [eventId]),
+    getFinalFourPairings(eventId),
+    getScoringRules(eventId)
+  ]);
 
-        // Check if combination already exists
-        const teamIds = selectedTeams.map(t => t.id).sort();
-        const combinationExists = existingAssignments.some(assignment => {
-          const existingTeams = existingAssignments
-            .filter(a => a.participant_id === assignment.participant_id)
-            .map(a => a.team_id)
-            .sort();
-          return JSON.stringify(teamIds) === JSON.stringify(existingTeams);
-        });
+  const results = scoring.computeScores({ participants, teams, assignments, games }, scoringRules);
+  const weeks = rules.weekNumbers(scoringRules);
+  const ranks = standings.buildStandings(results, weeks, scoringRules.tiePolicy);
 
-        if (!combinationExists) {
-          break;
-        }
+  const { changed, webhooksQueued } = await withTransaction(async () => {
+    // Drop weeks that the current rules no longer have
+    await dbRun(`
+      DELETE FROM scores
+      WHERE participant_id IN (SELECT id FROM participants WHERE event_id = ?)
+        AND week NOT IN (${weeks.map(() => '?').join(', ')})
+    `, [eventId, ...weeks]);
 
-        attempts++;
+    for (const participant of participants) {
+      const result = results[participant.id];
+      for (const [week, points] of Object.entries(result.weeks)) {
+        const updated = await dbRun(
+          'UPDATE scores SET points = ?, overall_points = ? WHERE participant_id = ? AND week = ?',
+          [points, result.overall, participant.id, week]
+        );
+        if (updated.changes === 0) {
+          await dbRun(
+            'INSERT INTO scores (participant_id, week, points, overall_points) VALUES (?, ?, ?, ?)',
+            [participant.id, week, points, result.overall]
+          );
+        }
       }
+    }
 
-      // Insert assignments
-      const stmt = db.prepare('INSERT INTO team_assignments (participant_id, team_id) VALUES (?, ?)');
-      selectedTeams.forEach(team => {
-        stmt.run(participantId, team.id);
-      });
-      stmt.finalize((err) => {
-        if (err) {
-          callback(err);
-        } else {
-          callback(null, selectedTeams);
-        }
-      });
-    });
+    const saved = await saveStandingsSnapshot(eventId, ranks);
+    let queued = 0;
+    if (saved) {
+      queued += await insertWebhookDeliveries(eventId, 'standings.updated', standingsWebhookData(participants, ranks));
+    }
+    const field = projections.createBracket(teams, games, pairings);
+    queued += await updateWeekClosures(eventId, field, participants, results, scoringRules);
+    return { changed: saved, webhooksQueued: queued };
   });
+
+  if (changed) live.publish(eventId, 'standings');
+  if (webhooksQueued > 0) wakeWebhookWorker();
+  return results;
 }
 
-// Get participant data
-app.get('/api/participant/:id', (req, res) => {
-  const participantId = req.params.id;
+// Every board for a standings.updated webhook: { standings: { overall: [...], week<n>: [...] } }
+function standingsWebhookData(participants, ranks) {
+  const names = {};
+  participants.forEach(participant => {
+    names[participant.id] = participant.name;
+  });
 
-  db.get('SELECT * FROM participants WHERE id = ?', [participantId], (err, participant) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
+  const boards = {};
+  ranks.forEach(row => {
+    boards[row.board] = boards[row.board] || [];
+    boards[row.board].push({ participant_id: row.participant_id, name: names[row.participant_id], rank: row.rank, points: row.points });
+  });
+  Object.values(boards).forEach(rows => rows.sort((a, b) => a.rank - b.rank));
+  return { standings: boards };
+}
 
-    db.all(`
-      SELECT t.*, ta.is_bonus FROM teams t
-      JOIN team_assignments ta ON t.id = ta.team_id
-      WHERE ta.participant_id = ?
-    `, [participantId], (err, teams) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
+// Record weeks whose games have all been played and queue week.closed, with
+// the week's prize winners, for each newly closed week. An undone result
+// reopens its week, so it closes again when the result is re-entered.
+// Runs inside applyScores' transaction; returns the deliveries queued.
+async function updateWeekClosures(eventId, field, participants, results, scoringRules) {
+  const weeks = rules.weekNumbers(scoringRules);
+  const closed = new Set((await dbAll('SELECT week FROM week_closures WHERE event_id = ?', [eventId])).map(row => row.week));
+  let queued = 0;
 
-      db.all('SELECT * FROM scores WHERE participant_id = ?', [participantId], (err, scores) => {
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
+  for (const week of weeks) {
+    const complete = projections.roundsComplete(field, scoringRules.weekRounds[week]);
+    if (!complete) {
+      if (closed.has(week)) await dbRun('DELETE FROM week_closures WHERE event_id = ? AND week = ?', [eventId, week]);
+      continue;
+    }
+    if (closed.has(week)) continue;
 
-        res.json({ participant, teams, scores });
-      });
-    });
-  });
-});
+    await dbRun('INSERT INTO week_closures (event_id, week) VALUES (?, ?)', [eventId, week]);
+    const rows = participants.map(participant => ({
+      participant_id: participant.id,
+      name: participant.name,
+      points: results[participant.id].weeks[week],
+      overall_points: results[participant.id].overall
+    }));
+    const winners = payouts.paidPlaces(rows, scoringRules.weeklyPayouts, scoringRules.tiePolicy)
+      .map(row => ({ participant_id: row.participant_id, name: row.name, place: row.place, tied: row.tied, points: row.points, amount: row.amount }));
+    queued += await insertWebhookDeliveries(eventId, 'week.closed', { week, rounds: scoringRules.weekRounds[week], winners });
+  }
 
-// Get leaderboard
-app.get('/api/leaderboard/:type', (req, res) => {
-  const type = req.params.type; // overall, week1, week2, week3
+  // Weeks the current rules no longer have
+  await dbRun(
+    `DELETE FROM week_closures WHERE event_id = ? AND week NOT IN (${weeks.map(() => '?').join(', ')})`,
+    [eventId, ...weeks]
+  );
+  return queued;
+}
 
-  let query = `
-    SELECT p.id, p.name, s.overall_points, s.points as week_points, s.week
-    FROM participants p
-    JOIN scores s ON p.id = s.participant_id
-  `;
+// Record the standings unless they match the latest snapshot, so a pass that
+// changed nothing doesn't wipe out everyone's rank movement. Returns whether
+// a snapshot was saved.
+async function saveStandingsSnapshot(eventId, ranks) {
+  const latest = await dbGet('SELECT id FROM standings_snapshots WHERE event_id = ? ORDER BY id DESC LIMIT 1', [eventId]);
+  const latestRanks = latest
+    ? await dbAll('SELECT board, participant_id, rank, points FROM standings_snapshot_rows WHERE snapshot_id = ?', [latest.id])
+    : [];
+  if (standings.sameStandings(latestRanks, ranks)) return false;
 
-  if (type === 'overall') {
-    query += ` WHERE s.week = 1 ORDER BY s.overall_points DESC`;
-  } else if (type.startsWith('week')) {
-    const week = parseInt(type.replace('week', ''));
-    query += ` WHERE s.week = ? ORDER BY s.points DESC`;
-    
-    db.all(query, [week], (err, rows) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json(rows);
-    });
-    return;
+  const snapshot = await dbRun('INSERT INTO standings_snapshots (event_id) VALUES (?)', [eventId]);
+  for (const row of ranks) {
+    await dbRun(
+      'INSERT INTO standings_snapshot_rows (snapshot_id, board, participant_id, rank, points) VALUES (?, ?, ?, ?, ?)',
+      [snapshot.lastID, row.board, row.participant_id, row.rank, row.points]
+    );
   }
+  return true;
+}
 
-  db.all(query, (err, rows) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
-    res.json(rows);
+// Ranks on a board in the snapshot before the latest one, keyed by participant id
+async function getPreviousRanks(eventId, board) {
+  const rows = await dbAll(`
+    SELECT participant_id, rank FROM standings_snapshot_rows
+    WHERE board = ? AND snapshot_id = (
+      SELECT id FROM standings_snapshots WHERE event_id = ? ORDER BY id DESC LIMIT 1 OFFSET 1
+    )
+  `, [board, eventId]);
+
+  const ranks = {};
+  rows.forEach(row => {
+    ranks[row.participant_id] = row.rank;
   });
-});
+  return ranks;
+}
 
-// Update game score (admin)
-app.post('/api/admin/game/:id/score', (req, res) => {
-  const gameId = req.params.id;
-  const { score1, score2, winnerId } = req.body;
+// How many of each participant's teams are still in the tournament, keyed by participant id
+async function getTeamsAlive(eventId) {
+  const rows = await dbAll(`
+    SELECT ta.participant_id, COUNT(*) as count
+    FROM team_assignments ta
+    JOIN teams t ON ta.team_id = t.id
+    WHERE t.event_id = ? AND t.eliminated = 0
+    GROUP BY ta.participant_id
+  `, [eventId]);
 
-  db.run(`
-    UPDATE games 
-    SET score1 = ?, score2 = ?, winner_id = ?, completed = 1
-    WHERE id = ?
-  `, [score1, score2, winnerId, gameId], (err) => {
-    if (err) {
-      res.status(500).json({ error: err.message });
-      return;
-    }
+  const alive = {};
+  rows.forEach(row => {
+    alive[row.participant_id] = row.count;
+  });
+  return alive;
+}
 
-    // Update eliminated status
-    const loserId = winnerId === score1 ? score2 : score1;
-    db.run('UPDATE teams SET eliminated = 1 WHERE id = ?', [loserId], (err) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
+// List bonus teams drawn so far and who is still waiting for one
+api.get('/admin/bonus-teams', async (req, res) => {
+  try {
+    const [participants, assignments, teams, bonusTeams, seed] = await Promise.all([
+      dbAll('SELECT id FROM participants WHERE event_id = ?', [req.event.id]),
+      getEventAssignments(req.event.id),
+      dbAll('SELECT id, eliminated FROM teams WHERE event_id = ?', [req.event.id]),
+      dbAll(`
+        SELECT p.id as participant_id, p.name as participant_name,
+               t.id as team_id, t.name as team_name, t.seed, t.region, t.eliminated
+        FROM team_assignments ta
+        JOIN participants p ON p.id = ta.participant_id
+        JOIN teams t ON t.id = ta.team_id
+        WHERE p.event_id = ? AND ta.is_bonus = 1
+        ORDER BY p.name
+      `, [req.event.id]),
+      getSetting(req.event.id, 'bonus_draw_seed')
+    ]);
 
-      // Recalculate all scores
-      recalculateScores(() => {
-        res.json({ success: true });
-      });
+    res.json({
+      bonusTeams,
+      eligible: bonus.eligibleParticipants(participants, assignments, teams).length,
+      seed: seed || null
     });
-  });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Recalculate scores
-function recalculateScores(callback) {
-  db.all('SELECT * FROM participants', (err, participants) => {
-    if (err) {
-      callback(err);
+// Draw Week 2 Bonus Teams for everyone who has lost an original team
+api.post('/admin/bonus-teams/draw', async (req, res) => {
+  const eventId = req.event.id;
+
+  try {
+    // Rounds before the first week a Bonus Team can score in
+    const scoringRules = await getScoringRules(eventId);
+    const firstBonusWeek = Math.min(...scoringRules.bonusWeeks);
+    const earlierRounds = rules.weekNumbers(scoringRules)
+      .filter(week => week < firstBonusWeek)
+      .flatMap(week => scoringRules.weekRounds[week]);
+    const unplayed = await dbGet(
+      `SELECT COUNT(*) as count FROM games WHERE event_id = ? AND completed = 0 AND round IN (${earlierRounds.map(() => '?').join(', ')})`,
+      [eventId, ...earlierRounds]
+    );
+    if (unplayed.count > 0 && !req.body.force) {
+      res.status(409).json({ error: `${unplayed.count} games before Week ${firstBonusWeek} are still to be played` });
       return;
     }
 
-    const pointsByRound = {
-      'Round of 64': 1,
-      'Round of 32': 2,
-      'Sweet 16': 4,
-      'Elite 8': 7,
-      'Final Four': 12,
-      'Championship': 20
-    };
+    // Read, draw and save in one transaction so two draws at once cannot both see
+    // the same participants as still waiting for a Bonus Team
+    const { seed, participants, teams, eligible, draws } = await withTransaction(async () => {
+      // The seed is stored so anyone can replay the draw and get the same teams
+      const seed = req.body.seed || await getSetting(eventId, 'bonus_draw_seed') || crypto.randomBytes(8).toString('hex');
 
-    participants.forEach(participant => {
-      // Get participant's original teams
-      db.all(`
-        SELECT t.id, t.seed FROM teams t
-        JOIN team_assignments ta ON t.id = ta.team_id
-        WHERE ta.participant_id = ? AND ta.is_bonus = 0
-      `, [participant.id], (err, teams) => {
-        if (err) return;
-
-        const teamIds = teams.map(t => t.id);
-        
-        // Calculate points for each week
-        const weeks = {
-          1: ['Round of 64', 'Round of 32'],
-          2: ['Sweet 16', 'Elite 8'],
-          3: ['Final Four', 'Championship']
-        };
-
-        Object.entries(weeks).forEach(([week, rounds]) => {
-          let weekPoints = 0;
-
-          rounds.forEach(round => {
-            db.all(`
-              SELECT g.*, t1.seed as team1_seed, t2.seed as team2_seed
-              FROM games g
-              JOIN teams t1 ON g.team1_id = t1.id
-              JOIN teams t2 ON g.team2_id = t2.id
-              WHERE g.round = ? AND g.completed = 1
-            `, [round], (err, games) => {
-              if (err) return;
-
-              games.forEach(game => {
-                if (teamIds.includes(game.winner_id)) {
-                  let points = pointsByRound[round];
-                  
-                  // Calculate upset bonus
-                  const winnerSeed = game.winner_id === game.team1_id ? game.team1_seed : game.team2_seed;
-                  const loserSeed = game.winner_id === game.team1_id ? game.team2_seed : game.team1_seed;
-                  
-                  if (winnerSeed > loserSeed) {
-                    const bonus = Math.min(loserSeed - winnerSeed, 10);
-                    points += bonus;
-                  }
-
-                  weekPoints += points;
-                }
-              });
-
-              // Update week score
-              db.run(`
-                UPDATE scores 
-                SET points = ?,
-                    overall_points = (
-                      SELECT SUM(points) FROM scores WHERE participant_id = ?
-                    )
-                WHERE participant_id = ? AND week = ?
-              `, [weekPoints, participant.id, participant.id, week]);
-            });
-          });
-        });
+      const [participants, assignments, teams] = await Promise.all([
+        dbAll('SELECT * FROM participants WHERE event_id = ?', [eventId]),
+        getEventAssignments(eventId),
+        dbAll('SELECT * FROM teams WHERE event_id = ?', [eventId])
+      ]);
+
+      const eligible = bonus.eligibleParticipants(participants, assignments, teams);
+      const draws = bonus.drawBonusTeams(eligible, assignments, teams, seed);
+
+      await saveSetting(eventId, 'bonus_draw_seed', seed);
+      for (const draw of draws) {
+        await dbRun(
+          'INSERT INTO team_assignments (participant_id, team_id, is_bonus) VALUES (?, ?, 1)',
+          [draw.participantId, draw.teamId]
+        );
+      }
+      await auditRequest(req, 'bonus.draw', {
+        target: `Seed ${seed}`,
+        after: {
+          seed,
+          draws: draws.map(draw => ({
+            participant: participants.find(p => p.id === draw.participantId).name,
+            team: teams.find(t => t.id === draw.teamId).name
+          }))
+        }
       });
+      await applyScores(eventId);
+      return { seed, participants, teams, eligible, draws };
     });
 
-    if (callback) callback();
-  });
-}
+    // Send bonus team emails
+    draws.forEach(draw => {
+      sendBonusTeamEmail(
+        participants.find(p => p.id === draw.participantId),
+        teams.find(t => t.id === draw.teamId)
+      );
+    });
+
+    res.json({ success: true, seed, assigned: draws.length, skipped: eligible.length - draws.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // Get upsets (Cinderella teams)
-app.get('/api/upsets', (req, res) => {
+api.get('/upsets', (req, res) => {
   db.all(`
     SELECT g.*, 
            t1.name as team1_name, t1.seed as team1_seed,
@@ -779,12 +4423,12 @@ app.get('/api/upsets', (req, res) => {
     JOIN teams t1 ON g.team1_id = t1.id
     JOIN teams t2 ON g.team2_id = t2.id
     JOIN teams tw ON g.winner_id = tw.id
-    WHERE g.completed = 1
+    WHERE g.event_id = ? AND g.completed = 1
       AND ((g.winner_id = g.team1_id AND t1.seed > t2.seed)
            OR (g.winner_id = g.team2_id AND t2.seed > t1.seed))
     ORDER BY ABS(t1.seed - t2.seed) DESC
     LIMIT 5
-  `, (err, rows) => {
+  `, [req.event.id], (err, rows) => {
     if (err) {
       res.status(500).json({ error: err.message });
       return;
@@ -793,12 +4437,17 @@ app.get('/api/upsets', (req, res) => {
   });
 });
 
+app.use('/api/events/:eventSlug', resolveEvent, api);
+app.use('/api', resolveEvent, api);
+
 // Serve frontend
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+function startServer() {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
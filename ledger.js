@@ -0,0 +1,178 @@
+// Prize ledger
+//
+// Pure functions over standings and prize_payments rows. Each paid place on
+// each board ('overall' and 'week<n>') is owed once the board is final: a
+// week when all its games are played, overall when the Championship is. Ties
+// are settled by payouts.awardPayouts before rows get here.
+//
+// Payments are recorded against a board and participant. If a corrected
+// result changes the winners after a payment, the payment stays on the ledger
+// marked for checking instead of disappearing.
+
+const { toCsv } = require('./csv');
+const { escapeHtml } = require('./templates');
+
+// 'provisional' - the board isn't final yet
+// 'due'         - owed and not paid
+// 'paid'        - paid in full
+// 'check'       - the amount paid doesn't match what's owed
+const LEDGER_STATUSES = ['provisional', 'due', 'paid', 'check'];
+
+const SETTLEMENT_COLUMNS = [
+  { key: 'label', label: 'Prize' },
+  { key: 'place', label: 'Place' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'points', label: 'Points' },
+  { key: 'owed', label: 'Owed' },
+  { key: 'paid', label: 'Paid' },
+  { key: 'status', label: 'Status' },
+  { key: 'method', label: 'Method' },
+  { key: 'note', label: 'Note' },
+  { key: 'paid_by', label: 'Paid By' },
+  { key: 'paid_at', label: 'Paid At' }
+];
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function entryStatus(final, owed, payment) {
+  if (payment) return roundCents(payment.amount) === roundCents(owed) ? 'paid' : 'check';
+  return final ? 'due' : 'provisional';
+}
+
+function ledgerEntry(board, winner, owed, payment) {
+  return {
+    board: board.key,
+    label: board.label,
+    final: board.final,
+    participant_id: winner.participant_id,
+    name: winner.name,
+    email: winner.email,
+    place: winner.place,
+    tied: winner.tied,
+    points: winner.points,
+    owed: roundCents(owed),
+    paid: payment ? roundCents(payment.amount) : 0,
+    status: entryStatus(board.final, owed, payment),
+    method: payment ? payment.method : null,
+    note: payment ? payment.note : null,
+    paid_by: payment ? payment.paid_by : null,
+    paid_at: payment ? payment.paid_at : null
+  };
+}
+
+// boards: [{ key, label, final, winners: [{ participant_id, name, email, place,
+// tied, points, amount }] }]; payments: prize_payments rows with name and email.
+// Returns { entries, totals } with entries in board order, best place first.
+function buildLedger(boards, payments) {
+  const paymentKey = (board, participantId) => `${board}:${participantId}`;
+  const unmatched = new Map(payments.map(payment => [paymentKey(payment.board, payment.participant_id), payment]));
+
+  const entries = [];
+  boards.forEach(board => {
+    board.winners.forEach(winner => {
+      const key = paymentKey(board.key, winner.participant_id);
+      const payment = unmatched.get(key);
+      unmatched.delete(key);
+      entries.push(ledgerEntry(board, winner, winner.amount, payment));
+    });
+
+    // Payments to participants who no longer hold a paid place
+    payments.filter(payment => payment.board === board.key && unmatched.has(paymentKey(board.key, payment.participant_id)))
+      .forEach(payment => {
+        unmatched.delete(paymentKey(board.key, payment.participant_id));
+        entries.push(ledgerEntry(board, { ...payment, place: null, tied: false, points: null }, 0, payment));
+      });
+  });
+
+  const sum = (rows, amount) => roundCents(rows.reduce((total, row) => total + amount(row), 0));
+  const final = entries.filter(entry => entry.final);
+  return {
+    entries,
+    totals: {
+      owed: sum(final, entry => entry.owed),
+      paid: sum(entries, entry => entry.paid),
+      outstanding: sum(final, entry => Math.max(entry.owed - entry.paid, 0)),
+      provisional: sum(entries.filter(entry => !entry.final), entry => entry.owed)
+    }
+  };
+}
+
+function settlementCsv(ledger) {
+  return toCsv(SETTLEMENT_COLUMNS, ledger.entries.map(entry => ({
+    ...entry,
+    place: entry.place ? `${entry.tied ? 'T-' : ''}${entry.place}` : '',
+    owed: entry.owed.toFixed(2),
+    paid: entry.paid.toFixed(2)
+  })));
+}
+
+function money(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// A standalone page for finance: prints cleanly or saves to PDF from the browser
+function settlementHtml(ledger, eventName, generatedAt) {
+  const rows = ledger.entries.map(entry => `
+      <tr>
+        <td>${escapeHtml(entry.label)}</td>
+        <td>${entry.place ? `${entry.tied ? 'T-' : ''}${entry.place}` : ''}</td>
+        <td>${escapeHtml(entry.name)}<br><small>${escapeHtml(entry.email)}</small></td>
+        <td class="num">${entry.points === null ? '' : entry.points.toFixed(1)}</td>
+        <td class="num">${money(entry.owed)}</td>
+        <td class="num">${money(entry.paid)}</td>
+        <td>${entry.status}</td>
+        <td>${escapeHtml(entry.method || '')}${entry.note ? `<br><small>${escapeHtml(entry.note)}</small>` : ''}</td>
+        <td>${entry.paid_at ? `${escapeHtml(entry.paid_at)}<br><small>${escapeHtml(entry.paid_by || '')}</small>` : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Prize Settlement - ${escapeHtml(eventName)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; margin: 30px; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    p { margin: 0 0 16px 0; color: #666; font-size: 12px; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { margin-top: 16px; width: auto; }
+    small { color: #666; }
+    @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Prize Settlement - ${escapeHtml(eventName)}</h1>
+  <p>Generated ${escapeHtml(generatedAt)}. Provisional prizes belong to boards whose games aren't all played yet.</p>
+  <table>
+    <thead>
+      <tr>
+        <th>Prize</th><th>Place</th><th>Winner</th><th class="num">Points</th><th class="num">Owed</th>
+        <th class="num">Paid</th><th>Status</th><th>Method / Note</th><th>Paid At / By</th>
+      </tr>
+    </thead>
+    <tbody>${rows || '<tr><td colspan="9">No prizes yet.</td></tr>'}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><th>Owed (final boards)</th><td class="num">${money(ledger.totals.owed)}</td></tr>
+    <tr><th>Paid</th><td class="num">${money(ledger.totals.paid)}</td></tr>
+    <tr><th>Outstanding</th><td class="num">${money(ledger.totals.outstanding)}</td></tr>
+    <tr><th>Provisional</th><td class="num">${money(ledger.totals.provisional)}</td></tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  LEDGER_STATUSES,
+  buildLedger,
+  settlementCsv,
+  settlementHtml
+};
@@ -0,0 +1,84 @@
+// Signed links for participants
+//
+// A token is a base64url JSON payload followed by its HMAC-SHA256 signature.
+// The payload names what the token is for, so a token minted for one purpose
+// can't be replayed for another. Participant tokens also carry an expiry and
+// the email they were sent to, so they lapse and stop working once an admin
+// changes the participant's email.
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEAM_LINK_DAYS = 60;
+// Long enough for the unsubscribe link in any email of the tournament
+const PREFERENCES_LINK_DAYS = 365;
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function createToken(payload, secret) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data, secret)}`;
+}
+
+// The payload of a valid, unexpired token for the given purpose, or null
+function verifyToken(token, secret, purpose, now = Date.now()) {
+  const [data, signature] = String(token || '').split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    if (payload.purpose !== purpose) return null;
+    if (payload.expires !== undefined && !(payload.expires > now)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function participantPayload(purpose, participant, days, now) {
+  return {
+    purpose,
+    participantId: participant.id,
+    eventId: participant.event_id,
+    email: normalizeEmail(participant.email),
+    expires: now + days * DAY_MS
+  };
+}
+
+// Token that opens a participant's My Team page
+function participantToken(participant, secret, now = Date.now()) {
+  return createToken(participantPayload('team', participant, TEAM_LINK_DAYS, now), secret);
+}
+
+// Token for a participant's email preferences and one-click unsubscribe
+function preferencesToken(participant, secret, now = Date.now()) {
+  return createToken(participantPayload('preferences', participant, PREFERENCES_LINK_DAYS, now), secret);
+}
+
+// Whether a verified token was minted for this participant at their current email
+function tokenMatches(payload, participant) {
+  return !!participant && !!payload.email &&
+    payload.participantId === participant.id &&
+    payload.eventId === participant.event_id &&
+    payload.email === normalizeEmail(participant.email);
+}
+
+module.exports = {
+  TEAM_LINK_DAYS,
+  PREFERENCES_LINK_DAYS,
+  createToken,
+  verifyToken,
+  participantToken,
+  preferencesToken,
+  tokenMatches
+};
@@ -0,0 +1,53 @@
+// Live updates over Server-Sent Events
+//
+// Browsers open one stream per event and the server publishes a named event
+// to every open stream when a result is entered or the standings change.
+// Payloads are small: clients reload whatever view the event affects.
+
+const HEARTBEAT_MS = 25000;
+
+// Open responses, keyed by event id
+const channels = new Map();
+let heartbeat = null;
+
+// Comments keep idle connections open through proxies
+function startHeartbeat() {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    channels.forEach(clients => clients.forEach(res => res.write(': ping\n\n')));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+// Turn a request into an event stream for the channel until the browser leaves
+function subscribe(channel, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(res);
+  startHeartbeat();
+
+  req.on('close', () => {
+    const clients = channels.get(channel);
+    clients.delete(res);
+    if (clients.size === 0) channels.delete(channel);
+  });
+}
+
+function publish(channel, event, data = {}) {
+  const clients = channels.get(channel);
+  if (!clients) return;
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+}
+
+module.exports = {
+  subscribe,
+  publish
+};
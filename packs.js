@@ -0,0 +1,188 @@
+// Team pack allocation
+//
+// A pack is one team from each seed tier, with no more than two teams from a
+// region, no two teams that meet in the Round of 64, and a combination nobody
+// else in the event holds. The field is small enough (at most 12 x 12 x 16 x 24
+// combinations) to list every valid pack, so allocation picks uniformly from
+// the packs that are left instead of retrying random draws. The list is kept
+// for the last few fields seen, so registrations don't list it again.
+
+const { SEED_ORDER } = require('./bracket');
+
+const PACK_TIERS = [
+  { min: 1, max: 3 },
+  { min: 4, max: 6 },
+  { min: 7, max: 10 },
+  { min: 11, max: 16 }
+];
+
+const MAX_PER_REGION = 2;
+
+// Warn admins once fewer than this share of all packs is left
+const LOW_CAPACITY_SHARE = 0.1;
+
+// Fields whose pack lists are kept
+const PACK_CACHE_SIZE = 4;
+const packCache = new Map();
+
+class PackError extends Error {}
+
+function tierLabel(tier) {
+  return `${tier.min}–${tier.max}`;
+}
+
+// Seeds that meet in the Round of 64, keyed both ways
+const FIRST_ROUND_OPPONENT = {};
+for (let i = 0; i < SEED_ORDER.length; i += 2) {
+  FIRST_ROUND_OPPONENT[SEED_ORDER[i]] = SEED_ORDER[i + 1];
+  FIRST_ROUND_OPPONENT[SEED_ORDER[i + 1]] = SEED_ORDER[i];
+}
+
+function packKey(teamIds) {
+  return [...teamIds].sort((a, b) => a - b).join('-');
+}
+
+function meetInFirstRound(a, b) {
+  return a.region === b.region && FIRST_ROUND_OPPONENT[a.seed] === b.seed;
+}
+
+// Check a pack against every published rule; returns the first problem or null
+function packProblem(pack) {
+  for (const tier of PACK_TIERS) {
+    if (pack.filter(team => team.seed >= tier.min && team.seed <= tier.max).length !== 1) {
+      return `A pack needs exactly one team seeded ${tierLabel(tier)}`;
+    }
+  }
+
+  const regionCounts = {};
+  for (const team of pack) {
+    regionCounts[team.region] = (regionCounts[team.region] || 0) + 1;
+    if (regionCounts[team.region] > MAX_PER_REGION) {
+      return `A pack can have at most ${MAX_PER_REGION} teams from the ${team.region} region`;
+    }
+  }
+
+  for (let i = 0; i < pack.length; i++) {
+    for (let j = i + 1; j < pack.length; j++) {
+      if (meetInFirstRound(pack[i], pack[j])) {
+        return `${pack[i].name} and ${pack[j].name} play each other in the first round`;
+      }
+    }
+  }
+  return null;
+}
+
+// Every pack the field allows, in a stable order
+function listPacks(teams) {
+  const tiers = PACK_TIERS.map(tier => teams
+    .filter(team => team.seed >= tier.min && team.seed <= tier.max)
+    .sort((a, b) => a.id - b.id));
+
+  const empty = PACK_TIERS.filter((tier, index) => tiers[index].length === 0);
+  if (empty.length > 0) {
+    throw new PackError(`No teams seeded ${empty.map(tierLabel).join(', ')} have been loaded`);
+  }
+
+  const packs = [];
+  const build = (pack, tierIndex) => {
+    if (tierIndex === tiers.length) {
+      packs.push(pack);
+      return;
+    }
+    for (const team of tiers[tierIndex]) {
+      const next = [...pack, team];
+      if (next.filter(other => other.region === team.region).length > MAX_PER_REGION) continue;
+      if (pack.some(other => meetInFirstRound(other, team))) continue;
+      build(next, tierIndex + 1);
+    }
+  };
+  build([], 0);
+  return packs;
+}
+
+// The field's packs as team ids with their pack keys, listed once per field
+function cachedPacks(teams) {
+  const field = teams.map(team => `${team.id}:${team.seed}:${team.region}`).sort().join(',');
+  if (!packCache.has(field)) {
+    packCache.set(field, listPacks(teams).map(pack => {
+      const ids = pack.map(team => team.id);
+      return { ids, key: packKey(ids) };
+    }));
+    if (packCache.size > PACK_CACHE_SIZE) {
+      packCache.delete(packCache.keys().next().value);
+    }
+  }
+  return packCache.get(field);
+}
+
+// Every pack the field allows as lists of teams, in a stable order
+function validPacks(teams) {
+  const byId = new Map(teams.map(team => [team.id, team]));
+  return cachedPacks(teams).map(pack => pack.ids.map(id => byId.get(id)));
+}
+
+function isLowCapacity(remaining, total) {
+  return remaining < Math.max(1, Math.ceil(total * LOW_CAPACITY_SHARE));
+}
+
+// Group original (non-bonus) assignments into one pack key per participant
+function assignedPackKeys(assignments) {
+  const byParticipant = {};
+  assignments.filter(assignment => !assignment.is_bonus).forEach(assignment => {
+    byParticipant[assignment.participant_id] = byParticipant[assignment.participant_id] || [];
+    byParticipant[assignment.participant_id].push(assignment.team_id);
+  });
+  return new Set(Object.values(byParticipant).map(packKey));
+}
+
+// How many packs the field allows and how many are still free
+function packCapacity(teams, assignments) {
+  const used = assignedPackKeys(assignments);
+  const packs = cachedPacks(teams);
+  const remaining = packs.filter(pack => !used.has(pack.key)).length;
+  return {
+    total: packs.length,
+    used: used.size,
+    remaining,
+    low: isLowCapacity(remaining, packs.length)
+  };
+}
+
+// Pick a free pack at random; throws a PackError when none is left
+function allocatePack(teams, assignments, random = Math.random) {
+  const used = assignedPackKeys(assignments);
+  const all = cachedPacks(teams);
+  const free = all.filter(pack => !used.has(pack.key));
+  if (free.length === 0) {
+    throw new PackError('Every unique team pack has been given out');
+  }
+  const { ids } = free[Math.floor(random() * free.length)];
+  const pack = ids.map(id => teams.find(team => team.id === id));
+  const remaining = free.length - 1;
+  return { pack, remaining, low: isLowCapacity(remaining, all.length) };
+}
+
+// Check a participant's pack after an admin swaps one of its teams: it must
+// follow the rules and be a combination nobody else holds. Returns the first
+// problem or null.
+function reassignProblem(pack, participantId, assignments) {
+  const problem = packProblem(pack);
+  if (problem) return problem;
+
+  const others = assignedPackKeys(assignments.filter(assignment => assignment.participant_id !== participantId));
+  if (others.has(packKey(pack.map(team => team.id)))) {
+    return 'Someone else already holds that combination of teams';
+  }
+  return null;
+}
+
+module.exports = {
+  PACK_TIERS,
+  PackError,
+  packKey,
+  packProblem,
+  validPacks,
+  packCapacity,
+  allocatePack,
+  reassignProblem
+};
@@ -0,0 +1,95 @@
+// Prize places and payouts
+//
+// Pure functions over plain standings rows. Ranks use standard competition
+// ranking (1, 2, 2, 4), and a tie for a paid place is settled by the scoring
+// rules' tie policy:
+//   split     - tied participants share the places they cover, evenly; odd
+//               cents go one each to the lowest participant ids so the
+//               shares add up to the prize
+//   duplicate - each tied participant gets the full prize for their place
+//   overall   - overall points break the tie; any tie left is split
+
+const TIE_POLICIES = ['split', 'duplicate', 'overall'];
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Add a rank to rows, best first, ranking on the given keys in order
+function rankRows(rows, keys) {
+  const sorted = [...rows].sort((a, b) => {
+    for (const key of keys) {
+      if (b[key] !== a[key]) return b[key] - a[key];
+    }
+    return 0;
+  });
+
+  let rank = 0;
+  return sorted.map((row, index) => {
+    const previous = sorted[index - 1];
+    if (!previous || keys.some(key => previous[key] !== row[key])) rank = index + 1;
+    return { ...row, rank };
+  });
+}
+
+// Rank rows on `key` and attach each participant's prize.
+// Returns every row, best first, with rank, place and amount (0 when unpaid).
+function awardPayouts(rows, payouts, policy = 'split', key = 'points', tiebreakKey = 'overall_points') {
+  const ranked = rankRows(rows, policy === 'overall' ? [key, tiebreakKey] : [key]);
+
+  const groups = {};
+  ranked.forEach(row => {
+    groups[row.rank] = groups[row.rank] || [];
+    groups[row.rank].push(row);
+  });
+
+  const amounts = new Map();
+  Object.values(groups).forEach(group => {
+    const rank = group[0].rank;
+    if (policy === 'duplicate') {
+      group.forEach(row => amounts.set(row, roundCents(payouts[rank - 1] || 0)));
+    } else {
+      const shares = splitCents(placesPrize(payouts, rank, group.length), group.length);
+      byParticipantId(group).forEach((row, index) => amounts.set(row, shares[index]));
+    }
+  });
+
+  return ranked.map(row => {
+    const size = groups[row.rank].length;
+    return { ...row, place: row.rank, tied: size > 1, amount: amounts.get(row) };
+  });
+}
+
+// Total prize for the `size` places starting at `rank`
+function placesPrize(payouts, rank, size) {
+  return payouts.slice(rank - 1, rank - 1 + size).reduce((sum, prize) => sum + prize, 0);
+}
+
+// Split an amount into `size` shares of whole cents that add up to it,
+// largest first: 85 / 3 is 28.34, 28.33, 28.33
+function splitCents(amount, size) {
+  const cents = Math.round(amount * 100);
+  const share = Math.floor(cents / size);
+  const leftover = cents - share * size;
+  return Array.from({ length: size }, (value, index) => (share + (index < leftover ? 1 : 0)) / 100);
+}
+
+// Tied rows in a fixed order for handing out leftover cents. Standings rows
+// carry participant_id; projection and leaderboard rows carry id.
+function byParticipantId(group) {
+  const participantId = row => row.participant_id ?? row.id;
+  return [...group].sort((a, b) => participantId(a) - participantId(b));
+}
+
+// Only the rows that win something
+function paidPlaces(rows, payouts, policy, key, tiebreakKey) {
+  return awardPayouts(rows, payouts, policy, key, tiebreakKey).filter(row => row.amount > 0);
+}
+
+module.exports = {
+  TIE_POLICIES,
+  rankRows,
+  awardPayouts,
+  splitCents,
+  paidPlaces
+};
@@ -0,0 +1,273 @@
+// Projections
+//
+// Pure functions over team, game and assignment rows. The bracket is walked
+// slot by slot from the First Four to the Championship, including slots with
+// no game yet because their teams aren't decided.
+//
+// Maximum points come from a pass over the bracket tree: for each team that
+// could win a slot, the most points a participant can still collect inside
+// that part of the bracket. The two halves feeding a slot never share games,
+// so their bests combine directly. Bonus Teams not drawn yet are unknown and
+// can't be counted.
+
+const bracket = require('./bracket');
+const scoring = require('./scoring');
+const payouts = require('./payouts');
+
+const { ROUNDS, FIRST_FOUR, NATIONAL_REGION, SEED_ORDER } = bracket;
+
+function slotKey(slot) {
+  return `${slot.round}|${slot.region}|${slot.position}`;
+}
+
+// Index the field and its games for the walks below
+function createBracket(teams, games, pairings) {
+  const gamesBySlot = {};
+  games.filter(game => game.region != null && game.position != null).forEach(game => {
+    gamesBySlot[slotKey(game)] = game;
+  });
+
+  const seeds = {};
+  teams.forEach(team => {
+    seeds[team.id] = team.seed;
+  });
+
+  return {
+    teams,
+    games,
+    seeds,
+    gamesBySlot,
+    pairings,
+    regions: [...new Set(teams.map(team => team.region))]
+  };
+}
+
+// Every slot in bracket order: First Four games first, then each round
+function bracketSlots(field) {
+  const slots = field.games
+    .filter(game => game.round === FIRST_FOUR && game.region != null)
+    .map(game => ({ round: FIRST_FOUR, region: game.region, position: game.position }));
+
+  ROUNDS.slice(0, 4).forEach((round, index) => {
+    field.regions.forEach(region => {
+      for (let position = 0; position < SEED_ORDER.length / 2 >> index; position++) {
+        slots.push({ round, region, position });
+      }
+    });
+  });
+  field.pairings.forEach((pair, position) => {
+    slots.push({ round: 'Final Four', region: NATIONAL_REGION, position });
+  });
+  slots.push({ round: 'Championship', region: NATIONAL_REGION, position: 0 });
+  return slots;
+}
+
+// What feeds each side of a slot: { teamId } for a team already placed there,
+// or { slot } for the game whose winner moves in
+function slotSides(field, slot) {
+  if (slot.round === ROUNDS[0]) {
+    return [0, 1].map(side => {
+      const position = slot.position * 2 + side;
+      const playIn = { round: FIRST_FOUR, region: slot.region, position };
+      if (field.gamesBySlot[slotKey(playIn)]) return { slot: playIn };
+
+      const team = field.teams.find(t => t.region === slot.region && t.seed === SEED_ORDER[position]);
+      return { teamId: team ? team.id : null };
+    });
+  }
+  return bracket.feederSlots(slot, field.pairings).map(feeder => ({ slot: feeder }));
+}
+
+// Most points still available inside a slot's part of the bracket, for each
+// team that could win it: Map of team id -> points. `value(round, winnerId,
+// loserId)` scores one game that hasn't been played.
+function bestBySlot(field, slot, value, memo = {}) {
+  const key = slotKey(slot);
+  if (memo[key]) return memo[key];
+
+  const game = field.gamesBySlot[key];
+  const result = new Map();
+  if (game && game.completed) {
+    result.set(game.winner_id, 0);
+    memo[key] = result;
+    return result;
+  }
+
+  const sides = game
+    ? [new Map([[game.team1_id, 0]]), new Map([[game.team2_id, 0]])]
+    : slotSides(field, slot).map(side => {
+      if (side.slot) return bestBySlot(field, side.slot, value, memo);
+      return new Map(side.teamId ? [[side.teamId, 0]] : []);
+    });
+
+  sides[0].forEach((pointsA, teamA) => {
+    sides[1].forEach((pointsB, teamB) => {
+      [[teamA, teamB], [teamB, teamA]].forEach(([winnerId, loserId]) => {
+        const total = pointsA + pointsB + value(slot.round, winnerId, loserId);
+        if (!result.has(winnerId) || total > result.get(winnerId)) result.set(winnerId, total);
+      });
+    });
+  });
+
+  memo[key] = result;
+  return result;
+}
+
+// Most points a participant can still add on a board: week null for overall
+function maxRemainingPoints(field, teamIds, bonusTeamIds, week, rules) {
+  const value = (round, winnerId, loserId) => {
+    const gameWeek = scoring.weekForRound(round, rules);
+    if (!gameWeek || (week && gameWeek !== week)) return 0;
+
+    const counts = teamIds.includes(winnerId) ||
+      (week && rules.bonusWeeks.includes(week) && bonusTeamIds.includes(winnerId));
+    return counts ? scoring.gamePoints(round, field.seeds[winnerId], field.seeds[loserId], rules) : 0;
+  };
+
+  const champions = bestBySlot(field, { round: 'Championship', region: NATIONAL_REGION, position: 0 }, value);
+  return champions.size > 0 ? Math.max(...champions.values()) : 0;
+}
+
+// Out of the money for certain: at least as many others already have more
+// points than this participant can reach as there are paid places
+function isEliminated(maxPoints, otherPoints, prizes) {
+  const paidPlaces = prizes.filter(amount => amount > 0).length;
+  if (paidPlaces === 0) return false;
+  return otherPoints.filter(points => points > maxPoints).length >= paidPlaces;
+}
+
+// Current and maximum points for every participant on every board, with
+// whether they can still finish in the money
+function projectParticipants({ participants, teams, games, assignments, pairings }, rules) {
+  const field = createBracket(teams, games, pairings);
+  const current = scoring.computeScores({ participants, teams, assignments, games }, rules);
+  const weeks = Object.keys(rules.weekRounds).map(week => parseInt(week));
+
+  const projected = participants.map(participant => {
+    const owned = assignments.filter(assignment => assignment.participant_id === participant.id);
+    const teamIds = owned.filter(assignment => !assignment.is_bonus).map(assignment => assignment.team_id);
+    const bonusTeamIds = owned.filter(assignment => assignment.is_bonus).map(assignment => assignment.team_id);
+
+    const board = (points, week) => {
+      const remaining = maxRemainingPoints(field, teamIds, bonusTeamIds, week, rules);
+      return { points, remaining, max: points + remaining };
+    };
+
+    const weekBoards = {};
+    weeks.forEach(week => {
+      weekBoards[week] = board(current[participant.id].weeks[week], week);
+    });
+    return { id: participant.id, name: participant.name, overall: board(current[participant.id].overall, null), weeks: weekBoards };
+  });
+
+  projected.forEach(row => {
+    const others = projected.filter(other => other !== row);
+    row.overall.eliminated = isEliminated(row.overall.max, others.map(other => other.overall.points), rules.overallPayouts);
+    weeks.forEach(week => {
+      row.weeks[week].eliminated = isEliminated(
+        row.weeks[week].max,
+        others.map(other => other.weeks[week].points),
+        rules.weeklyPayouts
+      );
+    });
+  });
+
+  return projected.sort((a, b) => b.overall.max - a.overall.max);
+}
+
+// Play the bracket forward from the results so far. `decide(slot, teamIds)`
+// names the winner of each unplayed game whose two teams are known, or null to
+// leave it open. Returns every slot whose two teams are known, in bracket
+// order, with `decided` set on games the callback settled.
+function playOut(field, decide) {
+  const resolved = {};
+  const winnerOf = slot => resolved[slotKey(slot)] ? resolved[slotKey(slot)].winner_id : null;
+
+  bracketSlots(field).forEach(slot => {
+    const key = slotKey(slot);
+    const game = field.gamesBySlot[key];
+
+    const teamIds = game
+      ? [game.team1_id, game.team2_id]
+      : slotSides(field, slot).map(side => side.slot ? winnerOf(side.slot) : side.teamId);
+    if (teamIds.includes(null)) return;
+
+    const completed = !!(game && game.completed);
+    const winnerId = completed ? game.winner_id : decide({ ...slot, key }, teamIds);
+    resolved[key] = {
+      key,
+      ...slot,
+      team1_id: teamIds[0],
+      team2_id: teamIds[1],
+      winner_id: winnerId,
+      completed,
+      decided: !completed && winnerId !== null
+    };
+  });
+
+  return Object.values(resolved);
+}
+
+// The bracket with hypothetical winners applied. `picks` maps slot keys to
+// the team picked to win; a pick only counts for a game whose teams are known
+// (from results or earlier picks) and that hasn't been played.
+function applyPicks(field, picks) {
+  return playOut(field, (slot, teamIds) => {
+    const pick = parseInt(picks[slot.key]);
+    return teamIds.includes(pick) ? pick : null;
+  }).map(({ decided, ...slot }) => ({ ...slot, picked: decided }));
+}
+
+// Whether every game in the given rounds has been played
+function roundsComplete(field, rounds) {
+  const slots = bracketSlots(field).filter(slot => rounds.includes(slot.round));
+  return slots.length > 0 && slots.every(slot => {
+    const game = field.gamesBySlot[slotKey(slot)];
+    return game && game.completed;
+  });
+}
+
+// Leaderboards if the picked winners all win: { slots, boards } where boards
+// has 'overall' and 'week<n>' lists ranked like the real leaderboard
+function whatIf({ participants, teams, games, assignments, pairings }, picks, rules) {
+  const field = createBracket(teams, games, pairings);
+  const slots = applyPicks(field, picks);
+
+  // Results outside the bracket slots still count as played
+  const unslotted = games.filter(game => game.completed && (game.region == null || game.position == null));
+  const hypothetical = slots.filter(slot => slot.winner_id).map(slot => ({ ...slot, completed: 1 }));
+  const results = scoring.computeScores({ participants, teams, assignments, games: unslotted.concat(hypothetical) }, rules);
+
+  const rows = participants.map(participant => ({
+    id: participant.id,
+    name: participant.name,
+    overall_points: results[participant.id].overall,
+    weeks: results[participant.id].weeks
+  }));
+
+  const boards = {
+    overall: payouts.awardPayouts(
+      rows.map(row => ({ id: row.id, name: row.name, points: row.overall_points, overall_points: row.overall_points })),
+      rules.overallPayouts,
+      rules.tiePolicy
+    )
+  };
+  Object.keys(rules.weekRounds).forEach(week => {
+    boards[`week${week}`] = payouts.awardPayouts(
+      rows.map(row => ({ id: row.id, name: row.name, points: row.weeks[week], overall_points: row.overall_points })),
+      rules.weeklyPayouts,
+      rules.tiePolicy
+    );
+  });
+
+  return { slots, boards };
+}
+
+module.exports = {
+  slotKey,
+  createBracket,
+  playOut,
+  roundsComplete,
+  projectParticipants,
+  whatIf
+};
@@ -0,0 +1,175 @@
+// Registration fields
+//
+// Name and email are always asked for. The lead fields below are switched on,
+// made required and relabelled per event through the 'registration_fields'
+// setting (JSON), and stored in participants columns of the same name.
+// Everything a registration sends is checked here before it is saved.
+
+const LEAD_FIELDS = {
+  company: { label: 'Company', type: 'text', maxLength: 200 },
+  phone: { label: 'Phone', type: 'tel', maxLength: 40 },
+  sales_rep: { label: 'Sales Rep', type: 'text', maxLength: 200 },
+  marketing_consent: { label: 'Marketing Consent', type: 'checkbox', prompt: 'Send me news and offers by email' }
+};
+
+const NAME_MAX_LENGTH = 200;
+const EMAIL_MAX_LENGTH = 254;
+
+// One @, no spaces, and a dot in the domain: strict enough to catch typos
+// without rejecting real addresses
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Digits with the usual separators, and enough digits to dial
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const PHONE_MIN_DIGITS = 7;
+
+// Parse the stored setting, filling gaps from the defaults (every field off)
+function parseFieldConfig(value) {
+  let stored = {};
+  if (value) {
+    try {
+      stored = JSON.parse(value);
+    } catch (error) {
+      stored = {};
+    }
+  }
+
+  const config = {};
+  Object.entries(LEAD_FIELDS).forEach(([key, field]) => {
+    const saved = stored[key] || {};
+    config[key] = {
+      enabled: !!saved.enabled,
+      required: !!saved.enabled && !!saved.required,
+      label: saved.label || field.prompt || field.label
+    };
+  });
+  return config;
+}
+
+// Returns a list of problems; an empty list means the config is usable
+function validateFieldConfig(config) {
+  const errors = [];
+  Object.entries(config).forEach(([key, field]) => {
+    if (!LEAD_FIELDS[key]) {
+      errors.push(`Unknown registration field: ${key}`);
+      return;
+    }
+    if (!field || typeof field !== 'object') {
+      errors.push(`${LEAD_FIELDS[key].label} must be an object`);
+      return;
+    }
+    if (field.label !== undefined && (typeof field.label !== 'string' || !field.label.trim() || field.label.length > 200)) {
+      errors.push(`${LEAD_FIELDS[key].label} label must be 1 to 200 characters`);
+    }
+  });
+  return errors;
+}
+
+// The fields a registration form shows: [{ key, label, type, required }]
+function formFields(config) {
+  return Object.entries(config)
+    .filter(([, field]) => field.enabled)
+    .map(([key, field]) => ({ key, label: field.label, type: LEAD_FIELDS[key].type, required: field.required }));
+}
+
+function isValidEmail(email) {
+  return email.length <= EMAIL_MAX_LENGTH && EMAIL_PATTERN.test(email);
+}
+
+// Check a registration body against the event's fields.
+// Returns { values, errors }: values holds name, email and every lead column
+// (null for fields that are off or left blank).
+function validateRegistration(body, config) {
+  const errors = [];
+  const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+  const name = text(body.name);
+  const email = text(body.email).toLowerCase();
+  if (!name) errors.push('Name is required');
+  else if (name.length > NAME_MAX_LENGTH) errors.push(`Name must be at most ${NAME_MAX_LENGTH} characters`);
+  if (!email) errors.push('Email is required');
+  else if (!isValidEmail(email)) errors.push('Email address is not valid');
+
+  const values = { name, email };
+  Object.entries(LEAD_FIELDS).forEach(([key, field]) => {
+    const { enabled, required, label } = config[key];
+    values[key] = null;
+    if (!enabled) return;
+
+    if (field.type === 'checkbox') {
+      const checked = body[key] === true || body[key] === 'true' || body[key] === 'on';
+      if (required && !checked) errors.push(`${label} must be checked`);
+      values[key] = checked ? 1 : 0;
+      return;
+    }
+
+    const value = text(body[key]);
+    if (!value) {
+      if (required) errors.push(`${label} is required`);
+      return;
+    }
+    if (value.length > field.maxLength) {
+      errors.push(`${label} must be at most ${field.maxLength} characters`);
+    } else if (field.type === 'tel' &&
+      (!PHONE_PATTERN.test(value) || value.replace(/\D/g, '').length < PHONE_MIN_DIGITS)) {
+      errors.push(`${label} is not a valid phone number`);
+    }
+    values[key] = value;
+  });
+
+  return { values, errors };
+}
+
+// Check an admin's edits to a participant. Only the fields given change, and
+// lead fields are checked for format but may be cleared whatever the form
+// requires. Returns { values, errors }.
+function validateParticipantChanges(body) {
+  const errors = [];
+  const values = {};
+  const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '');
+
+  Object.keys(body).filter(key => key !== 'name' && key !== 'email' && !LEAD_FIELDS[key]).forEach(key => {
+    errors.push(`Unknown participant field: ${key}`);
+  });
+
+  if (body.name !== undefined) {
+    values.name = text(body.name);
+    if (!values.name) errors.push('Name is required');
+    else if (values.name.length > NAME_MAX_LENGTH) errors.push(`Name must be at most ${NAME_MAX_LENGTH} characters`);
+  }
+  if (body.email !== undefined) {
+    values.email = text(body.email).toLowerCase();
+    if (!values.email) errors.push('Email is required');
+    else if (!isValidEmail(values.email)) errors.push('Email address is not valid');
+  }
+
+  Object.entries(LEAD_FIELDS).forEach(([key, field]) => {
+    if (body[key] === undefined) return;
+
+    if (field.type === 'checkbox') {
+      values[key] = body[key] === null ? null : body[key] === true || body[key] === 'true' || body[key] === 'on' ? 1 : 0;
+      return;
+    }
+
+    const value = text(body[key]);
+    values[key] = value || null;
+    if (value.length > field.maxLength) {
+      errors.push(`${field.label} must be at most ${field.maxLength} characters`);
+    } else if (value && field.type === 'tel' &&
+      (!PHONE_PATTERN.test(value) || value.replace(/\D/g, '').length < PHONE_MIN_DIGITS)) {
+      errors.push(`${field.label} is not a valid phone number`);
+    }
+  });
+
+  return { values, errors };
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  parseFieldConfig,
+  validateFieldConfig,
+  formFields,
+  isValidEmail,
+  validateRegistration,
+  validateParticipantChanges
+};
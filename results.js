@@ -0,0 +1,286 @@
+// Results import
+//
+// Reads game results from an uploaded JSON or CSV file, or from a provider's
+// feed URL, and works out what they would change before anything is saved.
+// The 'results_feed' setting (JSON) holds the feed URL, its format, and where
+// each value sits in a result: dotted paths into JSON objects, or column
+// names for CSV. Teams are matched by name ignoring case and punctuation, or
+// through the 'team_aliases' setting, which maps a provider's name for a team
+// to the name in the field.
+//
+// Results are placed by walking the bracket, so a file holding several
+// rounds fills in games that only exist once the earlier rounds are in.
+
+const projections = require('./projections');
+
+// A results file or feed that can't be read
+class ImportError extends Error {}
+
+const FEED_FORMATS = ['json', 'csv'];
+
+const DEFAULT_FEED = {
+  url: '',
+  format: 'json',
+  mapping: {
+    games: '',
+    team1: 'team1',
+    team2: 'team2',
+    score1: 'score1',
+    score2: 'score2',
+    winner: '',
+    status: '',
+    finalStatus: ''
+  }
+};
+
+function parseSetting(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function parseFeedConfig(value) {
+  const stored = parseSetting(value, {});
+  return { ...DEFAULT_FEED, ...stored, mapping: { ...DEFAULT_FEED.mapping, ...stored.mapping } };
+}
+
+// Returns a list of problems; an empty list means the feed config is usable
+function validateFeedConfig(config) {
+  const errors = [];
+  if (config.url) {
+    try {
+      if (!['http:', 'https:'].includes(new URL(config.url).protocol)) throw new Error();
+    } catch (error) {
+      errors.push('Feed URL must start with http:// or https://');
+    }
+  }
+  if (!FEED_FORMATS.includes(config.format)) {
+    errors.push(`Format must be one of: ${FEED_FORMATS.join(', ')}`);
+  }
+
+  const mapping = config.mapping || {};
+  Object.keys(mapping).filter(key => !(key in DEFAULT_FEED.mapping)).forEach(key => {
+    errors.push(`Unknown mapping field: ${key}`);
+  });
+  Object.entries(mapping).forEach(([key, path]) => {
+    if (typeof path !== 'string') errors.push(`Mapping for ${key} must be text`);
+  });
+  ['team1', 'team2', 'score1', 'score2'].forEach(key => {
+    if (key in mapping && !String(mapping[key] || '').trim()) errors.push(`Mapping for ${key} is required`);
+  });
+  if (mapping.status && !mapping.finalStatus) {
+    errors.push('Give the status value that marks a game final');
+  }
+  return errors;
+}
+
+// Alias setting: { "<provider name>": "<team name>" }
+function parseAliases(value) {
+  return parseSetting(value, {});
+}
+
+function validateAliases(aliases, teamNames) {
+  const errors = [];
+  const known = new Set(teamNames.map(normalizeName));
+  Object.entries(aliases).forEach(([alias, name]) => {
+    if (!normalizeName(alias)) errors.push('Aliases cannot be blank');
+    if (typeof name !== 'string' || !known.has(normalizeName(name))) {
+      errors.push(`${alias}: no team named "${name}" in the field`);
+    }
+  });
+  return errors;
+}
+
+// Lower case, '&' as 'and', punctuation dropped: "Texas A&M" and
+// "texas a and m" match, as do "St. John's" and "St Johns"
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// A value at a dotted path ('home.team.name'); CSV column names are matched
+// without regard to case
+function readPath(object, path) {
+  if (!path) return object;
+  return path.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    if (key in value) return value[key];
+    const match = Object.keys(value).find(name => name.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : value[match];
+  }, object);
+}
+
+// Pull results out of parsed feed data (a JSON document, or CSV rows).
+// Returns { results: [{ row, team1, team2, score1, score2, winner }], skipped,
+// errors: [{ row, message }] }. Rows count from 1 for JSON and from 2 for
+// CSV, matching what a spreadsheet shows.
+function extractResults(data, mapping, format) {
+  const list = format === 'csv' ? data : readPath(data, mapping.games);
+  if (!Array.isArray(list)) {
+    return { results: [], skipped: 0, errors: [{ message: `No list of games found at "${mapping.games || '(top level)'}"` }] };
+  }
+
+  const results = [];
+  const errors = [];
+  let skipped = 0;
+  list.forEach((item, index) => {
+    const row = format === 'csv' ? index + 2 : index + 1;
+    if (mapping.status && String(readPath(item, mapping.status)) !== mapping.finalStatus) {
+      skipped++;
+      return;
+    }
+
+    const team1 = String(readPath(item, mapping.team1) ?? '').trim();
+    const team2 = String(readPath(item, mapping.team2) ?? '').trim();
+    const score1 = String(readPath(item, mapping.score1) ?? '').trim();
+    const score2 = String(readPath(item, mapping.score2) ?? '').trim();
+    const winner = mapping.winner ? String(readPath(item, mapping.winner) ?? '').trim() : '';
+
+    const problems = [];
+    if (!team1 || !team2) problems.push('both team names are required');
+    if (!/^\d+$/.test(score1) || !/^\d+$/.test(score2)) {
+      problems.push(`scores "${score1}" and "${score2}" must be whole numbers`);
+    }
+    if (problems.length > 0) {
+      errors.push({ row, message: problems.join('; ') });
+      return;
+    }
+    results.push({ row, team1, team2, score1: parseInt(score1), score2: parseInt(score2), winner });
+  });
+
+  return { results, skipped, errors };
+}
+
+// Look up a team by name or alias: returns a function of name -> team or null
+function createMatcher(teams, aliases) {
+  const byName = new Map(teams.map(team => [normalizeName(team.name), team]));
+  const byAlias = new Map();
+  Object.entries(aliases).forEach(([alias, name]) => {
+    const team = byName.get(normalizeName(name));
+    if (team) byAlias.set(normalizeName(alias), team);
+  });
+  return name => byName.get(normalizeName(name)) || byAlias.get(normalizeName(name)) || null;
+}
+
+// What importing the results would do to the bracket:
+// { changes, unchanged, errors } where changes are games to complete
+// ('complete') or scores to correct ('update'), in bracket order:
+// { action, round, region, position, game_id, team1_id, team2_id, score1,
+//   score2, winner_id, previous, row }. A result that names a different
+// winner from one already entered is an error; fix those by hand.
+function planImport({ teams, games, pairings }, results, aliases) {
+  const matchTeam = createMatcher(teams, aliases);
+  const errors = [];
+  const byPair = new Map();
+  const pairKey = (a, b) => [a, b].sort((x, y) => x - y).join('-');
+
+  results.forEach(result => {
+    const team1 = matchTeam(result.team1);
+    const team2 = matchTeam(result.team2);
+    const unknown = [[result.team1, team1], [result.team2, team2]].filter(([, team]) => !team).map(([name]) => name);
+    if (unknown.length > 0) {
+      errors.push({ row: result.row, message: `Unknown team: ${unknown.join(', ')}` });
+      return;
+    }
+    if (team1.id === team2.id) {
+      errors.push({ row: result.row, message: `${team1.name} can't play itself` });
+      return;
+    }
+
+    let winner = result.score1 > result.score2 ? team1 : team2;
+    if (result.winner) {
+      winner = matchTeam(result.winner);
+      if (!winner || (winner.id !== team1.id && winner.id !== team2.id)) {
+        errors.push({ row: result.row, message: `Winner "${result.winner}" didn't play in this game` });
+        return;
+      }
+    } else if (result.score1 === result.score2) {
+      errors.push({ row: result.row, message: 'Scores are tied and no winner is given' });
+      return;
+    }
+
+    const key = pairKey(team1.id, team2.id);
+    if (byPair.has(key)) {
+      errors.push({ row: result.row, message: `Duplicate of row ${byPair.get(key).row}` });
+      return;
+    }
+    const scores = { [team1.id]: result.score1, [team2.id]: result.score2 };
+    byPair.set(key, { row: result.row, scores, winner_id: winner.id, used: false });
+  });
+
+  const field = projections.createBracket(teams, games, pairings);
+  const slots = projections.playOut(field, (slot, teamIds) => {
+    const result = byPair.get(pairKey(...teamIds));
+    return result ? result.winner_id : null;
+  });
+
+  const names = {};
+  teams.forEach(team => {
+    names[team.id] = team.name;
+  });
+
+  const changes = [];
+  const unchanged = [];
+  slots.forEach(slot => {
+    const result = byPair.get(pairKey(slot.team1_id, slot.team2_id));
+    if (!result) return;
+    result.used = true;
+
+    const game = field.gamesBySlot[slot.key] || null;
+    const change = {
+      round: slot.round,
+      region: slot.region,
+      position: slot.position,
+      game_id: game ? game.id : null,
+      team1_id: slot.team1_id,
+      team2_id: slot.team2_id,
+      team1_name: names[slot.team1_id],
+      team2_name: names[slot.team2_id],
+      score1: result.scores[slot.team1_id],
+      score2: result.scores[slot.team2_id],
+      winner_id: result.winner_id,
+      row: result.row
+    };
+
+    if (!slot.completed) {
+      changes.push({ action: 'complete', ...change });
+    } else if (game.winner_id !== result.winner_id) {
+      errors.push({
+        row: result.row,
+        message: `${names[game.winner_id]} is already entered as the winner of ${names[slot.team1_id]} vs ${names[slot.team2_id]}`
+      });
+    } else if (game.score1 !== change.score1 || game.score2 !== change.score2) {
+      changes.push({ action: 'update', ...change, previous: { score1: game.score1, score2: game.score2 } });
+    } else {
+      unchanged.push(change);
+    }
+  });
+
+  byPair.forEach(result => {
+    if (!result.used) {
+      const [team1, team2] = Object.keys(result.scores).map(id => names[id]);
+      errors.push({ row: result.row, message: `${team1} and ${team2} don't meet in the bracket (yet)` });
+    }
+  });
+
+  return { changes, unchanged, errors };
+}
+
+module.exports = {
+  ImportError,
+  FEED_FORMATS,
+  parseFeedConfig,
+  validateFeedConfig,
+  parseAliases,
+  validateAliases,
+  normalizeName,
+  extractResults,
+  planImport
+};
@@ -0,0 +1,124 @@
+// Scoring rules
+//
+// Stored as JSON in the 'scoring_rules' setting. Anything missing from the
+// stored value falls back to the defaults below.
+
+const { ROUNDS } = require('./bracket');
+const { TIE_POLICIES } = require('./payouts');
+
+const DEFAULT_RULES = {
+  pointsByRound: {
+    'Round of 64': 1,
+    'Round of 32': 2,
+    'Sweet 16': 4,
+    'Elite 8': 7,
+    'Final Four': 12,
+    'Championship': 20
+  },
+  upsetBonusCap: 10,
+  weekRounds: {
+    1: ['Round of 64', 'Round of 32'],
+    2: ['Sweet 16', 'Elite 8'],
+    3: ['Final Four', 'Championship']
+  },
+  // Weeks a Bonus Team scores in; bonus points never count toward overall
+  bonusWeeks: [2, 3],
+  weeklyPayouts: [50, 25, 10],
+  overallPayouts: [100],
+  // How a tie for a paid place is settled; see payouts.js
+  tiePolicy: 'split'
+};
+
+// Parse the stored setting, filling gaps from the defaults
+function parseRules(value) {
+  let stored = {};
+  if (value) {
+    try {
+      stored = JSON.parse(value);
+    } catch (error) {
+      stored = {};
+    }
+  }
+  return { ...DEFAULT_RULES, ...stored };
+}
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Returns a list of problems; an empty list means the rules are usable
+function validateRules(rules) {
+  const errors = [];
+
+  const points = rules.pointsByRound || {};
+  ROUNDS.forEach(round => {
+    if (!isAmount(points[round])) {
+      errors.push(`${round} points must be a number of 0 or more`);
+    }
+  });
+  Object.keys(points).filter(round => !ROUNDS.includes(round)).forEach(round => {
+    errors.push(`Unknown round: ${round}`);
+  });
+
+  if (!isAmount(rules.upsetBonusCap)) {
+    errors.push('Upset bonus cap must be a number of 0 or more');
+  }
+
+  const weekRounds = rules.weekRounds || {};
+  const weeks = Object.keys(weekRounds);
+  const weekErrors = [];
+  if (weeks.length === 0) {
+    weekErrors.push('At least one week is required');
+  }
+  weeks.forEach(week => {
+    if (!/^[1-9]\d*$/.test(week)) {
+      weekErrors.push(`Week "${week}" must be a positive whole number`);
+    }
+    if (!Array.isArray(weekRounds[week])) {
+      weekErrors.push(`Week ${week} must list its rounds`);
+    }
+  });
+  errors.push(...weekErrors);
+  if (weekErrors.length === 0) {
+    ROUNDS.forEach(round => {
+      const count = weeks.filter(week => weekRounds[week].includes(round)).length;
+      if (count !== 1) {
+        errors.push(`${round} must belong to exactly one week`);
+      }
+    });
+    weeks.forEach(week => {
+      weekRounds[week].filter(round => !ROUNDS.includes(round)).forEach(round => {
+        errors.push(`Unknown round in week ${week}: ${round}`);
+      });
+    });
+  }
+
+  if (!Array.isArray(rules.bonusWeeks) || rules.bonusWeeks.length === 0 ||
+      rules.bonusWeeks.some(week => !weeks.includes(String(week)))) {
+    errors.push('Bonus weeks must list at least one existing week number');
+  }
+
+  ['weeklyPayouts', 'overallPayouts'].forEach(key => {
+    if (!Array.isArray(rules[key]) || rules[key].some(amount => !isAmount(amount))) {
+      errors.push(`${key === 'weeklyPayouts' ? 'Weekly' : 'Overall'} payouts must be a list of amounts`);
+    }
+  });
+
+  if (!TIE_POLICIES.includes(rules.tiePolicy)) {
+    errors.push(`Tie policy must be one of: ${TIE_POLICIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Week numbers in order
+function weekNumbers(rules) {
+  return Object.keys(rules.weekRounds).map(week => parseInt(week)).sort((a, b) => a - b);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  parseRules,
+  validateRules,
+  weekNumbers
+};
@@ -0,0 +1,87 @@
+// Scoring engine
+//
+// Pure functions only: everything is computed from plain team, assignment and
+// game rows so results are the same no matter what order the database
+// returns them in.
+
+const { DEFAULT_RULES } = require('./rules');
+
+// Upset bonus for a winner seeded below its opponent
+function upsetBonus(winnerSeed, loserSeed, rules = DEFAULT_RULES) {
+  if (winnerSeed <= loserSeed) return 0;
+  return Math.min(winnerSeed - loserSeed, rules.upsetBonusCap);
+}
+
+// Points earned by the winner of a completed game
+function gamePoints(round, winnerSeed, loserSeed, rules = DEFAULT_RULES) {
+  const base = rules.pointsByRound[round] || 0;
+  return base + upsetBonus(winnerSeed, loserSeed, rules);
+}
+
+function weekForRound(round, rules = DEFAULT_RULES) {
+  const entry = Object.entries(rules.weekRounds).find(([, rounds]) => rounds.includes(round));
+  return entry ? parseInt(entry[0]) : null;
+}
+
+// Points each team has earned per week, keyed by team id
+function teamPointsByWeek(teams, games, rules = DEFAULT_RULES) {
+  const seeds = {};
+  teams.forEach(team => {
+    seeds[team.id] = team.seed;
+  });
+
+  const points = {};
+  games.forEach(game => {
+    if (!game.completed || !game.winner_id) return;
+
+    const week = weekForRound(game.round, rules);
+    if (!week) return;
+
+    const loserId = game.winner_id === game.team1_id ? game.team2_id : game.team1_id;
+    const earned = gamePoints(game.round, seeds[game.winner_id], seeds[loserId], rules);
+
+    points[game.winner_id] = points[game.winner_id] || {};
+    points[game.winner_id][week] = (points[game.winner_id][week] || 0) + earned;
+  });
+  return points;
+}
+
+// Weekly and overall points per participant, keyed by participant id
+function computeScores({ participants, teams, assignments, games }, rules = DEFAULT_RULES) {
+  const teamPoints = teamPointsByWeek(teams, games, rules);
+  const weeks = Object.keys(rules.weekRounds).map(week => parseInt(week));
+
+  const results = {};
+  participants.forEach(participant => {
+    results[participant.id] = { weeks: {}, overall: 0 };
+    weeks.forEach(week => {
+      results[participant.id].weeks[week] = 0;
+    });
+  });
+
+  assignments.forEach(assignment => {
+    const result = results[assignment.participant_id];
+    const earned = teamPoints[assignment.team_id];
+    if (!result || !earned) return;
+
+    weeks.forEach(week => {
+      const points = earned[week] || 0;
+      if (assignment.is_bonus) {
+        if (rules.bonusWeeks.includes(week)) result.weeks[week] += points;
+        return;
+      }
+      result.weeks[week] += points;
+      result.overall += points;
+    });
+  });
+
+  return results;
+}
+
+module.exports = {
+  upsetBonus,
+  gamePoints,
+  weekForRound,
+  teamPointsByWeek,
+  computeScores
+};
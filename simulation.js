@@ -0,0 +1,170 @@
+// Monte Carlo win probabilities
+//
+// Plays the rest of the tournament many times from the current results and
+// counts how often each participant finishes in the money on each board.
+// Games are decided by team ratings on an Elo-style scale: a team's imported
+// strength when it has one, otherwise a rating from its seed (1600 for a 1
+// seed down to 1225 for a 16 seed). Runs take a seed, so the same results,
+// ratings and seed always give the same probabilities. Bonus Teams not drawn
+// yet can't be simulated and don't count. The server runs simulations in a
+// worker thread so a long run doesn't hold up other requests.
+
+const projections = require('./projections');
+const scoring = require('./scoring');
+const { createRandom } = require('./random');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const DEFAULT_ITERATIONS = 2000;
+const MAX_ITERATIONS = 20000;
+const DEFAULT_SEED = 'simulation';
+
+const TOP_SEED_RATING = 1600;
+const RATING_PER_SEED = 25;
+const RATING_SCALE = 400;
+
+function seedRating(seed) {
+  return TOP_SEED_RATING - RATING_PER_SEED * (seed - 1);
+}
+
+function teamRating(team) {
+  return team.strength ?? seedRating(team.seed);
+}
+
+// Chance a team rated `rating` beats one rated `opponentRating`
+function winProbability(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / RATING_SCALE));
+}
+
+// Iterations to run for a requested count: the default when missing, capped
+function parseIterations(value) {
+  const iterations = parseInt(value);
+  if (!iterations || iterations < 1) return DEFAULT_ITERATIONS;
+  return Math.min(iterations, MAX_ITERATIONS);
+}
+
+// Add one simulated tournament's prize finishes to the tallies. Settles ties
+// like payouts.awardPayouts, but only looks at the rows near the top: this
+// runs for every board of every simulated tournament.
+function countPaidPlaces(tally, rows, prizes, tiePolicy) {
+  const tiebreak = tiePolicy === 'overall';
+  rows.sort((a, b) => b.points - a.points || (tiebreak ? b.overall_points - a.overall_points : 0));
+
+  let start = 0;
+  while (start < prizes.length && start < rows.length) {
+    let end = start + 1;
+    while (end < rows.length && rows[end].points === rows[start].points &&
+      (!tiebreak || rows[end].overall_points === rows[start].overall_points)) {
+      end++;
+    }
+    // A split shares every place the tie covers; a duplicate pays the top one to each
+    const paid = tiePolicy === 'duplicate'
+      ? prizes[start] > 0
+      : prizes.slice(start, end).some(prize => prize > 0);
+    if (paid) {
+      for (let i = start; i < end; i++) tally[rows[i].id]++;
+    }
+    start = end;
+  }
+}
+
+// Probability of a paid finish per participant, overall and per week:
+// { iterations, seed, participants: [{ id, name, overall, weeks: { <week>: p } }] }
+function simulate({ participants, teams, games, assignments, pairings }, rules, options = {}) {
+  const iterations = parseIterations(options.iterations);
+  const seed = options.seed || DEFAULT_SEED;
+  const random = createRandom(seed);
+  const weeks = Object.keys(rules.weekRounds).map(week => parseInt(week));
+
+  const field = projections.createBracket(teams, games, pairings);
+  const current = scoring.computeScores({ participants, teams, assignments, games }, rules);
+  const ratings = {};
+  teams.forEach(team => {
+    ratings[team.id] = teamRating(team);
+  });
+
+  const tallies = { overall: {} };
+  weeks.forEach(week => {
+    tallies[week] = {};
+  });
+  participants.forEach(participant => {
+    Object.values(tallies).forEach(tally => {
+      tally[participant.id] = 0;
+    });
+  });
+
+  for (let i = 0; i < iterations; i++) {
+    const played = projections.playOut(field, (slot, [teamA, teamB]) => {
+      return random() < winProbability(ratings[teamA], ratings[teamB]) ? teamA : teamB;
+    }).filter(slot => slot.decided).map(slot => ({ ...slot, completed: 1 }));
+
+    const future = scoring.computeScores({ participants, teams, assignments, games: played }, rules);
+    const totals = participants.map(participant => {
+      const now = current[participant.id];
+      const later = future[participant.id];
+      const weekPoints = {};
+      weeks.forEach(week => {
+        weekPoints[week] = now.weeks[week] + later.weeks[week];
+      });
+      return { id: participant.id, overall: now.overall + later.overall, weeks: weekPoints };
+    });
+
+    countPaidPlaces(
+      tallies.overall,
+      totals.map(total => ({ id: total.id, points: total.overall, overall_points: total.overall })),
+      rules.overallPayouts,
+      rules.tiePolicy
+    );
+    weeks.forEach(week => {
+      countPaidPlaces(
+        tallies[week],
+        totals.map(total => ({ id: total.id, points: total.weeks[week], overall_points: total.overall })),
+        rules.weeklyPayouts,
+        rules.tiePolicy
+      );
+    });
+  }
+
+  const probabilities = participants.map(participant => {
+    const weekProbabilities = {};
+    weeks.forEach(week => {
+      weekProbabilities[week] = tallies[week][participant.id] / iterations;
+    });
+    return {
+      id: participant.id,
+      name: participant.name,
+      overall: tallies.overall[participant.id] / iterations,
+      weeks: weekProbabilities
+    };
+  });
+
+  return {
+    iterations,
+    seed,
+    participants: probabilities.sort((a, b) => b.overall - a.overall)
+  };
+}
+
+// simulate() on a worker thread; resolves with its result
+function simulateInWorker(input, rules, options = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { input, rules, options } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => {
+      if (code !== 0) reject(new Error(`Simulation stopped with exit code ${code}`));
+    });
+  });
+}
+
+if (!isMainThread && workerData && workerData.input) {
+  parentPort.postMessage(simulate(workerData.input, workerData.rules, workerData.options));
+}
+
+module.exports = {
+  DEFAULT_ITERATIONS,
+  MAX_ITERATIONS,
+  seedRating,
+  winProbability,
+  simulate,
+  simulateInWorker
+};
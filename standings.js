@@ -0,0 +1,76 @@
+// Leaderboard standings
+//
+// Pure functions over computeScores results. Each leaderboard ('overall' and
+// 'week<n>') is ranked with standard competition ranking (1, 2, 2, 4); with
+// the 'overall' tie policy, overall points break ties on the weekly boards,
+// the same way payouts.js settles paid places.
+
+const { rankRows } = require('./payouts');
+
+function boardKey(week) {
+  return week ? `week${week}` : 'overall';
+}
+
+// The board a leaderboard type names, or null for an unknown type
+function parseBoard(type, weeks) {
+  if (type === 'overall') return { key: 'overall', week: null };
+  const match = /^week(\d+)$/.exec(type);
+  if (match && weeks.includes(parseInt(match[1]))) {
+    return { key: type, week: parseInt(match[1]) };
+  }
+  return null;
+}
+
+// Keys a board is ranked on, best first
+function rankKeys(week, tiePolicy) {
+  return week && tiePolicy === 'overall' ? ['points', 'overall_points'] : ['points'];
+}
+
+// One ranked row per participant per board:
+// [{ board, participant_id, rank, points }]
+function buildStandings(results, weeks, tiePolicy) {
+  const entries = Object.entries(results).map(([id, result]) => ({ id: parseInt(id), ...result }));
+
+  return [null, ...weeks].flatMap(week => {
+    const rows = entries.map(entry => ({
+      participant_id: entry.id,
+      points: week ? entry.weeks[week] || 0 : entry.overall,
+      overall_points: entry.overall
+    }));
+    return rankRows(rows, rankKeys(week, tiePolicy)).map(row => ({
+      board: boardKey(week),
+      participant_id: row.participant_id,
+      rank: row.rank,
+      points: row.points
+    }));
+  });
+}
+
+// Whether two sets of standings rows hold the same ranks and points
+function sameStandings(a, b) {
+  if (a.length !== b.length) return false;
+  const key = row => `${row.board}:${row.participant_id}`;
+  const lookup = {};
+  a.forEach(row => {
+    lookup[key(row)] = row;
+  });
+  return b.every(row => {
+    const other = lookup[key(row)];
+    return other && other.rank === row.rank && other.points === row.points;
+  });
+}
+
+// Places gained (positive) or lost since the previous standings; null when
+// the participant wasn't ranked before
+function rankChange(previousRank, rank) {
+  return previousRank ? previousRank - rank : null;
+}
+
+module.exports = {
+  boardKey,
+  parseBoard,
+  rankKeys,
+  buildStandings,
+  sameStandings,
+  rankChange
+};
@@ -0,0 +1,233 @@
+// Email templates
+//
+// Stored as JSON in the 'email_templates' setting: a subject and an HTML body
+// per email type, falling back to the defaults below. Placeholders are
+// {{variable}}, escaped for HTML, or {{{variable}}} for the blocks the server
+// builds as HTML itself (team lists and tables). Only those blocks may be
+// inserted raw; anything a participant can type is always escaped. Every
+// email is wrapped in the same layout with the email logo and a link to the
+// participant's email preferences, and gets a plain-text part made from its
+// HTML.
+
+// Variables every email can use
+const COMMON_VARIABLES = [
+  'name', 'company_name', 'team_link', 'preferences_link', 'week',
+  'rank', 'points', 'week_points', 'teams_alive', 'rank_change'
+];
+
+// Variables the server builds as HTML, with every name in them escaped
+const RAW_VARIABLES = ['teams', 'standings', 'winners'];
+
+const EMAIL_TYPES = {
+  welcome: {
+    label: 'Welcome',
+    variables: ['teams'],
+    subject: 'Your Team Pack - {{company_name}} Challenge',
+    body: `<h2>Welcome to the Team Pack Challenge!</h2>
+<p>Hi {{name}},</p>
+<p>You're all set! Here are your 4 teams:</p>
+<div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">{{{teams}}}</div>
+<p>Good luck!</p>
+<p><a href="{{team_link}}">View your teams and scores</a></p>
+<p style="margin-top: 30px; color: #666; font-size: 12px;">Keep this email: the link above is your personal sign-in to the challenge site.</p>`
+  },
+  team_link: {
+    label: 'Team link reminder',
+    variables: [],
+    subject: 'Your Team Pack Link - {{company_name}} Challenge',
+    body: `<h2>Here's Your Team Pack</h2>
+<p>Hi {{name}},</p>
+<p>You're already registered. Use this link to see your teams and scores:</p>
+<p><a href="{{team_link}}">View your teams and scores</a></p>
+<p style="margin-top: 30px; color: #666; font-size: 12px;">If you didn't ask for this, you can ignore this email.</p>`
+  },
+  bonus_team: {
+    label: 'Bonus team',
+    variables: ['bonus_team'],
+    subject: 'Your Bonus Team - {{company_name}} Challenge',
+    body: `<h2>You've Got a Bonus Team!</h2>
+<p>Hi {{name}},</p>
+<p>One of your original teams is out, so here's a Bonus Team for Weeks 2 and 3:</p>
+<div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">{{bonus_team}}</div>
+<p>Your Bonus Team scores toward the weekly prizes only, not your overall total.</p>`
+  },
+  daily_standings: {
+    label: 'Daily standings',
+    variables: ['standings'],
+    subject: 'Daily Standings - {{company_name}} Challenge',
+    body: `<h2>Today's Standings</h2>
+<p>Hi {{name}},</p>
+<p>You're ranked <strong>{{rank}}</strong> ({{rank_change}}) with {{points}} points, {{week_points}} of them this week. {{teams_alive}} of your teams are still alive.</p>
+<p>Here's where everyone stands:</p>
+{{{standings}}}
+<p>Keep tracking your teams! <a href="{{team_link}}">See your teams and scores</a></p>`
+  },
+  weekly_winners: {
+    label: 'Weekly winners',
+    variables: ['winners'],
+    subject: 'Week {{week}} Winners - {{company_name}} Challenge',
+    body: `<h2>Week {{week}} Winners!</h2>
+<p>Hi {{name}},</p>
+<p>Congratulations to our week {{week}} winners:</p>
+{{{winners}}}
+<p>You finished the week with {{week_points}} points and are ranked {{rank}} overall.</p>
+<p>Keep playing for the overall championship!</p>`
+  }
+};
+
+// Stand-in values for previews and test sends
+const SAMPLE_VARIABLES = {
+  name: 'Alex Sample',
+  company_name: 'March Madness',
+  team_link: 'https://example.com/e/main?token=sample',
+  preferences_link: 'https://example.com/e/main?preferences=sample',
+  week: 1,
+  rank: 3,
+  points: '12.0',
+  week_points: '5.0',
+  teams_alive: 3,
+  rank_change: 'up 2',
+  teams: 'Duke (1 seed - East)<br>Arizona (5 seed - West)<br>Dayton (8 seed - South)<br>Vermont (13 seed - Midwest)',
+  bonus_team: 'Gonzaga (4 seed - West)',
+  standings: '<p>[standings table]</p>',
+  winners: '<p>[winners table]</p>'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Plain-text version of an email's HTML: links keep their address, table
+// cells are separated by tabs and block elements start new lines
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return text && text !== href ? `${text} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|table|ul|ol|li)(\s[^>]*)?>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .split('\n')
+    .map(line => line.replace(/[ \t]*\t[ \t]*/g, '\t').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function fill(template, variables, escape) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, raw, escaped) => {
+    if (raw && RAW_VARIABLES.includes(raw)) return String(variables[raw] ?? '');
+    const variable = raw || escaped;
+    return escape ? escapeHtml(variables[variable]) : String(variables[variable] ?? '');
+  });
+}
+
+// Parse the stored setting, filling gaps from the defaults
+function parseTemplates(value) {
+  let stored = {};
+  if (value) {
+    try {
+      stored = JSON.parse(value);
+    } catch (error) {
+      stored = {};
+    }
+  }
+
+  const templates = {};
+  Object.entries(EMAIL_TYPES).forEach(([type, defaults]) => {
+    templates[type] = {
+      subject: (stored[type] && stored[type].subject) || defaults.subject,
+      body: (stored[type] && stored[type].body) || defaults.body
+    };
+  });
+  return templates;
+}
+
+function variablesFor(type) {
+  return COMMON_VARIABLES.concat(EMAIL_TYPES[type].variables);
+}
+
+// Returns a list of problems; an empty list means the templates are usable
+function validateTemplates(templates) {
+  const errors = [];
+
+  Object.entries(templates).forEach(([type, template]) => {
+    if (!EMAIL_TYPES[type]) {
+      errors.push(`Unknown email type: ${type}`);
+      return;
+    }
+    const { label } = EMAIL_TYPES[type];
+    const allowed = variablesFor(type);
+
+    ['subject', 'body'].forEach(part => {
+      const text = template && template[part];
+      if (typeof text !== 'string' || !text.trim()) {
+        errors.push(`${label} ${part} is required`);
+        return;
+      }
+      for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        const variable = match[1] || match[2];
+        if (!allowed.includes(variable)) {
+          errors.push(`${label} ${part} uses unknown variable {{${variable}}}`);
+        } else if (match[1] && !RAW_VARIABLES.includes(variable)) {
+          errors.push(`${label} ${part} must use {{${variable}}}; only ${RAW_VARIABLES.map(name => `{{{${name}}}}`).join(', ')} can be inserted as HTML`);
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Build one email: { subject, html, text }
+function renderEmail(template, variables, logoUrl) {
+  const footer = variables.preferences_link
+    ? `<p style="margin-top: 30px; color: #999; font-size: 12px;"><a href="${escapeHtml(variables.preferences_link)}">Email preferences or unsubscribe</a></p>`
+    : '';
+  const body = fill(template.body, variables, true) + footer;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      ${logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="Logo" style="max-width: 200px; margin: 20px 0;">` : ''}
+      ${body}
+    </div>
+  `;
+  return {
+    subject: fill(template.subject, variables, false).replace(/\s+/g, ' ').trim(),
+    html,
+    text: htmlToText(body)
+  };
+}
+
+module.exports = {
+  RAW_VARIABLES,
+  EMAIL_TYPES,
+  SAMPLE_VARIABLES,
+  escapeHtml,
+  htmlToText,
+  parseTemplates,
+  variablesFor,
+  validateTemplates,
+  renderEmail
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const sqlite3 = require('sqlite3');
+const audit = require('../audit');
+const { startApp } = require('./helpers');
+
+test('settingsChange keeps only changed keys, reads JSON and hides secrets', () => {
+  const change = audit.settingsChange(
+    { company_name: 'Pool', smtp_pass: 'old', scoring_rules: '{"upsetBonusCap":10}', logo_url: '' },
+    { company_name: 'Pool', smtp_pass: 'new', scoring_rules: '{"upsetBonusCap":5}', logo_url: null }
+  );
+  assert.deepEqual(change, {
+    keys: ['smtp_pass', 'scoring_rules'],
+    before: { smtp_pass: '(hidden)', scoring_rules: { upsetBonusCap: 10 } },
+    after: { smtp_pass: '(hidden)', scoring_rules: { upsetBonusCap: 5 } }
+  });
+  assert.equal(audit.settingsChange({ company_name: 'Pool' }, { company_name: 'Pool' }), null);
+});
+
+test('parseFilters checks the action and dates, and caps the limit', () => {
+  assert.deepEqual(audit.parseFilters({ action: 'game.score', limit: '9999' }).filters, {
+    action: 'game.score', actor: null, target: null, from: null, to: null, limit: 500
+  });
+  assert.deepEqual(audit.parseFilters({ action: 'game.cheat', from: '3/1/2026' }).errors, [
+    'Unknown action: game.cheat',
+    'from must be a date (YYYY-MM-DD)'
+  ]);
+});
+
+test.describe('the audit log on the server', () => {
+  let app;
+
+  test.before(async () => {
+    app = await startApp();
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  test('a settings change is logged with who made it, and can be filtered', async () => {
+    await app.request('/admin/settings', { method: 'POST', body: { company_name: 'Acme Pool', smtp_pass: 'secret' } });
+
+    const { data } = await app.request('/admin/audit?action=settings.update&actor=admin');
+    assert.equal(data.entries.length, 1);
+    assert.equal(data.entries[0].actor, 'admin');
+    assert.equal(data.entries[0].after_value.company_name, 'Acme Pool');
+    assert.equal(data.entries[0].after_value.smtp_pass, '(hidden)');
+
+    assert.equal((await app.request('/admin/audit?actor=someone')).data.entries.length, 0);
+    assert.equal((await app.request('/admin/audit?from=yesterday')).status, 400);
+  });
+
+  test('rows in the log can be neither changed nor removed', async () => {
+    const db = new sqlite3.Database(path.join(app.dir, 'tournament.db'));
+    const run = sql => new Promise(resolve => db.run(sql, error => resolve(error)));
+    try {
+      const updated = await run("UPDATE audit_log SET actor = 'someone else'");
+      assert.match(updated.message, /The audit log is append-only/);
+      const deleted = await run('DELETE FROM audit_log');
+      assert.match(deleted.message, /The audit log is append-only/);
+    } finally {
+      await new Promise(resolve => db.close(resolve));
+    }
+
+    const { data } = await app.request('/admin/audit');
+    assert.ok(data.entries.length > 0);
+    assert.ok(data.entries.every(entry => entry.actor !== 'someone else'));
+  });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../auth');
+
+test('tokenFromCookie finds the session among other cookies', () => {
+  assert.equal(auth.tokenFromCookie('theme=dark; admin_session=abc123; other=1'), 'abc123');
+  assert.equal(auth.tokenFromCookie('admin_session_old=x'), null);
+  assert.equal(auth.tokenFromCookie(undefined), null);
+});
+
+test('sessionCookie is HttpOnly and SameSite, and clears with null', () => {
+  const cookie = auth.sessionCookie('abc123');
+  assert.match(cookie, /^admin_session=abc123;/);
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Strict/);
+  assert.match(cookie, new RegExp(`Max-Age=${auth.SESSION_HOURS * 3600}`));
+  assert.doesNotMatch(cookie, /Secure/);
+
+  assert.match(auth.sessionCookie('abc123', true), /; Secure$/);
+  assert.match(auth.sessionCookie(null), /^admin_session=;.*Max-Age=0/);
+});
+
+test('a scorekeeper can list games and enter scores, and nothing else', () => {
+  assert.equal(auth.canAccess('scorekeeper', 'GET', '/games'), true);
+  assert.equal(auth.canAccess('scorekeeper', 'POST', '/game/12/score'), true);
+  assert.equal(auth.canAccess('scorekeeper', 'PUT', '/game/12/score/'), true);
+
+  assert.equal(auth.canAccess('scorekeeper', 'POST', '/games'), false);
+  assert.equal(auth.canAccess('scorekeeper', 'PUT', '/game/12'), false);
+  assert.equal(auth.canAccess('scorekeeper', 'DELETE', '/game/12'), false);
+  assert.equal(auth.canAccess('scorekeeper', 'DELETE', '/game/12/score'), false);
+  assert.equal(auth.canAccess('scorekeeper', 'GET', '/settings'), false);
+
+  assert.equal(auth.canAccess('admin', 'DELETE', '/game/12'), true);
+  assert.equal(auth.canAccess('viewer', 'GET', '/games'), false);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bonus = require('../bonus');
+const { startApp, uploadSampleTeams, weekOneResults } = require('./helpers');
+
+function owns(participantId, teamIds, isBonus = 0) {
+  return teamIds.map(teamId => ({ participant_id: participantId, team_id: teamId, is_bonus: isBonus }));
+}
+
+// Teams 1 and 2 are out; 10, 11 and 12 are still playing
+const teams = [
+  { id: 1, eliminated: 1 },
+  { id: 2, eliminated: 1 },
+  { id: 10, eliminated: 0 },
+  { id: 11, eliminated: 0 },
+  { id: 12, eliminated: 0 }
+];
+
+// Six participants who each lost team 1 or 2
+const losers = [1, 2, 3, 4, 5, 6].map(id => ({ id }));
+const losersTeams = losers.flatMap(participant => owns(participant.id, [participant.id % 2 + 1]));
+
+test('only participants who lost an original team and have no bonus yet are eligible', () => {
+  const participants = [1, 2, 3, 4].map(id => ({ id }));
+  const assignments = [
+    ...owns(1, [1, 10]),
+    ...owns(2, [11]),
+    ...owns(3, [2]),
+    ...owns(3, [12], 1),
+    // A lost bonus team doesn't count
+    ...owns(4, [12]),
+    ...owns(4, [1], 1)
+  ];
+  assert.deepEqual(bonus.eligibleParticipants(participants, assignments, teams).map(p => p.id), [1]);
+});
+
+test('the same seed deals the same teams, whatever order participants come in', () => {
+  const draws = bonus.drawBonusTeams(losers, losersTeams, teams, 'week2');
+
+  assert.deepEqual(bonus.drawBonusTeams(losers.slice().reverse(), losersTeams, teams.slice().reverse(), 'week2'), draws);
+  assert.notDeepEqual(bonus.drawBonusTeams(losers, losersTeams, teams, 'another seed'), draws);
+});
+
+test('surviving teams are shared out evenly', () => {
+  const draws = bonus.drawBonusTeams(losers, losersTeams, teams, 'even');
+  const usage = {};
+  draws.forEach(draw => {
+    usage[draw.teamId] = (usage[draw.teamId] || 0) + 1;
+  });
+
+  assert.deepEqual(draws.map(draw => draw.participantId).sort(), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(usage, { 10: 2, 11: 2, 12: 2 });
+});
+
+test('nobody is dealt a team they already own, or anything if they own them all', () => {
+  const participants = [{ id: 1 }, { id: 2 }];
+  const assignments = [...owns(1, [1, 10, 11]), ...owns(2, [2, 10, 11, 12])];
+
+  ['a', 'b', 'c', 'd'].forEach(seed => {
+    assert.deepEqual(bonus.drawBonusTeams(participants, assignments, teams, seed), [{ participantId: 1, teamId: 12 }]);
+  });
+});
+
+test.describe('drawing bonus teams', () => {
+  let app;
+
+  test.before(async () => {
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    for (const name of ['Ada', 'Grace', 'Alan']) {
+      await app.request('/register', { method: 'POST', body: { name, email: `${name.toLowerCase()}@example.com` } });
+    }
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  test('the draw waits for week 1 unless forced', async () => {
+    const early = await app.request('/admin/bonus-teams/draw', { method: 'POST', body: {} });
+    assert.equal(early.status, 409);
+    assert.match(early.data.error, /games before Week 2 are still to be played/);
+  });
+
+  test('the draw stores its seed and deals the teams the seed gives', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([JSON.stringify(weekOneResults())]), 'results.json');
+    const preview = await app.request('/admin/results/preview', { method: 'POST', form });
+    form.append('fingerprint', preview.data.fingerprint);
+    assert.equal((await app.request('/admin/results/import', { method: 'POST', form })).status, 200);
+
+    // Everyone's 11–16 seed lost in the first round
+    const participants = (await app.request('/admin/participants')).data;
+    const fieldTeams = (await app.request('/teams')).data;
+    const assignments = participants.flatMap(participant =>
+      participant.teams.map(team => ({ participant_id: participant.id, team_id: team.id, is_bonus: 0 })));
+    const expected = bonus.drawBonusTeams(participants, assignments, fieldTeams, 'replay');
+
+    const drawn = await app.request('/admin/bonus-teams/draw', { method: 'POST', body: { seed: 'replay' } });
+    assert.deepEqual([drawn.status, drawn.data.seed, drawn.data.assigned, drawn.data.skipped], [200, 'replay', 3, 0]);
+
+    const { data } = await app.request('/admin/bonus-teams');
+    assert.equal(data.seed, 'replay');
+    assert.equal(data.eligible, 0);
+    assert.deepEqual(
+      data.bonusTeams.map(row => ({ participantId: row.participant_id, teamId: row.team_id })).sort((a, b) => a.participantId - b.participantId),
+      expected.slice().sort((a, b) => a.participantId - b.participantId)
+    );
+  });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bracket = require('../bracket');
+const { buildField } = require('./helpers');
+
+test('buildFirstRound pairs the seeds of every region', () => {
+  const { games } = buildField();
+  assert.equal(games.length, 32);
+  assert.deepEqual(games.filter(game => game.region === 'East').map(game => [game.position, game.team1_id, game.team2_id]), [
+    [0, 1, 16], [1, 8, 9], [2, 5, 12], [3, 4, 13], [4, 6, 11], [5, 3, 14], [6, 7, 10], [7, 2, 15]
+  ]);
+});
+
+test('a play-in becomes a First Four game feeding its Round of 64 line', () => {
+  // East 11 is team 11 and its play-in rival is team 65
+  const { teams, games } = buildField([{ region: 'East', seed: 11 }]);
+  const playIn = games.find(game => game.round === bracket.FIRST_FOUR);
+
+  assert.deepEqual(
+    { region: playIn.region, position: playIn.position, team1_id: playIn.team1_id, team2_id: playIn.team2_id },
+    { region: 'East', position: 9, team1_id: 11, team2_id: 65 }
+  );
+  assert.equal(games.some(game => game.round === 'Round of 64' && game.region === 'East' && game.position === 4), false);
+  assert.deepEqual(bracket.nextSlot(playIn, bracket.DEFAULT_FINAL_FOUR_PAIRINGS),
+    { round: 'Round of 64', region: 'East', position: 4, side: 1 });
+
+  const slot = { region: 'East', position: 4 };
+  assert.equal(bracket.firstRoundTeams(slot, teams, [playIn]), null);
+  assert.deepEqual(bracket.firstRoundTeams(slot, teams, [{ ...playIn, completed: 1, winner_id: 65 }]), [6, 65]);
+});
+
+test('buildFirstRound reports missing seeds and impossible play-ins', () => {
+  const { teams } = buildField([{ region: 'West', seed: 1 }, { region: 'West', seed: 16 }]);
+  const { errors } = bracket.buildFirstRound(teams.filter(team => team.id !== 48));
+
+  assert.deepEqual(errors, [
+    'West has play-in games on both sides of the 1 vs 16 game',
+    'South is missing seeds: 16'
+  ]);
+});
+
+test('firstRoundSlot finds the line for a standard Round of 64 matchup only', () => {
+  const east = seed => ({ seed, region: 'East' });
+  assert.deepEqual(bracket.firstRoundSlot(east(12), east(5)), { region: 'East', position: 2 });
+  assert.equal(bracket.firstRoundSlot(east(1), east(2)), null);
+  assert.equal(bracket.firstRoundSlot(east(1), { seed: 16, region: 'West' }), null);
+});
+
+test('winners move up a round, and Elite 8 winners follow the Final Four pairings', () => {
+  const pairings = [['East', 'South'], ['West', 'Midwest']];
+  assert.deepEqual(bracket.nextSlot({ round: 'Round of 32', region: 'West', position: 3 }, pairings),
+    { round: 'Sweet 16', region: 'West', position: 1, side: 1 });
+  assert.deepEqual(bracket.nextSlot({ round: 'Elite 8', region: 'South', position: 0 }, pairings),
+    { round: 'Final Four', region: 'Final Four', position: 0, side: 1 });
+  assert.deepEqual(bracket.nextSlot({ round: 'Final Four', region: 'Final Four', position: 1 }, pairings),
+    { round: 'Championship', region: 'Final Four', position: 0, side: 1 });
+  assert.equal(bracket.nextSlot({ round: 'Championship', region: 'Final Four', position: 0 }, pairings), null);
+  assert.equal(bracket.nextSlot({ round: 'Round of 64', region: null, position: null }, pairings), null);
+});
+
+test('feederSlots is the reverse of nextSlot', () => {
+  const pairings = [['East', 'South'], ['West', 'Midwest']];
+  assert.deepEqual(bracket.feederSlots({ round: 'Final Four', region: 'Final Four', position: 1 }, pairings), [
+    { round: 'Elite 8', region: 'West', position: 0 },
+    { round: 'Elite 8', region: 'Midwest', position: 0 }
+  ]);
+
+  const slot = { round: 'Sweet 16', region: 'East', position: 2 };
+  const feeders = bracket.feederSlots(slot, pairings);
+  assert.deepEqual(feeders, [
+    { round: 'Round of 32', region: 'East', position: 4 },
+    { round: 'Round of 32', region: 'East', position: 5 }
+  ]);
+  feeders.forEach((feeder, side) => {
+    assert.deepEqual(bracket.nextSlot(feeder, pairings), { ...slot, side });
+  });
+});
+
+test('validatePairings wants each region in exactly one pair', () => {
+  const regions = ['East', 'West', 'South', 'Midwest'];
+  assert.equal(bracket.validatePairings(bracket.DEFAULT_FINAL_FOUR_PAIRINGS, regions), null);
+  assert.equal(bracket.validatePairings([['East', 'West'], ['East', 'South']], regions),
+    'Each region can only appear in one Final Four pairing');
+  assert.equal(bracket.validatePairings([['East', 'West'], ['South', 'North']], regions),
+    'Final Four pairings are missing: Midwest');
+  assert.equal(bracket.validatePairings([['East', 'West']], regions), 'Final Four pairings must be two pairs of regions');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calendar = require('../calendar');
+const { DEFAULT_RULES } = require('../rules');
+
+const eventCalendar = {
+  ...calendar.DEFAULT_CALENDAR,
+  weeks: {
+    1: { start: '2026-03-19', end: '2026-03-22' },
+    2: { start: '2026-03-26', end: '2026-03-29' },
+    3: { start: '2026-04-04', end: '2026-04-06' }
+  },
+  dailyEmailTime: '09:00'
+};
+
+test('round dates must fall inside the week that plays the round', () => {
+  const errors = calendar.validateCalendar(
+    { ...eventCalendar, roundDates: { 'Round of 64': '2026-03-19', 'Sweet 16': '2026-03-21' } },
+    [1, 2, 3],
+    DEFAULT_RULES.weekRounds
+  );
+  assert.deepEqual(errors, ['Sweet 16 is in Week 2, so its date must be between 2026-03-26 and 2026-03-29']);
+});
+
+test('missedRuns returns every missed weekly announcement and only the latest daily email', () => {
+  const now = new Date('2026-03-30T12:00');
+  const missed = calendar.missedRuns(eventCalendar, now, []);
+
+  assert.deepEqual(missed.map(run => [run.job, run.week || null]), [
+    ['weekly_winners', 1],
+    ['daily_standings', null],
+    ['weekly_winners', 2]
+  ]);
+  assert.equal(missed[1].at.getTime(), new Date('2026-03-30T09:00').getTime());
+});
+
+test('missedRuns skips runs already recorded in job_runs', () => {
+  const now = new Date('2026-03-30T12:00');
+  const done = calendar.missedRuns(eventCalendar, now, []).map(run => ({
+    job: run.job,
+    week: run.week || null,
+    scheduled_for: run.at.toISOString()
+  }));
+  assert.deepEqual(calendar.missedRuns(eventCalendar, now, done.slice(1)).map(run => run.week), [1]);
+  assert.deepEqual(calendar.missedRuns(eventCalendar, now, done), []);
+  assert.deepEqual(calendar.missedRuns(eventCalendar, new Date('2026-03-01T00:00'), []), []);
+});
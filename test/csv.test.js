@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../csv');
+
+test('csvCell quotes separators and defuses formulas, but not phone numbers', () => {
+  assert.equal(csv.csvCell('Smith, "Jo"'), '"Smith, ""Jo"""');
+  assert.equal(csv.csvCell('=HYPERLINK("x")'), `"'=HYPERLINK(""x"")"`);
+  assert.equal(csv.csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csv.csvCell('+1 555 0100'), '+1 555 0100');
+  assert.equal(csv.csvCell(-5), '-5');
+  assert.equal(csv.csvCell(null), '');
+});
+
+test('toCsv writes a header and CRLF lines in column order', () => {
+  const columns = [{ key: 'name', label: 'Name' }, { key: 'points', label: 'Points' }];
+  assert.equal(csv.toCsv(columns, [{ points: 12, name: 'Ada' }, { name: 'Line\nbreak' }]),
+    'Name,Points\r\nAda,12\r\n"Line\nbreak",\r\n');
+});
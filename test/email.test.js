@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const emailQueue = require('../emailqueue');
+const { startApp, startSmtpServer, uploadSampleTeams, waitFor } = require('./helpers');
+
+test('failed sends back off, and refused recipients are not retried', () => {
+  const refused = Object.assign(new Error('550 No such user'), { command: 'RCPT TO', responseCode: 550 });
+  const timeout = Object.assign(new Error('Connection timeout'), { code: 'ETIMEDOUT' });
+
+  assert.deepEqual(emailQueue.afterFailure(1, refused), { status: 'failed' });
+  assert.deepEqual(emailQueue.afterFailure(1, timeout), { status: 'pending', delay: 60 });
+  assert.deepEqual(emailQueue.afterFailure(3, timeout), { status: 'pending', delay: 240 });
+  assert.deepEqual(emailQueue.afterFailure(emailQueue.MAX_ATTEMPTS, timeout), { status: 'failed' });
+  assert.equal(emailQueue.sendInterval('120'), 500);
+  assert.equal(emailQueue.sendInterval(''), 60000 / emailQueue.DEFAULT_RATE_PER_MINUTE);
+});
+
+test.describe('email queue against a local SMTP server', () => {
+  let smtp;
+  let app;
+
+  test.before(async () => {
+    smtp = await startSmtpServer();
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    const saved = await app.request('/admin/settings', {
+      method: 'POST',
+      body: {
+        smtp_host: '127.0.0.1',
+        smtp_port: String(smtp.port),
+        from_email: 'pool@example.com',
+        email_rate_per_minute: '6000'
+      }
+    });
+    assert.equal(saved.status, 200);
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+    if (smtp) await smtp.close();
+  });
+
+  async function emailLog() {
+    return (await app.request('/admin/emails')).data;
+  }
+
+  test('a new participant gets a welcome email', async () => {
+    const registered = await app.request('/register', {
+      method: 'POST',
+      body: { name: 'Ada Lovelace', email: 'ada@example.com' }
+    });
+    assert.equal(registered.status, 200);
+
+    const message = await waitFor(async () => smtp.messages.find(sent => sent.to.includes('ada@example.com')));
+    assert.equal(message.from, 'pool@example.com');
+    assert.match(message.data, /^Subject: .+/m);
+    assert.match(message.data, /^List-Unsubscribe:\s+<http/m);
+
+    const sent = await waitFor(async () =>
+      (await emailLog()).emails.find(email => email.recipient === 'ada@example.com' && email.status === 'sent'));
+    assert.equal(sent.kind, 'welcome');
+    assert.equal(sent.attempts, 1);
+  });
+
+  test('a refused address fails once without holding up the rest of the queue', async () => {
+    await app.request('/register', { method: 'POST', body: { name: 'Bad Address', email: 'bad@example.com' } });
+    await app.request('/register', { method: 'POST', body: { name: 'Grace Hopper', email: 'grace@example.com' } });
+
+    await waitFor(async () => smtp.messages.find(sent => sent.to.includes('grace@example.com')));
+    const failed = await waitFor(async () =>
+      (await emailLog()).emails.find(email => email.recipient === 'bad@example.com' && email.status === 'failed'));
+    assert.equal(failed.attempts, 1);
+    assert.match(failed.last_error, /550/);
+    assert.equal(smtp.messages.some(sent => sent.to.includes('bad@example.com')), false);
+
+    const resent = await app.request(`/admin/emails/${failed.id}/resend`, { method: 'POST' });
+    assert.equal(resent.status, 200);
+    // A resend starts the message over, and the server refuses it again
+    const again = await waitFor(async () =>
+      (await emailLog()).emails.find(email => email.id === failed.id && email.status === 'failed'));
+    assert.equal(again.attempts, 1);
+    assert.equal(smtp.messages.some(sent => sent.to.includes('bad@example.com')), false);
+  });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const field = require('../field');
+const { buildField } = require('./helpers');
+
+// CSV rows for a full field, plus any extra rows
+function csvRows(extra = []) {
+  return buildField().teams
+    .map(team => ({ name: team.name, seed: String(team.seed), region: team.region }))
+    .concat(extra);
+}
+
+function check(rows) {
+  const parsed = field.parseRows(rows);
+  return parsed.errors.length > 0 ? parsed.errors : field.validateField(parsed.teams);
+}
+
+test('parseRows reads teams and reports bad rows by spreadsheet line', () => {
+  const { teams, errors } = field.parseRows([
+    { name: 'Duke', seed: '1', region: 'East', strength: '1650.5' },
+    { team: 'UConn', seed: ' 1 ', region: 'West' },
+    { name: '', seed: '17', region: 'East' },
+    { name: 'Houston', seed: '1.5', region: '', strength: 'strong' }
+  ]);
+
+  assert.deepEqual(teams, [
+    { row: 2, name: 'Duke', seed: 1, region: 'East', strength: 1650.5 },
+    { row: 3, name: 'UConn', seed: 1, region: 'West', strength: null }
+  ]);
+  assert.deepEqual(errors, [
+    { row: 4, message: 'name is missing; seed "17" must be a whole number from 1 to 16' },
+    { row: 5, message: 'seed "1.5" must be a whole number from 1 to 16; region is missing; strength "strong" must be a number above 0' }
+  ]);
+});
+
+test('a full field with First Four pairs passes and is summarized', () => {
+  const rows = csvRows([
+    { name: 'East 11 play-in', seed: '11', region: 'East' },
+    { name: 'West 16 play-in', seed: '16', region: 'West' }
+  ]);
+  assert.deepEqual(check(rows), []);
+
+  const summary = field.summarizeField(field.parseRows(rows).teams);
+  assert.deepEqual(summary, {
+    count: 66,
+    regions: { East: 17, West: 17, South: 16, Midwest: 16 },
+    firstFour: [
+      { region: 'East', seed: 11, teams: ['East 11', 'East 11 play-in'] },
+      { region: 'West', seed: 16, teams: ['West 16', 'West 16 play-in'] }
+    ]
+  });
+});
+
+test('validateField reports duplicate names and the wrong number of regions', () => {
+  const rows = csvRows().filter(row => row.region !== 'Midwest');
+  assert.deepEqual(check(rows), [{ message: 'Expected 4 regions but found 3: East, West, South' }]);
+
+  rows.push({ name: 'east 1', seed: '1', region: 'North' });
+  assert.deepEqual(check(rows), [
+    { row: 50, message: 'east 1 is already listed on row 2' },
+    { message: 'North is missing seeds: 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16' }
+  ]);
+});
+
+test('validateField checks every seed line and the First Four pairs', () => {
+  const missing = csvRows().filter(row => row.name !== 'East 5');
+  assert.deepEqual(check(missing), [{ message: 'East is missing seeds: 5' }]);
+
+  const crowded = csvRows(['a', 'b'].map(suffix => ({ name: `East 11${suffix}`, seed: '11', region: 'East' })));
+  assert.deepEqual(check(crowded), [{ row: 67, message: 'East already has two teams seeded 11' }]);
+
+  const bothSides = csvRows([
+    { name: 'East 1 play-in', seed: '1', region: 'East' },
+    { name: 'East 16 play-in', seed: '16', region: 'East' }
+  ]);
+  assert.deepEqual(check(bothSides), [{ message: 'East has First Four pairs on both sides of the 1 vs 16 game' }]);
+
+  const tooMany = csvRows(['East', 'West', 'South', 'Midwest', 'East'].map((region, index) => ({
+    name: `${region} play-in ${index}`,
+    seed: String(11 + (index === 4 ? 1 : 0)),
+    region
+  })));
+  assert.deepEqual(check(tooMany), [{ message: 'Found 5 First Four pairs; at most 4 are allowed' }]);
+});
@@ -0,0 +1,241 @@
+// Shared setup for tests. Tests of the pure bracket modules build a field in
+// memory; tests that run the real server do it against stand-in services,
+// and each app gets its own temporary directory, so its tournament.db and
+// uploads/ never touch the working copy.
+
+const { spawn } = require('node:child_process');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const bracket = require('../bracket');
+
+const ROOT = path.join(__dirname, '..');
+const REGIONS = ['East', 'West', 'South', 'Midwest'];
+
+// Four regions seeded 1-16, with team ids in region then seed order (East 1
+// seed is 1, West 1 seed is 17), and the opening games the server would
+// create. Each of `playIns`, as { region, seed }, adds a second team on that
+// seed line, so its games start with a First Four game.
+function buildField(playIns = []) {
+  const teams = [];
+  REGIONS.forEach(region => {
+    for (let seed = 1; seed <= 16; seed++) {
+      teams.push({ id: teams.length + 1, name: `${region} ${seed}`, seed, region });
+    }
+  });
+  playIns.forEach(({ region, seed }) => {
+    teams.push({ id: teams.length + 1, name: `${region} ${seed} play-in`, seed, region });
+  });
+
+  const games = bracket.buildFirstRound(teams).games
+    .map((game, index) => ({ id: index + 1, ...game, winner_id: null, completed: 0 }));
+  return { teams, games, pairings: bracket.DEFAULT_FINAL_FOUR_PAIRINGS };
+}
+
+// Record a result in a field from buildField, adding the game for the slot
+// if it isn't there yet. Returns the game.
+function playGame(field, { round, region, position }, team1Id, team2Id, winnerId) {
+  let game = field.games.find(g => g.round === round && g.region === region && g.position === position);
+  if (!game) {
+    game = { id: field.games.length + 1, round, region, position };
+    field.games.push(game);
+  }
+  Object.assign(game, { team1_id: team1Id, team2_id: team2Id, winner_id: winnerId, completed: 1 });
+  return game;
+}
+
+async function listen(server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server.address().port;
+}
+
+async function freePort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+// Poll until check() returns something truthy
+async function waitFor(check, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check().catch(() => null);
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+// Start the server with a fresh database and sign in as its first admin.
+// request() keeps the session cookie like a browser would; the database is
+// tournament.db in dir.
+async function startApp() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-pack-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  let cookie = '';
+  async function request(urlPath, { method = 'GET', body, form, headers: extra = {} } = {}) {
+    const headers = { ...extra };
+    if (cookie) headers.Cookie = cookie;
+    let payload = form;
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+    const response = await fetch(`http://127.0.0.1:${port}/api${urlPath}`, { method, headers, body: payload });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+    return { status: response.status, data };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, 'exit');
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitFor(async () => (await request('/auth/status')).status === 200);
+    await request('/auth/setup', { method: 'POST', body: { username: 'admin', password: 'password1' } });
+  } catch (error) {
+    await stop();
+    throw new Error(`The server did not start: ${error.message}\n${output}`);
+  }
+
+  return { dir, request, stop, output: () => output };
+}
+
+// Upload the sample field so participants can register
+function uploadSampleTeams(app) {
+  const form = new FormData();
+  form.append('file', new Blob([fs.readFileSync(path.join(ROOT, 'teams_sample.csv'))]), 'teams.csv');
+  return app.request('/admin/upload-teams', { method: 'POST', form });
+}
+
+// Results for the whole of week 1 in the sample field, with the better seed
+// winning every game, in the results import's default JSON layout
+function weekOneResults() {
+  const rows = fs.readFileSync(path.join(ROOT, 'teams_sample.csv'), 'utf8').trim().split('\n').slice(1);
+  const teams = rows.map(row => {
+    const [name, seed, region] = row.split(',');
+    return { name, seed: parseInt(seed), region };
+  });
+  const named = (region, seed) => teams.find(team => team.region === region && team.seed === seed).name;
+
+  const games = [];
+  [...new Set(teams.map(team => team.region))].forEach(region => {
+    const winners = [];
+    for (let i = 0; i < bracket.SEED_ORDER.length; i += 2) {
+      const [top, bottom] = [bracket.SEED_ORDER[i], bracket.SEED_ORDER[i + 1]];
+      games.push({ team1: named(region, top), team2: named(region, bottom), score1: 70, score2: 60 });
+      winners.push(Math.min(top, bottom));
+    }
+    for (let i = 0; i < winners.length; i += 2) {
+      const [better, worse] = [Math.min(winners[i], winners[i + 1]), Math.max(winners[i], winners[i + 1])];
+      games.push({ team1: named(region, better), team2: named(region, worse), score1: 70, score2: 60 });
+    }
+  });
+  return games;
+}
+
+// A minimal SMTP server that keeps what it is sent. Recipients whose address
+// starts with "bad" are refused, like a mailbox that does not exist.
+async function startSmtpServer() {
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = '';
+    let message = null;
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...message, data: data.join('\r\n') });
+            data = null;
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const address = (/<([^>]*)>/.exec(line) || [])[1];
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          message = { from: address, to: [] };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          if (address.startsWith('bad')) {
+            socket.write('550 No such user\r\n');
+          } else {
+            message.to.push(address);
+            socket.write('250 OK\r\n');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  const port = await listen(server);
+
+  return {
+    port,
+    messages,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = {
+  buildField,
+  playGame,
+  listen,
+  waitFor,
+  startApp,
+  uploadSampleTeams,
+  weekOneResults,
+  startSmtpServer
+};
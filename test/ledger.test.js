@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const ledger = require('../ledger');
+const { startApp, uploadSampleTeams, weekOneResults } = require('./helpers');
+
+function winner(participantId, name, place, amount, tied = false) {
+  return { participant_id: participantId, name, email: `${name.toLowerCase()}@example.com`, place, tied, points: 10, amount };
+}
+
+function payment(board, participantId, name, amount) {
+  return { board, participant_id: participantId, name, email: `${name.toLowerCase()}@example.com`, amount, method: 'Check', note: null, paid_by: 'admin', paid_at: '2026-03-30 12:00:00' };
+}
+
+const boards = [
+  { key: 'overall', label: 'Overall', final: false, winners: [winner(1, 'Ada', 1, 100)] },
+  {
+    key: 'week1',
+    label: 'Week 1',
+    final: true,
+    winners: [winner(2, 'Grace', 1, 42.5, true), winner(3, 'Alan', 1, 42.5, true), winner(1, 'Ada', 3, 10)]
+  }
+];
+
+test('buildLedger marks each prize provisional, due, paid or to check', () => {
+  const { entries, totals } = ledger.buildLedger(boards, [
+    payment('week1', 2, 'Grace', 42.5),
+    payment('week1', 3, 'Alan', 40)
+  ]);
+
+  assert.deepEqual(entries.map(entry => [entry.board, entry.name, entry.owed, entry.paid, entry.status]), [
+    ['overall', 'Ada', 100, 0, 'provisional'],
+    ['week1', 'Grace', 42.5, 42.5, 'paid'],
+    ['week1', 'Alan', 42.5, 40, 'check'],
+    ['week1', 'Ada', 10, 0, 'due']
+  ]);
+  assert.deepEqual(totals, { owed: 95, paid: 82.5, outstanding: 12.5, provisional: 100 });
+});
+
+test('a payment to someone who lost their place stays on the ledger to check', () => {
+  const { entries } = ledger.buildLedger(boards, [payment('week1', 4, 'Edsger', 10)]);
+  const stale = entries.find(entry => entry.participant_id === 4);
+
+  assert.deepEqual([stale.place, stale.owed, stale.paid, stale.status], [null, 0, 10, 'check']);
+  assert.equal(entries.indexOf(stale), entries.length - 1);
+});
+
+test('settlement reports show tied places and escape names in HTML', () => {
+  const prizes = ledger.buildLedger([{ ...boards[1], winners: [winner(2, '<b>Grace</b>', 1, 42.5, true)] }], []);
+
+  assert.equal(ledger.settlementCsv(prizes).split('\r\n')[1],
+    'Week 1,T-1,<b>Grace</b>,<b>grace</b>@example.com,10,42.50,0.00,due,,,,');
+  const html = ledger.settlementHtml(prizes, 'Pool & Co', '2026-04-08');
+  assert.match(html, /&lt;b&gt;Grace&lt;\/b&gt;/);
+  assert.match(html, /Prize Settlement - Pool &amp; Co/);
+  assert.doesNotMatch(html, /<b>Grace/);
+});
+
+test.describe('paying prizes', () => {
+  let app;
+
+  test.before(async () => {
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    await app.request('/register', { method: 'POST', body: { name: 'Ada', email: 'ada@example.com' } });
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  function resultsFile(fingerprint) {
+    const form = new FormData();
+    form.append('file', new Blob([JSON.stringify(weekOneResults())]), 'results.json');
+    if (fingerprint) form.append('fingerprint', fingerprint);
+    return form;
+  }
+
+  test('a prize can only be paid once its week is final, and stays paid', async () => {
+    const early = await app.request('/admin/prizes/week1/1/payment', { method: 'PUT', body: {} });
+    assert.equal(early.status, 409);
+
+    const preview = await app.request('/admin/results/preview', { method: 'POST', form: resultsFile() });
+    assert.equal(preview.data.changes.length, 48);
+    const imported = await app.request('/admin/results/import', { method: 'POST', form: resultsFile(preview.data.fingerprint) });
+    assert.equal(imported.data.imported, 48);
+
+    const paid = await app.request('/admin/prizes/week1/1/payment', { method: 'PUT', body: { method: 'Check', note: 'No. 101' } });
+    assert.equal(paid.status, 200);
+    const { data } = await app.request('/admin/prizes');
+    const entry = data.entries.find(e => e.board === 'week1' && e.participant_id === 1);
+    assert.deepEqual([entry.owed, entry.paid, entry.status, entry.method], [50, 50, 'paid', 'Check']);
+
+    // Replacing the field would throw away the payment
+    const form = new FormData();
+    form.append('file', new Blob([fs.readFileSync(path.join(__dirname, '..', 'teams_sample.csv'))]), 'teams.csv');
+    form.append('force', 'true');
+    const replaced = await app.request('/admin/upload-teams', { method: 'POST', form });
+    assert.equal(replaced.status, 409);
+    assert.deepEqual([replaced.data.payments, replaced.data.closures], [1, 1]);
+    assert.equal((await app.request('/admin/prizes')).data.totals.paid, 50);
+  });
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const links = require('../links');
+
+const secret = 'link-secret';
+const participant = { id: 7, event_id: 2, email: 'Ada@Example.com' };
+const now = Date.UTC(2026, 2, 17);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('a token only verifies for its own purpose and with its own signature', () => {
+  const token = links.participantToken(participant, secret, now);
+  const payload = links.verifyToken(token, secret, 'team', now);
+
+  assert.deepEqual([payload.participantId, payload.eventId, payload.email], [7, 2, 'ada@example.com']);
+  assert.equal(links.verifyToken(token, secret, 'preferences', now), null);
+  assert.equal(links.verifyToken(token, 'another secret', 'team', now), null);
+  assert.equal(links.verifyToken(`${token.split('.')[0]}x.${token.split('.')[1]}`, secret, 'team', now), null);
+  assert.equal(links.verifyToken('garbage', secret, 'team', now), null);
+});
+
+test('My Team links expire sooner than preference links', () => {
+  const team = links.participantToken(participant, secret, now);
+  const preferences = links.preferencesToken(participant, secret, now);
+  const later = days => now + days * DAY_MS;
+
+  assert.ok(links.verifyToken(team, secret, 'team', later(links.TEAM_LINK_DAYS) - 1));
+  assert.equal(links.verifyToken(team, secret, 'team', later(links.TEAM_LINK_DAYS)), null);
+  assert.ok(links.verifyToken(preferences, secret, 'preferences', later(links.TEAM_LINK_DAYS)));
+  assert.equal(links.verifyToken(preferences, secret, 'preferences', later(links.PREFERENCES_LINK_DAYS)), null);
+});
+
+test('a token stops matching once the participant\'s email changes', () => {
+  const payload = links.verifyToken(links.participantToken(participant, secret, now), secret, 'team', now);
+
+  assert.equal(links.tokenMatches(payload, { ...participant, email: ' ada@example.com' }), true);
+  assert.equal(links.tokenMatches(payload, { ...participant, email: 'ada.lovelace@example.com' }), false);
+  assert.equal(links.tokenMatches(payload, { ...participant, id: 8 }), false);
+  assert.equal(links.tokenMatches(payload, undefined), false);
+
+  // Tokens from before links carried an email match nobody
+  const old = links.verifyToken(links.createToken({ purpose: 'team', participantId: 7, eventId: 2 }, secret), secret, 'team');
+  assert.equal(links.tokenMatches(old, participant), false);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const packs = require('../packs');
+const { buildField } = require('./helpers');
+
+function team(id, seed, region) {
+  return { id, name: `${region} ${seed}`, seed, region };
+}
+
+// Only two packs: the East 1 and 4 seeds, the West 7 seed, and either West 11 or 12
+const smallField = [team(1, 1, 'East'), team(2, 4, 'East'), team(3, 7, 'West'), team(4, 11, 'West'), team(5, 12, 'West')];
+
+function assigned(participantId, teamIds, isBonus = 0) {
+  return teamIds.map(teamId => ({ participant_id: participantId, team_id: teamId, is_bonus: isBonus }));
+}
+
+test('every pack from a full field follows every rule and is listed once', () => {
+  const { teams } = buildField([{ region: 'East', seed: 11 }]);
+  const all = packs.validPacks(teams);
+
+  assert.ok(all.length > 0);
+  assert.equal(all.filter(pack => packs.packProblem(pack) !== null).length, 0);
+  assert.equal(new Set(all.map(pack => packs.packKey(pack.map(t => t.id)))).size, all.length);
+});
+
+test('packProblem names the rule a pack breaks', () => {
+  const east = [team(1, 1, 'East'), team(2, 4, 'East'), team(3, 7, 'East'), team(4, 11, 'West')];
+  assert.equal(packs.packProblem(east), 'A pack can have at most 2 teams from the East region');
+
+  const twoTopSeeds = [team(1, 1, 'East'), team(2, 2, 'West'), team(3, 7, 'South'), team(4, 11, 'Midwest')];
+  assert.equal(packs.packProblem(twoTopSeeds), 'A pack needs exactly one team seeded 1–3');
+
+  const opponents = [team(1, 1, 'East'), team(2, 4, 'West'), team(3, 7, 'South'), team(4, 16, 'East')];
+  assert.equal(packs.packProblem(opponents), 'East 1 and East 16 play each other in the first round');
+
+  assert.equal(packs.packProblem([team(1, 1, 'East'), team(2, 4, 'West'), team(3, 7, 'South'), team(4, 16, 'West')]), null);
+});
+
+test('allocatePack hands out each combination once, then fails', () => {
+  const first = packs.allocatePack(smallField, [], () => 0);
+  assert.deepEqual(first.pack.map(t => t.id), [1, 2, 3, 4]);
+  assert.equal(first.remaining, 1);
+
+  const second = packs.allocatePack(smallField, assigned(10, [1, 2, 3, 4]), () => 0);
+  assert.deepEqual(second.pack.map(t => t.id), [1, 2, 3, 5]);
+  assert.equal(second.remaining, 0);
+  assert.equal(second.low, true);
+
+  assert.throws(
+    () => packs.allocatePack(smallField, assigned(10, [1, 2, 3, 4]).concat(assigned(11, [5, 3, 2, 1]))),
+    error => error instanceof packs.PackError && error.message === 'Every unique team pack has been given out'
+  );
+});
+
+test('a Bonus Team is not part of the pack it joins', () => {
+  const assignments = assigned(10, [1, 2, 3, 4]).concat(assigned(10, [5], 1));
+  assert.deepEqual(packs.allocatePack(smallField, assignments).pack.map(t => t.id), [1, 2, 3, 5]);
+});
+
+test('a field with no pack that follows the rules fails with a PackError', () => {
+  const oneRegion = [team(1, 1, 'East'), team(2, 4, 'East'), team(3, 7, 'East'), team(4, 11, 'East')];
+  assert.throws(() => packs.allocatePack(oneRegion, []), packs.PackError);
+
+  const noLowSeeds = smallField.filter(t => t.seed < 11);
+  assert.throws(
+    () => packs.allocatePack(noLowSeeds, []),
+    error => error instanceof packs.PackError && error.message === 'No teams seeded 11–16 have been loaded'
+  );
+});
+
+test('packCapacity counts the packs given out and left', () => {
+  const { teams } = buildField();
+  const total = packs.validPacks(teams).length;
+  const capacity = packs.packCapacity(teams, assigned(10, [1, 20, 39, 60]).concat(assigned(10, [2], 1)));
+
+  assert.deepEqual(capacity, { total, used: 1, remaining: total - 1, low: false });
+});
+
+test('reassignProblem refuses a combination someone else holds', () => {
+  const assignments = assigned(10, [1, 2, 3, 4]).concat(assigned(11, [1, 2, 3, 5]));
+  assert.equal(
+    packs.reassignProblem(smallField.filter(t => t.id !== 5), 11, assignments),
+    'Someone else already holds that combination of teams'
+  );
+  assert.equal(packs.reassignProblem(smallField.filter(t => t.id !== 4), 11, assignments), null);
+});
+
+test('packs are listed again when the field changes', () => {
+  assert.deepEqual(packs.allocatePack(smallField, [], () => 0.99).pack.map(t => t.id), [1, 2, 3, 5]);
+
+  const reseeded = smallField.map(t => t.id === 5 ? { ...t, seed: 13, name: 'West 13' } : t);
+  const { pack } = packs.allocatePack(reseeded, [], () => 0.99);
+  assert.deepEqual(pack.map(t => t.id), [1, 2, 3, 5]);
+  assert.equal(pack[3].seed, 13);
+
+  const renamed = smallField.map(t => ({ ...t, name: `${t.name} (renamed)` }));
+  assert.equal(packs.allocatePack(renamed, [], () => 0).pack[0].name, 'East 1 (renamed)');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const packs = require('../packs');
+const registration = require('../registration');
+const { startApp, uploadSampleTeams } = require('./helpers');
+
+test('validateParticipantChanges only touches the fields given, and lead fields may be cleared', () => {
+  assert.deepEqual(registration.validateParticipantChanges({ name: ' Ada ', company: '', marketing_consent: null }), {
+    values: { name: 'Ada', company: null, marketing_consent: null },
+    errors: []
+  });
+  assert.deepEqual(registration.validateParticipantChanges({ email: 'nope', phone: 'call me', fax: '1' }).errors, [
+    'Unknown participant field: fax',
+    'Email address is not valid',
+    'Phone is not a valid phone number'
+  ]);
+});
+
+test.describe('managing participants', () => {
+  let app;
+  let teams;
+  const ids = {};
+  const tokens = {};
+
+  test.before(async () => {
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    for (const [name, body] of Object.entries({
+      Ada: { email: 'ada@example.com' },
+      Grace: { email: 'grace@example.com' },
+      Duplicate: { email: 'ada.l@example.com' }
+    })) {
+      const registered = await app.request('/register', { method: 'POST', body: { name, ...body } });
+      ids[name] = registered.data.participant.id;
+      tokens[name] = registered.data.token;
+    }
+    await app.request(`/admin/participants/${ids.Duplicate}`, { method: 'PUT', body: { company: 'Engines' } });
+    teams = (await app.request('/teams')).data;
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  async function participant(id) {
+    return (await app.request('/admin/participants')).data.find(row => row.id === id);
+  }
+
+  test('an edit is saved and audited, but can\'t take another participant\'s email', async () => {
+    const taken = await app.request(`/admin/participants/${ids.Ada}`, { method: 'PUT', body: { email: 'GRACE@example.com' } });
+    assert.equal(taken.status, 409);
+
+    const edited = await app.request(`/admin/participants/${ids.Ada}`, {
+      method: 'PUT',
+      body: { name: 'Ada Lovelace', email: 'ada@example.com', phone: '+44 20 7946 0000' }
+    });
+    assert.deepEqual(edited.data.changed, ['name', 'phone']);
+
+    const { data } = await app.request('/admin/audit?action=participant.update');
+    assert.deepEqual(data.entries[0].after_value, { name: 'Ada Lovelace', phone: '+44 20 7946 0000' });
+  });
+
+  test('a new email address revokes the My Team links sent to the old one', async () => {
+    const myTeam = token => app.request('/my-team', { headers: { 'X-Participant-Token': token } });
+    assert.equal((await myTeam(tokens.Grace)).status, 200);
+
+    await app.request(`/admin/participants/${ids.Grace}`, { method: 'PUT', body: { email: 'grace.hopper@example.com' } });
+    const revoked = await myTeam(tokens.Grace);
+    assert.equal(revoked.status, 401);
+    assert.match(revoked.data.error, /expired or is no longer valid/);
+  });
+
+  test('a swapped team must leave a pack that follows the rules', async () => {
+    const own = (await participant(ids.Ada)).teams;
+    const [from] = own;
+    const otherSeed = teams.find(team => team.seed !== from.seed && team.seed > 10);
+    const broken = await app.request(`/admin/participants/${ids.Ada}/reassign`, {
+      method: 'POST',
+      body: { fromTeamId: from.id, toTeamId: otherSeed.id }
+    });
+    assert.equal(broken.status, 409);
+
+    const rest = own.filter(team => team.id !== from.id);
+    const swap = teams.find(team => !own.some(t => t.id === team.id) && packs.packProblem(rest.concat(team)) === null);
+    const swapped = await app.request(`/admin/participants/${ids.Ada}/reassign`, {
+      method: 'POST',
+      body: { fromTeamId: from.id, toTeamId: swap.id }
+    });
+    assert.equal(swapped.status, 200);
+    assert.ok(swapped.data.teams.some(team => team.id === swap.id));
+    assert.equal(swapped.data.teams.some(team => team.id === from.id), false);
+  });
+
+  test('merging keeps the participant\'s pack, fills blank fields and removes the duplicate', async () => {
+    const packBefore = (await participant(ids.Ada)).teams.map(team => team.id);
+    const merged = await app.request(`/admin/participants/${ids.Ada}/merge`, {
+      method: 'POST',
+      body: { duplicateId: ids.Duplicate }
+    });
+    assert.equal(merged.status, 200);
+    assert.deepEqual(merged.data.filled, ['company']);
+
+    const kept = await participant(ids.Ada);
+    assert.equal(kept.company, 'Engines');
+    assert.deepEqual(kept.teams.map(team => team.id), packBefore);
+    assert.equal(await participant(ids.Duplicate), undefined);
+  });
+
+  test('a deleted participant is gone along with their pack', async () => {
+    const removed = await app.request(`/admin/participants/${ids.Grace}`, { method: 'DELETE' });
+    assert.equal(removed.status, 200);
+    assert.equal(await participant(ids.Grace), undefined);
+    assert.equal((await app.request(`/admin/participants/${ids.Grace}`, { method: 'DELETE' })).status, 404);
+
+    const capacity = (await app.request('/admin/packs')).data;
+    assert.equal(capacity.used, 1);
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const payouts = require('../payouts');
+
+function amounts(rows) {
+  const byId = {};
+  rows.forEach(row => {
+    byId[row.participant_id ?? row.id] = row.amount;
+  });
+  return byId;
+}
+
+test('splitCents hands the odd cents to the first shares', () => {
+  assert.deepEqual(payouts.splitCents(85, 3), [28.34, 28.33, 28.33]);
+  assert.deepEqual(payouts.splitCents(100, 3), [33.34, 33.33, 33.33]);
+  assert.deepEqual(payouts.splitCents(10, 4), [2.5, 2.5, 2.5, 2.5]);
+  assert.deepEqual(payouts.splitCents(0, 2), [0, 0]);
+});
+
+test('a split tie pays shares that add up to the places, lowest participant id first', () => {
+  const rows = [
+    { participant_id: 7, points: 20, overall_points: 20 },
+    { participant_id: 3, points: 20, overall_points: 20 },
+    { participant_id: 5, points: 20, overall_points: 20 },
+    { participant_id: 9, points: 10, overall_points: 10 }
+  ];
+  const awarded = payouts.awardPayouts(rows, [50, 25, 10], 'split');
+
+  assert.deepEqual(amounts(awarded), { 3: 28.34, 5: 28.33, 7: 28.33, 9: 0 });
+  assert.equal(awarded.filter(row => row.tied).length, 3);
+
+  const total = awarded.reduce((sum, row) => sum + Math.round(row.amount * 100), 0);
+  assert.equal(total, 8500);
+});
+
+test('the same tie pays the same way whatever order the rows come in', () => {
+  const rows = [{ id: 2, points: 5 }, { id: 1, points: 5 }, { id: 3, points: 5 }];
+  const forward = amounts(payouts.awardPayouts(rows, [100], 'split'));
+  const reversed = amounts(payouts.awardPayouts([...rows].reverse(), [100], 'split'));
+  assert.deepEqual(forward, { 1: 33.34, 2: 33.33, 3: 33.33 });
+  assert.deepEqual(reversed, forward);
+});
+
+test('duplicate pays each tied participant the full place, and overall breaks ties', () => {
+  const rows = [
+    { participant_id: 1, points: 8, overall_points: 30 },
+    { participant_id: 2, points: 8, overall_points: 40 },
+    { participant_id: 3, points: 4, overall_points: 50 }
+  ];
+  assert.deepEqual(amounts(payouts.awardPayouts(rows, [60, 30], 'duplicate')), { 1: 60, 2: 60, 3: 0 });
+  assert.deepEqual(amounts(payouts.awardPayouts(rows, [60, 30], 'overall')), { 1: 30, 2: 60, 3: 0 });
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const projections = require('../projections');
+const { DEFAULT_RULES } = require('../rules');
+const { buildField, playGame } = require('./helpers');
+
+// East teams have ids equal to their seeds. Participant 1 holds the East 1
+// seed; participant 2 holds the East 8 and 9 seeds, who meet in the Round of 64.
+function projectionInput(field = buildField()) {
+  return {
+    ...field,
+    participants: [{ id: 1, name: 'One' }, { id: 2, name: 'Two' }],
+    assignments: [
+      { participant_id: 1, team_id: 1, is_bonus: 0 },
+      { participant_id: 2, team_id: 8, is_bonus: 0 },
+      { participant_id: 2, team_id: 9, is_bonus: 0 }
+    ]
+  };
+}
+
+function project(input) {
+  const byId = {};
+  projections.projectParticipants(input, DEFAULT_RULES).forEach(row => {
+    byId[row.id] = row;
+  });
+  return byId;
+}
+
+test('a 1 seed can still win every round, a week at a time', () => {
+  const one = project(projectionInput())[1];
+  assert.deepEqual(one.overall, { points: 0, remaining: 46, max: 46, eliminated: false });
+  assert.deepEqual([1, 2, 3].map(week => one.weeks[week].remaining), [1 + 2, 4 + 7, 12 + 20]);
+});
+
+test('a partially played bracket counts results and the best upsets still possible', () => {
+  const field = buildField();
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 1);
+  playGame(field, { round: 'Round of 64', region: 'East', position: 1 }, 8, 9, 8);
+  const byId = project(projectionInput(field));
+
+  assert.deepEqual(byId[1].overall, { points: 1, remaining: 45, max: 46, eliminated: false });
+  // The 8 seed can beat the 1, 4, 2, 1 and 1 seeds: 2+7, 4+4, 7+6, 12+7 and 20+7
+  assert.deepEqual(byId[2].overall, { points: 1, remaining: 76, max: 77, eliminated: false });
+});
+
+test('a team knocked out mid-bracket has nothing left to earn', () => {
+  const field = buildField();
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 1);
+  playGame(field, { round: 'Round of 64', region: 'East', position: 1 }, 8, 9, 8);
+  playGame(field, { round: 'Round of 32', region: 'East', position: 0 }, 1, 8, 8);
+  const byId = project(projectionInput(field));
+
+  assert.deepEqual(byId[1].overall, { points: 1, remaining: 0, max: 1, eliminated: true });
+  assert.deepEqual(byId[2].overall, { points: 10, remaining: 67, max: 77, eliminated: false });
+  assert.equal(byId[1].weeks[1].eliminated, false);
+  assert.equal(byId[1].weeks[2].eliminated, false);
+});
+
+test('someone who can only tie for the last paid place is still in the money', () => {
+  const field = buildField();
+  const input = projectionInput(field);
+  input.participants.push({ id: 3, name: 'Three' }, { id: 4, name: 'Four' });
+  input.assignments.push(
+    { participant_id: 3, team_id: 17, is_bonus: 0 },
+    { participant_id: 4, team_id: 33, is_bonus: 0 }
+  );
+  // East 1 goes out at once; the West and South 1 seeds each win one game
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 16);
+  playGame(field, { round: 'Round of 64', region: 'West', position: 0 }, 17, 32, 17);
+  playGame(field, { round: 'Round of 64', region: 'South', position: 0 }, 33, 48, 33);
+  const byId = project(input);
+
+  // Week 1 pays three places and only Three and Four are ahead of One
+  assert.equal(byId[1].weeks[1].max, 0);
+  assert.equal(byId[1].weeks[1].eliminated, false);
+
+  const rules = { ...DEFAULT_RULES, weeklyPayouts: [50, 25] };
+  const twoPlaces = {};
+  projections.projectParticipants(input, rules).forEach(row => {
+    twoPlaces[row.id] = row;
+  });
+  assert.equal(twoPlaces[1].weeks[1].eliminated, true);
+  assert.equal(twoPlaces[1].overall.eliminated, true);
+});
+
+test('playOut settles only games whose two teams are known', () => {
+  const { teams, games, pairings } = buildField([{ region: 'East', seed: 11 }]);
+  const field = projections.createBracket(teams, games, pairings);
+  const asked = [];
+  const open = projections.playOut(field, slot => {
+    asked.push(slot.key);
+    return null;
+  });
+  // 31 Round of 64 games and the First Four game; nothing later has both teams
+  assert.equal(open.length, 32);
+  assert.equal(open.some(slot => slot.decided), false);
+  assert.ok(asked.includes('First Four|East|9'));
+  assert.equal(asked.includes('Round of 64|East|4'), false);
+
+  const played = projections.playOut(field, (slot, [team1Id]) => team1Id);
+  assert.equal(played.length, 64);
+  const champion = played.find(slot => slot.round === 'Championship');
+  assert.deepEqual([champion.team1_id, champion.team2_id, champion.winner_id], [1, 33, 1]);
+});
+
+test('whatIf applies picks for known matchups and ignores the rest', () => {
+  const field = buildField();
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 1);
+  const { slots, boards } = projections.whatIf(projectionInput(field), {
+    'Round of 64|East|1': 9,
+    'Round of 32|East|0': 9,
+    // Team 2 isn't in this game
+    'Round of 64|East|2': 2
+  }, DEFAULT_RULES);
+
+  const bySlot = {};
+  slots.forEach(slot => {
+    bySlot[slot.key] = slot;
+  });
+  assert.equal(bySlot['Round of 64|East|0'].picked, false);
+  assert.equal(bySlot['Round of 32|East|0'].picked, true);
+  assert.equal(bySlot['Round of 64|East|2'].winner_id, null);
+
+  // Two gets 1 + 1 for the 9 seed beating the 8, then 2 + 8 for beating the 1
+  assert.deepEqual(boards.overall.map(row => [row.id, row.points, row.amount]), [[2, 12, 100], [1, 1, 0]]);
+  assert.deepEqual(boards.week2.map(row => row.points), [0, 0]);
+});
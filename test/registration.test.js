@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const registration = require('../registration');
+const { startApp, uploadSampleTeams } = require('./helpers');
+
+const config = registration.parseFieldConfig(JSON.stringify({
+  company: { enabled: true, required: true, label: 'Your company' },
+  phone: { enabled: true },
+  sales_rep: { required: true },
+  marketing_consent: { enabled: true }
+}));
+
+test('lead fields are off until enabled, and only an enabled field can be required', () => {
+  assert.deepEqual(config.sales_rep, { enabled: false, required: false, label: 'Sales Rep' });
+  assert.deepEqual(registration.formFields(config), [
+    { key: 'company', label: 'Your company', type: 'text', required: true },
+    { key: 'phone', label: 'Phone', type: 'tel', required: false },
+    { key: 'marketing_consent', label: 'Send me news and offers by email', type: 'checkbox', required: false }
+  ]);
+  assert.deepEqual(registration.formFields(registration.parseFieldConfig('not json')), []);
+});
+
+test('validateFieldConfig rejects unknown fields and blank labels', () => {
+  assert.deepEqual(registration.validateFieldConfig({
+    company: { label: ' ' },
+    phone: 'yes',
+    fax: { enabled: true }
+  }), [
+    'Company label must be 1 to 200 characters',
+    'Phone must be an object',
+    'Unknown registration field: fax'
+  ]);
+});
+
+test('a registration is trimmed, lower-cases the email and fills every lead column', () => {
+  const { values, errors } = registration.validateRegistration({
+    name: '  Ada Lovelace ',
+    email: 'Ada@Example.COM',
+    company: 'Analytical Engines',
+    phone: '+44 (20) 7946-0000',
+    sales_rep: 'ignored while the field is off',
+    marketing_consent: 'on'
+  }, config);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(values, {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    company: 'Analytical Engines',
+    phone: '+44 (20) 7946-0000',
+    sales_rep: null,
+    marketing_consent: 1
+  });
+});
+
+test('a registration reports every problem with the form', () => {
+  const { values, errors } = registration.validateRegistration({
+    name: 'x'.repeat(201),
+    email: 'ada@example',
+    phone: '12-34',
+    marketing_consent: false
+  }, config);
+
+  assert.deepEqual(errors, [
+    'Name must be at most 200 characters',
+    'Email address is not valid',
+    'Your company is required',
+    'Phone is not a valid phone number'
+  ]);
+  assert.equal(values.marketing_consent, 0);
+  assert.deepEqual(registration.validateRegistration({ name: ['Ada'], email: {} }, config).errors.slice(0, 2),
+    ['Name is required', 'Email is required']);
+});
+
+test('a required checkbox must be ticked', () => {
+  const consent = registration.parseFieldConfig(JSON.stringify({ marketing_consent: { enabled: true, required: true } }));
+  assert.deepEqual(registration.validateRegistration({ name: 'Ada', email: 'ada@example.com' }, consent).errors,
+    ['Send me news and offers by email must be checked']);
+});
+
+test.describe('registering with the server', () => {
+  let app;
+
+  test.before(async () => {
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    const saved = await app.request('/admin/registration', {
+      method: 'PUT',
+      body: { fields: { company: { enabled: true, required: true } } }
+    });
+    assert.equal(saved.status, 200);
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  test('a new participant gets a pack; the same address again gets only an email', async () => {
+    const missing = await app.request('/register', { method: 'POST', body: { name: 'Ada', email: 'ada@example.com' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.data.details, ['Company is required']);
+
+    const registered = await app.request('/register', {
+      method: 'POST',
+      body: { name: 'Ada', email: 'ada@example.com', company: 'Engines' }
+    });
+    assert.equal(registered.status, 200);
+    assert.equal(registered.data.teams.length, 4);
+    assert.ok(registered.data.token);
+
+    const again = await app.request('/register', {
+      method: 'POST',
+      body: { name: 'Someone Else', email: 'ADA@example.com', company: 'Engines' }
+    });
+    assert.equal(again.status, 200);
+    assert.equal(again.data.token, undefined);
+    assert.match(again.data.message, /already registered/);
+
+    const { data } = await app.request('/admin/participants');
+    assert.deepEqual(data.map(participant => [participant.name, participant.company]), [['Ada', 'Engines']]);
+  });
+
+  test('nobody can register once registration has closed', async () => {
+    const closed = await app.request('/admin/calendar', { method: 'PUT', body: { registrationCloses: '2000-01-01T00:00' } });
+    assert.equal(closed.status, 200);
+
+    const late = await app.request('/register', {
+      method: 'POST',
+      body: { name: 'Grace', email: 'grace@example.com', company: 'Navy' }
+    });
+    assert.equal(late.status, 409);
+    assert.equal(late.data.error, 'Registration for this event is closed');
+  });
+});
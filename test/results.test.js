@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const results = require('../results');
+const { buildField, playGame } = require('./helpers');
+
+const mapping = results.parseFeedConfig(null).mapping;
+
+function result(row, team1, team2, score1, score2, winner = '') {
+  return { row, team1, team2, score1, score2, winner };
+}
+
+test('normalizeName ignores case, punctuation and how "and" is written', () => {
+  assert.equal(results.normalizeName("St. John's"), results.normalizeName('st johns'));
+  assert.equal(results.normalizeName('Texas A&M'), 'texas a and m');
+  assert.equal(results.normalizeName(null), '');
+});
+
+test('extractResults reads JSON paths and CSV columns, and reports malformed rows', () => {
+  const feed = {
+    data: {
+      events: [
+        { home: { name: 'East 1', score: 80 }, away: { name: 'East 16', score: 60 }, state: 'final' },
+        { home: { name: 'East 8', score: 70 }, away: { name: 'East 9', score: 71 }, state: 'live' },
+        { home: { name: '', score: 'ten' }, away: { name: 'East 5', score: 61 }, state: 'final' }
+      ]
+    }
+  };
+  const jsonMapping = {
+    ...mapping,
+    games: 'data.events',
+    team1: 'home.name',
+    team2: 'away.name',
+    score1: 'home.score',
+    score2: 'away.score',
+    status: 'state',
+    finalStatus: 'final'
+  };
+  assert.deepEqual(results.extractResults(feed, jsonMapping, 'json'), {
+    results: [result(1, 'East 1', 'East 16', 80, 60)],
+    skipped: 1,
+    errors: [{ row: 3, message: 'both team names are required; scores "ten" and "61" must be whole numbers' }]
+  });
+
+  const rows = [{ Team1: 'East 1', Team2: 'East 16', Score1: '80', Score2: '-3' }];
+  assert.deepEqual(results.extractResults(rows, mapping, 'csv').errors,
+    [{ row: 2, message: 'scores "80" and "-3" must be whole numbers' }]);
+
+  assert.deepEqual(results.extractResults({ games: {} }, { ...mapping, games: 'games' }, 'json').errors,
+    [{ message: 'No list of games found at "games"' }]);
+});
+
+test('validateFeedConfig wants a web URL, a known format and the score columns', () => {
+  const config = results.parseFeedConfig(JSON.stringify({
+    url: 'ftp://example.com/results',
+    format: 'xml',
+    mapping: { team1: '', extra: 'x', status: 'state' }
+  }));
+  assert.deepEqual(results.validateFeedConfig(config), [
+    'Feed URL must start with http:// or https://',
+    'Format must be one of: json, csv',
+    'Unknown mapping field: extra',
+    'Mapping for team1 is required',
+    'Give the status value that marks a game final'
+  ]);
+  assert.deepEqual(results.validateFeedConfig(results.parseFeedConfig(null)), []);
+});
+
+test('planImport fills later rounds from earlier results in the same file', () => {
+  const field = buildField();
+  const plan = results.planImport(field, [
+    result(1, 'East 1', 'East 8', 75, 70),
+    result(2, 'east 1', 'EAST 16', 90, 50),
+    result(3, 'East 8', 'East 9', 66, 64)
+  ], {});
+
+  assert.deepEqual(plan.errors, []);
+  assert.deepEqual(plan.changes.map(change => [change.action, change.round, change.position, change.game_id, change.winner_id]), [
+    ['complete', 'Round of 64', 0, 1, 1],
+    ['complete', 'Round of 64', 1, 2, 8],
+    ['complete', 'Round of 32', 0, null, 1]
+  ]);
+});
+
+test('planImport reports unknown teams, impossible games and duplicates', () => {
+  const plan = results.planImport(buildField(), [
+    result(1, 'East 1', 'Nowhere State', 70, 60),
+    result(2, 'East One', 'East 16', 70, 60),
+    result(3, 'East 1', 'East 1', 70, 60),
+    result(4, 'East 1', 'East 2', 70, 60),
+    result(5, 'East 5', 'East 12', 60, 60),
+    result(6, 'East 4', 'East 13', 60, 60, 'East 5'),
+    result(7, 'East 16', 'East 1', 60, 70)
+  ], { 'East One': 'East 1' });
+
+  assert.deepEqual(plan.changes.map(change => change.row), [2]);
+  assert.deepEqual(plan.errors, [
+    { row: 1, message: 'Unknown team: Nowhere State' },
+    { row: 3, message: "East 1 can't play itself" },
+    { row: 5, message: 'Scores are tied and no winner is given' },
+    { row: 6, message: 'Winner "East 5" didn\'t play in this game' },
+    { row: 7, message: 'Duplicate of row 2' },
+    { row: 4, message: "East 1 and East 2 don't meet in the bracket (yet)" }
+  ]);
+});
+
+test('re-importing leaves matching results alone, corrects scores and refuses a new winner', () => {
+  const field = buildField();
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 1);
+  Object.assign(field.games[0], { score1: 80, score2: 60 });
+  playGame(field, { round: 'Round of 64', region: 'East', position: 1 }, 8, 9, 8);
+  Object.assign(field.games[1], { score1: 70, score2: 65 });
+  playGame(field, { round: 'Round of 64', region: 'East', position: 2 }, 5, 12, 5);
+  Object.assign(field.games[2], { score1: 70, score2: 65 });
+
+  const plan = results.planImport(field, [
+    result(1, 'East 1', 'East 16', 80, 60),
+    result(2, 'East 9', 'East 8', 65, 72),
+    result(3, 'East 5', 'East 12', 60, 65)
+  ], {});
+
+  assert.deepEqual(plan.unchanged.map(change => change.row), [1]);
+  assert.deepEqual(plan.changes.map(change => [change.action, change.score1, change.score2, change.previous]), [
+    ['update', 72, 65, { score1: 70, score2: 65 }]
+  ]);
+  assert.deepEqual(plan.errors, [{ row: 3, message: 'East 5 is already entered as the winner of East 5 vs East 12' }]);
+});
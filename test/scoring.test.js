@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scoring = require('../scoring');
+const { DEFAULT_RULES } = require('../rules');
+
+const teams = [
+  { id: 1, seed: 1 },
+  { id: 2, seed: 16 },
+  { id: 3, seed: 8 },
+  { id: 4, seed: 9 },
+  { id: 5, seed: 12 },
+  { id: 6, seed: 5 }
+];
+
+function game(id, round, team1Id, team2Id, winnerId, completed = 1) {
+  return { id, round, team1_id: team1Id, team2_id: team2Id, winner_id: winnerId, completed };
+}
+
+test('upsetBonus is the seed difference for a lower seed, capped', () => {
+  assert.equal(scoring.upsetBonus(1, 16), 0);
+  assert.equal(scoring.upsetBonus(8, 8), 0);
+  assert.equal(scoring.upsetBonus(12, 5), 7);
+  assert.equal(scoring.upsetBonus(16, 1), DEFAULT_RULES.upsetBonusCap);
+  assert.equal(scoring.upsetBonus(16, 1, { ...DEFAULT_RULES, upsetBonusCap: 3 }), 3);
+});
+
+test('gamePoints adds the upset bonus to the round points', () => {
+  assert.equal(scoring.gamePoints('Round of 64', 1, 16), 1);
+  assert.equal(scoring.gamePoints('Round of 64', 12, 5), 8);
+  assert.equal(scoring.gamePoints('Sweet 16', 16, 1), 4 + DEFAULT_RULES.upsetBonusCap);
+  assert.equal(scoring.gamePoints('First Four', 16, 16), 0);
+});
+
+test('teamPointsByWeek credits winners in the week of the round', () => {
+  const points = scoring.teamPointsByWeek(teams, [
+    game(1, 'Round of 64', 1, 2, 1),
+    game(2, 'Round of 64', 5, 6, 5),
+    game(3, 'Round of 32', 1, 5, 1),
+    game(4, 'Sweet 16', 1, 3, 1),
+    game(5, 'Round of 64', 3, 4, null, 0)
+  ]);
+
+  assert.deepEqual(points, {
+    1: { 1: 1 + 2, 2: 4 },
+    5: { 1: 1 + 7 }
+  });
+});
+
+test('teamPointsByWeek skips unfinished games and rounds outside the weeks', () => {
+  const points = scoring.teamPointsByWeek(teams, [
+    game(1, 'First Four', 3, 4, 4),
+    game(2, 'Round of 64', 1, 2, 1, 0)
+  ]);
+  assert.deepEqual(points, {});
+});
+
+test('computeScores totals weeks, and bonus teams count only in bonus weeks', () => {
+  const participants = [{ id: 10 }, { id: 11 }];
+  const assignments = [
+    { participant_id: 10, team_id: 1, is_bonus: 0 },
+    { participant_id: 10, team_id: 5, is_bonus: 1 },
+    { participant_id: 11, team_id: 5, is_bonus: 0 }
+  ];
+  const games = [
+    game(1, 'Round of 64', 5, 6, 5),
+    game(2, 'Round of 64', 1, 2, 1),
+    game(3, 'Round of 32', 1, 4, 1),
+    game(4, 'Sweet 16', 5, 3, 5)
+  ];
+
+  const results = scoring.computeScores({ participants, teams, assignments, games });
+
+  // Team 5 earned 8 in each of weeks 1 and 2; as a bonus team only week 2 counts
+  assert.deepEqual(results[10], { weeks: { 1: 3, 2: 8, 3: 0 }, overall: 3 });
+  assert.deepEqual(results[11], { weeks: { 1: 8, 2: 8, 3: 0 }, overall: 16 });
+});
+
+test('computeScores gives the same result whatever order the rows come in', () => {
+  const participants = [{ id: 10 }, { id: 11 }];
+  const assignments = [
+    { participant_id: 10, team_id: 1, is_bonus: 0 },
+    { participant_id: 11, team_id: 6, is_bonus: 0 },
+    { participant_id: 11, team_id: 4, is_bonus: 1 }
+  ];
+  const games = [
+    game(1, 'Round of 64', 1, 2, 1),
+    game(2, 'Round of 64', 3, 4, 4),
+    game(3, 'Round of 32', 1, 4, 4),
+    game(4, 'Sweet 16', 4, 6, 4)
+  ];
+
+  const forward = scoring.computeScores({ participants, teams, assignments, games });
+  const reversed = scoring.computeScores({
+    participants: [...participants].reverse(),
+    teams: [...teams].reverse(),
+    assignments: [...assignments].reverse(),
+    games: [...games].reverse()
+  });
+  assert.deepEqual(reversed, forward);
+  assert.deepEqual(forward[10], { weeks: { 1: 1, 2: 0, 3: 0 }, overall: 1 });
+  assert.deepEqual(forward[11], { weeks: { 1: 0, 2: 8, 3: 0 }, overall: 0 });
+});
+
+test('computeScores ignores assignments for unknown participants', () => {
+  const results = scoring.computeScores({
+    participants: [{ id: 10 }],
+    teams,
+    assignments: [{ participant_id: 99, team_id: 1, is_bonus: 0 }],
+    games: [game(1, 'Round of 64', 1, 2, 1)]
+  });
+  assert.deepEqual(Object.keys(results), ['10']);
+  assert.equal(results[10].overall, 0);
+});
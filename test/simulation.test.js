@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const simulation = require('../simulation');
+const { DEFAULT_RULES } = require('../rules');
+const { buildField, playGame } = require('./helpers');
+
+// Four participants with a region's top seeds each, after the East 1 seed's
+// opening win
+function simulationInput() {
+  const field = buildField();
+  playGame(field, { round: 'Round of 64', region: 'East', position: 0 }, 1, 16, 1);
+
+  const participants = [1, 2, 3, 4].map(id => ({ id, name: `Participant ${id}` }));
+  const assignments = participants.flatMap((participant, index) =>
+    [1, 2, 3, 4].map(seed => ({ participant_id: participant.id, team_id: index * 16 + seed, is_bonus: 0 })));
+  return { participants, assignments, ...field };
+}
+
+test('ratings favour the higher seed, and equal ratings are a coin flip', () => {
+  assert.equal(simulation.seedRating(1), 1600);
+  assert.equal(simulation.seedRating(16), 1225);
+  assert.equal(simulation.winProbability(1500, 1500), 0.5);
+  assert.ok(simulation.winProbability(simulation.seedRating(1), simulation.seedRating(16)) > 0.85);
+});
+
+test('the same seed gives the same probabilities, and another seed a different run', () => {
+  const input = simulationInput();
+  const first = simulation.simulate(input, DEFAULT_RULES, { iterations: 200, seed: 'bracket' });
+  const again = simulation.simulate(input, DEFAULT_RULES, { iterations: 200, seed: 'bracket' });
+  const other = simulation.simulate(input, DEFAULT_RULES, { iterations: 200, seed: 'other' });
+
+  assert.deepEqual(again, first);
+  assert.equal(first.iterations, 200);
+  assert.equal(first.seed, 'bracket');
+  assert.notDeepEqual(other.participants, first.participants);
+});
+
+test('one participant can only finish in the money', () => {
+  const input = simulationInput();
+  input.participants = input.participants.slice(0, 1);
+  const result = simulation.simulate(input, DEFAULT_RULES, { iterations: 50 });
+  assert.equal(result.participants[0].overall, 1);
+});
+
+test('a run on a worker thread matches one on the main thread', async () => {
+  const input = simulationInput();
+  const options = { iterations: 100, seed: 'worker' };
+  assert.deepEqual(
+    await simulation.simulateInWorker(input, DEFAULT_RULES, options),
+    simulation.simulate(input, DEFAULT_RULES, options)
+  );
+});
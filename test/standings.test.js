@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const standings = require('../standings');
+const { startApp, uploadSampleTeams, weekOneResults } = require('./helpers');
+
+// Participant 4 has no week 2 score yet
+const results = {
+  1: { overall: 10, weeks: { 1: 6, 2: 4 } },
+  2: { overall: 12, weeks: { 1: 6, 2: 6 } },
+  3: { overall: 10, weeks: { 1: 3, 2: 7 } },
+  4: { overall: 3, weeks: { 1: 3 } }
+};
+
+// [participant_id, rank, points] for each board, best first
+function boards(rows) {
+  const byBoard = {};
+  rows.forEach(row => {
+    byBoard[row.board] = byBoard[row.board] || [];
+    byBoard[row.board].push([row.participant_id, row.rank, row.points]);
+  });
+  return byBoard;
+}
+
+test('boards are named after their week, and only known weeks parse', () => {
+  assert.equal(standings.boardKey(null), 'overall');
+  assert.equal(standings.boardKey(2), 'week2');
+  assert.deepEqual(standings.parseBoard('overall', [1, 2]), { key: 'overall', week: null });
+  assert.deepEqual(standings.parseBoard('week2', [1, 2]), { key: 'week2', week: 2 });
+  assert.equal(standings.parseBoard('week3', [1, 2]), null);
+  assert.equal(standings.parseBoard('weekly', [1, 2]), null);
+});
+
+test('buildStandings ranks every board with shared ranks for ties', () => {
+  assert.deepEqual(boards(standings.buildStandings(results, [1, 2], 'split')), {
+    overall: [[2, 1, 12], [1, 2, 10], [3, 2, 10], [4, 4, 3]],
+    week1: [[1, 1, 6], [2, 1, 6], [3, 3, 3], [4, 3, 3]],
+    week2: [[3, 1, 7], [2, 2, 6], [1, 3, 4], [4, 4, 0]]
+  });
+});
+
+test('the overall tie policy breaks weekly ties on overall points only', () => {
+  const byBoard = boards(standings.buildStandings(results, [1, 2], 'overall'));
+  assert.deepEqual(byBoard.week1, [[2, 1, 6], [1, 2, 6], [3, 3, 3], [4, 4, 3]]);
+  assert.deepEqual(byBoard.overall, [[2, 1, 12], [1, 2, 10], [3, 2, 10], [4, 4, 3]]);
+});
+
+test('sameStandings ignores row order but not ranks, points or who is ranked', () => {
+  const rows = standings.buildStandings(results, [1, 2], 'split');
+  assert.equal(standings.sameStandings(rows, rows.slice().reverse()), true);
+  assert.equal(standings.sameStandings(rows, rows.slice(1)), false);
+  assert.equal(standings.sameStandings(rows, rows.map((row, i) => i === 0 ? { ...row, points: row.points + 1 } : row)), false);
+  assert.equal(standings.sameStandings(rows, rows.map((row, i) => i === 0 ? { ...row, participant_id: 9 } : row)), false);
+});
+
+test('rankChange counts places gained, and nothing for a first ranking', () => {
+  assert.equal(standings.rankChange(4, 1), 3);
+  assert.equal(standings.rankChange(1, 3), -2);
+  assert.equal(standings.rankChange(2, 2), 0);
+  assert.equal(standings.rankChange(undefined, 1), null);
+});
+
+test.describe('leaderboard movement', () => {
+  let app;
+
+  test.before(async () => {
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+    for (const name of ['Ada', 'Grace', 'Alan']) {
+      await app.request('/register', { method: 'POST', body: { name, email: `${name.toLowerCase()}@example.com` } });
+    }
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+  });
+
+  async function importResults(games) {
+    const form = new FormData();
+    form.append('file', new Blob([JSON.stringify(games)]), 'results.json');
+    const preview = await app.request('/admin/results/preview', { method: 'POST', form });
+    form.append('fingerprint', preview.data.fingerprint);
+    assert.equal((await app.request('/admin/results/import', { method: 'POST', form })).status, 200);
+  }
+
+  test('unknown boards are not found', async () => {
+    assert.equal((await app.request('/leaderboard/week9')).status, 404);
+  });
+
+  test('results move participants from their last ranks and count the teams still alive', async () => {
+    // The week 1 results list each region's eight Round of 64 games, then its four Round of 32 games
+    const games = weekOneResults();
+    await importResults(games.filter((game, index) => index % 12 < 8));
+    const first = {};
+    (await app.request('/leaderboard/overall')).data.forEach(row => {
+      first[row.id] = row.rank;
+      assert.equal(row.previous_rank, null);
+      assert.equal(row.rank_change, null);
+    });
+
+    await importResults(games.filter((game, index) => index % 12 >= 8));
+    const alive = {};
+    (await app.request('/admin/participants')).data.forEach(participant => {
+      alive[participant.id] = participant.teams.filter(team => !team.eliminated).length;
+    });
+    const after = (await app.request('/leaderboard/overall')).data;
+
+    assert.ok(after.some(row => row.points > 0));
+    after.forEach(row => {
+      assert.equal(row.previous_rank, first[row.id]);
+      assert.equal(row.rank_change, first[row.id] - row.rank);
+      assert.equal(row.teams_alive, alive[row.id]);
+    });
+    assert.deepEqual(after.map(row => row.points), after.map(row => row.points).sort((a, b) => b - a));
+
+    // Reading the board again doesn't take a new snapshot
+    assert.deepEqual((await app.request('/leaderboard/overall')).data, after);
+  });
+});
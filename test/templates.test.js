@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const templates = require('../templates');
+
+const variables = {
+  name: '<script>alert(1)</script>',
+  company_name: 'Acme & Co',
+  teams: 'Duke (1 seed - East)<br>Vermont (13 seed - Midwest)'
+};
+
+test('names are escaped, and server-built blocks go in as HTML', () => {
+  const email = templates.renderEmail({ subject: '{{company_name}} for {{name}}', body: '<p>{{name}}</p>{{{teams}}}' }, variables);
+
+  assert.match(email.html, /<p>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/p>/);
+  assert.match(email.html, /Duke \(1 seed - East\)<br>Vermont/);
+  assert.equal(email.subject, 'Acme & Co for <script>alert(1)</script>');
+});
+
+test('three braces around a participant value still escape it', () => {
+  const email = templates.renderEmail({ subject: 'Hi', body: '<p>{{{name}}}</p>' }, variables);
+  assert.doesNotMatch(email.html, /<script>/);
+  assert.match(email.html, /&lt;script&gt;/);
+});
+
+test('validateTemplates only allows three braces for server-built blocks', () => {
+  const welcome = templates.EMAIL_TYPES.welcome;
+  assert.deepEqual(templates.validateTemplates({ welcome: { subject: welcome.subject, body: welcome.body } }), []);
+
+  const errors = templates.validateTemplates({
+    welcome: { subject: 'Hi {{{name}}}', body: '{{{teams}}} {{{standings}}} {{{team_link}}}' }
+  });
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^Welcome subject must use \{\{name\}\}/);
+  assert.match(errors[1], /unknown variable \{\{standings\}\}/);
+  assert.match(errors[2], /^Welcome body must use \{\{team_link\}\}/);
+});
+
+test('every default template passes validation', () => {
+  const defaults = {};
+  Object.entries(templates.EMAIL_TYPES).forEach(([type, { subject, body }]) => {
+    defaults[type] = { subject, body };
+  });
+  assert.deepEqual(templates.validateTemplates(defaults), []);
+});
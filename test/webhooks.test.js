@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const webhooks = require('../webhooks');
+const { listen, startApp, uploadSampleTeams, waitFor } = require('./helpers');
+
+test('deliveries are signed over the timestamp and body', () => {
+  const delivery = { id: 12, type: 'game.completed', payload: '{"type":"game.completed"}' };
+  const headers = webhooks.deliveryHeaders(delivery, 'secret', 1700000000);
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${delivery.payload}`).digest('hex');
+
+  assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+  assert.equal(headers['X-Webhook-Id'], '12');
+  assert.equal(headers['X-Webhook-Event'], 'game.completed');
+});
+
+test('client errors fail at once, while timeouts and rate limits are retried', () => {
+  assert.deepEqual(webhooks.afterFailure(1, 410), { status: 'failed' });
+  assert.deepEqual(webhooks.afterFailure(1, 429), { status: 'pending', delay: 30 });
+  assert.deepEqual(webhooks.afterFailure(2, null), { status: 'pending', delay: 60 });
+  assert.deepEqual(webhooks.afterFailure(webhooks.MAX_ATTEMPTS, 500), { status: 'failed' });
+});
+
+test.describe('webhook deliveries to a local receiver', () => {
+  let app;
+  let receiver;
+  let receiverUrl;
+  const received = [];
+
+  test.before(async () => {
+    // Answers 200, except on /gone which says the endpoint no longer exists
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.statusCode = req.url === '/gone' ? 410 : 200;
+        res.end();
+      });
+    });
+    receiverUrl = `http://127.0.0.1:${await listen(receiver)}`;
+
+    app = await startApp();
+    assert.equal((await uploadSampleTeams(app)).status, 200);
+  });
+
+  test.after(async () => {
+    if (app) await app.stop();
+    if (receiver) {
+      receiver.closeAllConnections();
+      await new Promise(resolve => receiver.close(resolve));
+    }
+  });
+
+  async function deliveries() {
+    return (await app.request('/admin/webhooks/deliveries')).data.deliveries;
+  }
+
+  test('a registration is posted with a signature the receiver can check', async () => {
+    const created = await app.request('/admin/webhooks', {
+      method: 'POST',
+      body: { url: `${receiverUrl}/hook`, events: ['participant.registered'] }
+    });
+    assert.equal(created.status, 200);
+    const { secret } = created.data;
+
+    await app.request('/register', { method: 'POST', body: { name: 'Ada Lovelace', email: 'ada@example.com' } });
+
+    const request = await waitFor(async () => received.find(entry => entry.path === '/hook'));
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${signature}`);
+    assert.equal(request.headers['x-webhook-event'], 'participant.registered');
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.type, 'participant.registered');
+    assert.equal(payload.data.participant.email, 'ada@example.com');
+    assert.equal(payload.data.teams.length, 4);
+
+    const delivered = await waitFor(async () =>
+      (await deliveries()).find(delivery => delivery.id === Number(request.headers['x-webhook-id']) && delivery.status === 'delivered'));
+    assert.equal(delivered.response_status, 200);
+    assert.equal(delivered.attempts, 1);
+  });
+
+  test('a receiver that answers 410 fails the delivery without retrying', async () => {
+    const created = await app.request('/admin/webhooks', {
+      method: 'POST',
+      body: { url: `${receiverUrl}/gone`, events: ['game.completed'] }
+    });
+    const sent = await app.request(`/admin/webhooks/${created.data.id}/test`, { method: 'POST' });
+    assert.equal(sent.status, 200);
+
+    const failed = await waitFor(async () =>
+      (await deliveries()).find(delivery => delivery.id === sent.data.deliveryId && delivery.status === 'failed'));
+    assert.equal(failed.response_status, 410);
+    assert.equal(failed.attempts, 1);
+    assert.equal(received.filter(entry => entry.path === '/gone').length, 1);
+  });
+
+  test('an imported results file queues game.completed for every game it completes', async () => {
+    await app.request('/admin/webhooks', {
+      method: 'POST',
+      body: { url: `${receiverUrl}/results`, events: ['game.completed'] }
+    });
+    const file = () => {
+      const form = new FormData();
+      form.append('file', new Blob([JSON.stringify([
+        { team1: 'Duke', team2: 'Texas Southern', score1: 80, score2: 61 },
+        { team1: 'Florida Atlantic', team2: 'TCU', score1: 70, score2: 72 }
+      ])]), 'results.json');
+      return form;
+    };
+
+    const preview = await app.request('/admin/results/preview', { method: 'POST', form: file() });
+    assert.equal(preview.data.changes.length, 2);
+    const form = file();
+    form.append('fingerprint', preview.data.fingerprint);
+    const imported = await app.request('/admin/results/import', { method: 'POST', form });
+    assert.equal(imported.data.imported, 2);
+
+    const posted = await waitFor(async () => {
+      const games = received.filter(entry => entry.path === '/results');
+      return games.length === 2 && games;
+    });
+    assert.deepEqual(posted.map(entry => JSON.parse(entry.body).data.game.winner_id).sort((a, b) => a - b),
+      imported.data.games.map(game => game.winner_id).sort((a, b) => a - b));
+  });
+});
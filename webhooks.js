@@ -0,0 +1,117 @@
+// Outbound webhooks
+//
+// Admins register URLs for the events they want. Every delivery is written
+// to the webhook_deliveries table and posted later by a single worker, like
+// email. Bodies are JSON signed with the webhook's secret:
+//
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// with the timestamp (Unix seconds) in X-Webhook-Timestamp, so receivers can
+// check the signature and refuse old replays. X-Webhook-Id is the delivery
+// id and stays the same across retries.
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = {
+  'game.completed': 'A game result is entered',
+  'standings.updated': "Anyone's points or rank change",
+  'week.closed': "A week's last game is played",
+  'participant.registered': 'Someone registers'
+};
+
+// Sent only by the admin's "Send test" button; nobody subscribes to it
+const TEST_EVENT = 'webhook.test';
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const TIMEOUT_MS = 10000;
+
+function createSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Headers for one delivery attempt
+function deliveryHeaders(delivery, secret, timestamp) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'TeamPackChallenge-Webhooks',
+    'X-Webhook-Event': delivery.type,
+    'X-Webhook-Id': String(delivery.id),
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${sign(secret, timestamp, delivery.payload)}`
+  };
+}
+
+// The JSON body for an event: { type, created_at, event, data }
+function buildPayload(type, event, data, createdAt = new Date()) {
+  return {
+    type,
+    created_at: createdAt.toISOString(),
+    event: { slug: event.slug, name: event.name },
+    data
+  };
+}
+
+// Seconds to wait after a delivery's nth failed attempt: 30s, 1m, 2m, 4m...
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+}
+
+// The receiver refused the request itself; retrying the same body won't help.
+// Timeouts and rate limits are worth another try.
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// What to do with a delivery after a failed attempt, given the HTTP status
+// (null when the request never got an answer):
+// { status: 'failed' } or { status: 'pending', delay } with delay in seconds
+function afterFailure(attempts, status) {
+  if (attempts >= MAX_ATTEMPTS || isPermanentFailure(status)) {
+    return { status: 'failed' };
+  }
+  return { status: 'pending', delay: retryDelay(attempts) };
+}
+
+// Webhook targets must be absolute http(s) URLs
+function isWebhookUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns a list of problems with a webhook's { url, events }
+function validateWebhook({ url, events }) {
+  const errors = [];
+  if (!isWebhookUrl(url)) errors.push('URL must start with http:// or https://');
+  if (!Array.isArray(events) || events.length === 0) {
+    errors.push('Pick at least one event');
+  } else {
+    events.filter(type => !WEBHOOK_EVENTS[type]).forEach(type => errors.push(`Unknown event: ${type}`));
+  }
+  return errors;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  DELIVERY_STATUSES,
+  MAX_ATTEMPTS,
+  TIMEOUT_MS,
+  createSecret,
+  sign,
+  deliveryHeaders,
+  buildPayload,
+  afterFailure,
+  isWebhookUrl,
+  validateWebhook
+};